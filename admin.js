@@ -0,0 +1,518 @@
+// admin.js
+// Admin-Konsole für das Team, statt Devtools am Kiosk:
+// - öffnen: Strg+Alt+A oder 3 Sekunden auf den Titel drücken, dann PIN
+// - Transport und Verbindungszustand des Druckers, die letzten Druckfehler
+// - Drucke heute / insgesamt, geschätzter Papierverbrauch, Papierrolle (paper-roll.js)
+// - Testdruck zum Kalibrieren (Breitenlineal, Graukeil, Schriftproben aller
+//   POSTER_FONTS), Vorschub + Schnitt, Drucker neu verbinden
+// - Frage und Layout von Hand wechseln
+// - Moderation: Sperrliste, "hold for review" und Prüf-Warteschlange (moderation.js)
+// - Drucker-Einstellungen (printer-settings.js) öffnen sich nur aus der entsperrten Konsole
+// - sperrt sich nach 2 Minuten ohne Bedienung wieder
+//
+// PIN: Standard 2468, in der Konsole änderbar (SHA-256 in localStorage).
+// Hält neugierige Besucher fern, nicht jemanden mit Devtools.
+//
+// Usage: window.posterAdmin.open() / .close() / .isUnlocked()
+//        window.posterAdmin.stats()  -> { today, total, todayPaperMm, totalPaperMm }
+
+(function (global) {
+  'use strict';
+
+  const PIN_KEY = 'pferd.admin';
+  const STATS_KEY = 'pferd.printStats';
+  const ERRORS_KEY = 'pferd.printErrors';
+  const DEFAULT_PIN = '2468';
+  const MAX_ERRORS = 20;
+  const LONG_PRESS_MS = 3000;
+  const IDLE_LOCK_MS = 2 * 60 * 1000;
+  const MAX_ATTEMPTS = 3;
+  const LOCKOUT_MS = 30 * 1000;
+
+  function readJson(key, fallback) {
+    try {
+      const value = JSON.parse(localStorage.getItem(key));
+      return value === null ? fallback : value;
+    } catch (e) {
+      return fallback;
+    }
+  }
+
+  function writeJson(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) { /* voll oder gesperrt: Zähler sind nur Hilfe */ }
+  }
+
+  /* PIN */
+
+  async function hashPin(pin) {
+    const data = new TextEncoder().encode('pferd:' + pin);
+    // ohne sicheren Kontext (http:// im LAN) gibt es kein crypto.subtle
+    if (!(global.crypto && global.crypto.subtle)) return 'plain:' + pin;
+    const digest = await global.crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  async function checkPin(pin) {
+    const stored = readJson(PIN_KEY, {}).pinHash;
+    return (await hashPin(pin)) === (stored || await hashPin(DEFAULT_PIN));
+  }
+
+  async function changePin(pin) {
+    if (!/^\d{4,8}$/.test(pin)) throw new Error('The PIN needs 4 to 8 digits.');
+    writeJson(PIN_KEY, { pinHash: await hashPin(pin) });
+  }
+
+  /* Zähler */
+
+  function today() {
+    const d = new Date();
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  function stats() {
+    const s = Object.assign({ day: today(), today: 0, total: 0, todayPaperMm: 0, totalPaperMm: 0 }, readJson(STATS_KEY, {}));
+    if (s.day !== today()) Object.assign(s, { day: today(), today: 0, todayPaperMm: 0 });
+    return s;
+  }
+
+  // prints: gedruckte Poster; Papier kommt aus 'printer:paperused' (auch Testdrucke, Vorschub)
+  function count(prints, paperMm) {
+    const s = stats();
+    s.today += prints;
+    s.total += prints;
+    s.todayPaperMm += paperMm || 0;
+    s.totalPaperMm += paperMm || 0;
+    writeJson(STATS_KEY, s);
+    return s;
+  }
+
+  /* Fehler */
+
+  function listErrors() {
+    const items = readJson(ERRORS_KEY, []);
+    return Array.isArray(items) ? items : [];
+  }
+
+  function logError(message, source) {
+    const items = listErrors().concat([{ message, source, at: Date.now() }]).slice(-MAX_ERRORS);
+    writeJson(ERRORS_KEY, items);
+    document.dispatchEvent(new CustomEvent('admin:errors', { detail: { length: items.length } }));
+  }
+
+  function describeStatus(status) {
+    if (!status) return 'unknown (no status channel)';
+    if (status.reachable === false) return 'not reachable';
+    if (status.ok) return status.paperNearEnd ? 'ready, paper running low' : 'ready';
+    const problems = [];
+    if (status.paperOut) problems.push('paper out');
+    if (status.coverOpen) problems.push('cover open');
+    if (status.error) problems.push('error');
+    if (status.online === false) problems.push('offline');
+    return problems.join(', ') || 'not ready';
+  }
+
+  /* Testdruck */
+
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  function el(name, attrs, text) {
+    const node = document.createElementNS(SVG_NS, name);
+    Object.keys(attrs).forEach((k) => node.setAttribute(k, attrs[k]));
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  // Kalibrierseite in Druckerbreite (1 SVG-Einheit = 1 Dot)
+  function calibrationSvg(widthDots, fonts) {
+    const dpm = global.escposCore.DOTS_PER_MM;
+    const W = widthDots;
+    const parts = [];
+    let y = 28;
+
+    parts.push(el('text', { x: 4, y, 'font-size': 20, 'font-family': 'sans-serif' },
+      `Calibration · ${W} dots · ${(W / dpm).toFixed(0)} mm`));
+    y += 16;
+
+    // Lineal: Striche je mm, länger alle 5/10 mm; Randbalken zeigen, ob etwas abgeschnitten wird
+    parts.push(el('rect', { x: 0, y, width: 2, height: 44, fill: '#000' }));
+    parts.push(el('rect', { x: W - 2, y, width: 2, height: 44, fill: '#000' }));
+    parts.push(el('rect', { x: 0, y, width: W, height: 1, fill: '#000' }));
+    for (let mm = 0; mm * dpm < W; mm++) {
+      const x = mm * dpm;
+      const h = mm % 10 === 0 ? 22 : (mm % 5 === 0 ? 14 : 7);
+      parts.push(el('rect', { x, y, width: 1, height: h, fill: '#000' }));
+      if (mm % 10 === 0 && mm > 0) {
+        parts.push(el('text', { x: x + 2, y: y + 36, 'font-size': 12, 'font-family': 'sans-serif' }, String(mm)));
+      }
+    }
+    y += 60;
+
+    // Graukeil in 11 Stufen, darunter ein stufenloser Verlauf
+    const steps = 11;
+    const stepW = W / steps;
+    for (let i = 0; i < steps; i++) {
+      const v = Math.round(255 * i / (steps - 1));
+      parts.push(el('rect', { x: i * stepW, y, width: stepW + 0.5, height: 48, fill: `rgb(${v},${v},${v})` }));
+      parts.push(el('text', { x: i * stepW + 2, y: y + 64, 'font-size': 11, 'font-family': 'sans-serif' },
+        String(Math.round(100 - 100 * i / (steps - 1)))));
+    }
+    y += 76;
+    const gradient = el('linearGradient', { id: 'calibration-ramp', x1: 0, x2: 1, y1: 0, y2: 0 });
+    gradient.appendChild(el('stop', { offset: 0, 'stop-color': '#000' }));
+    gradient.appendChild(el('stop', { offset: 1, 'stop-color': '#fff' }));
+    const defs = el('defs', {});
+    defs.appendChild(gradient);
+    parts.push(defs);
+    parts.push(el('rect', { x: 0, y, width: W, height: 32, fill: 'url(#calibration-ramp)' }));
+    y += 52;
+
+    // Schriftproben
+    fonts.forEach((font) => {
+      parts.push(el('text', { x: 4, y, 'font-size': 12, 'font-family': 'sans-serif' }, font));
+      y += 34;
+      parts.push(el('text', { x: 4, y, 'font-size': 30, 'font-family': `${font}, sans-serif` }, 'Pferd Äöü ß Şğı 0123'));
+      y += 20;
+    });
+
+    const svg = el('svg', { xmlns: SVG_NS, viewBox: `0 0 ${W} ${y}`, width: W, height: y });
+    svg.appendChild(el('rect', { x: 0, y: 0, width: W, height: y, fill: '#fff' }));
+    parts.forEach((p) => svg.appendChild(p));
+    return svg;
+  }
+
+  /* Konsole */
+
+  let panel = null;
+  let idleTimer = null;
+  let unlocked = false;
+  let showLock = () => {};
+
+  function isUnlocked() {
+    return unlocked;
+  }
+
+  function initConsole() {
+    panel = document.getElementById('adminConsole');
+    if (!panel) return;
+    const lock = panel.querySelector('.admin-lock');
+    const body = panel.querySelector('.admin-body');
+    const lockStatus = panel.querySelector('.admin-lock-status');
+    const status = panel.querySelector('.admin-status');
+    const field = (name) => panel.querySelector(`[name="${name}"]`);
+    let attempts = 0;
+    let lockedUntil = 0;
+    let lastStatus = null;
+
+    const setStatus = (msg) => { status.textContent = msg || ''; };
+    const stat = (name, value) => { panel.querySelector(`[data-stat="${name}"]`).textContent = value; };
+    const metres = (mm) => `${(mm / 1000).toFixed(2)} m`;
+
+    function renderStats() {
+      const settings = global.printerSettings.load();
+      const transport = settings.transport === 'websocket' ? `websocket (${settings.wsUrl})` : settings.transport;
+      const pool = global.printerPool ? global.printerPool.load().printers : [];
+      stat('transport', pool.length ? `pool of ${pool.length} (${global.printerPool.load().mode})` : `${transport}, ${settings.widthDots} dots`);
+      stat('connection', `${global.thermalPrinter.getConnectionState()} · ${describeStatus(lastStatus)}`);
+      const s = stats();
+      stat('today', String(s.today));
+      stat('total', String(s.total));
+      stat('todayPaper', metres(s.todayPaperMm));
+      stat('totalPaper', metres(s.totalPaperMm));
+      if (global.paperRoll) {
+        const roll = global.paperRoll.load();
+        stat('roll', `${metres(roll.remainingMm)} of ${roll.rollLengthM} m left`);
+      }
+    }
+
+    function fillRoll() {
+      if (!global.paperRoll) return;
+      const roll = global.paperRoll.load();
+      field('rollLengthM').value = roll.rollLengthM;
+      field('warnAtM').value = roll.warnAtM.join(', ');
+      field('maxPosterCm').value = roll.maxPosterCm;
+    }
+
+    function renderErrors() {
+      const list = panel.querySelector('.admin-errors');
+      const items = listErrors().slice().reverse();
+      list.innerHTML = '';
+      if (!items.length) {
+        list.textContent = 'No print errors.';
+        return;
+      }
+      items.forEach((item) => {
+        const li = document.createElement('li');
+        li.textContent = `${new Date(item.at).toLocaleString()} · ${item.source || 'visitor'} · ${item.message}`;
+        list.appendChild(li);
+      });
+    }
+
+    function renderPickers() {
+      const gen = global.posterGenerator;
+      const questions = global.posterQuestions;
+      const question = field('question');
+      question.innerHTML = '';
+      const current = questions.current();
+      questions.list().forEach((q) => {
+        question.appendChild(new Option(q.text, q.id, false, !!current && current.id === q.id));
+      });
+      const layout = field('layout');
+      layout.innerHTML = '';
+      layout.appendChild(new Option('random (weighted)', ''));
+      gen.getLayouts().forEach((name) => layout.appendChild(new Option(name, name)));
+      layout.value = gen.getForcedLayout() || '';
+    }
+
+    function render() {
+      fillRoll();
+      renderStats();
+      renderErrors();
+      renderPickers();
+    }
+
+    function touch() {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(close, IDLE_LOCK_MS);
+    }
+
+    showLock = () => {
+      body.hidden = true;
+      lock.hidden = false;
+      field('pin').value = '';
+      lockStatus.textContent = '';
+    };
+
+    async function unlock(e) {
+      e.preventDefault();
+      if (Date.now() < lockedUntil) {
+        lockStatus.textContent = 'Too many wrong PINs. Please wait a moment.';
+        return;
+      }
+      if (!(await checkPin(field('pin').value))) {
+        field('pin').value = '';
+        attempts += 1;
+        if (attempts >= MAX_ATTEMPTS) {
+          attempts = 0;
+          lockedUntil = Date.now() + LOCKOUT_MS;
+        }
+        lockStatus.textContent = 'Wrong PIN.';
+        return;
+      }
+      attempts = 0;
+      unlocked = true;
+      lock.hidden = true;
+      body.hidden = false;
+      setStatus('');
+      render();
+      touch();
+      try {
+        lastStatus = await global.thermalPrinter.getStatus();
+        renderStats();
+      } catch (err) { /* bleibt "unknown" */ }
+    }
+
+    // Knöpfe sperren, solange eine Aktion läuft; Fehler landen im Status
+    function action(name, label, fn) {
+      const button = panel.querySelector(`[data-admin="${name}"]`);
+      button.addEventListener('click', async () => {
+        touch();
+        button.disabled = true;
+        setStatus(label + '…');
+        try {
+          setStatus(await fn() || 'Done.');
+        } catch (err) {
+          setStatus(`${label} failed: ${err && err.message ? err.message : String(err)}`);
+        } finally {
+          button.disabled = false;
+          renderStats();
+          renderErrors();
+        }
+      });
+    }
+
+    action('test-print', 'Test print', async () => {
+      const settings = global.printerSettings.load();
+      const svg = calibrationSvg(settings.widthDots, global.posterGenerator.getFonts());
+      await global.thermalPrinter.printElement(svg);
+      return 'Test page sent.';
+    });
+
+    action('feed-cut', 'Feed & cut', async () => {
+      await global.thermalPrinter.feedAndCut();
+      return 'Paper fed.';
+    });
+
+    action('reconnect', 'Reconnect', async () => {
+      lastStatus = await global.thermalPrinter.reconnect();
+      return 'Printer: ' + describeStatus(lastStatus);
+    });
+
+    action('next-question', 'Next question', async () => {
+      global.posterGenerator.nextQuestion();
+      renderPickers();
+      return 'Question changed.';
+    });
+
+    const rollSettings = () => ({
+      rollLengthM: field('rollLengthM').value,
+      warnAtM: field('warnAtM').value,
+      maxPosterCm: field('maxPosterCm').value
+    });
+
+    action('save-roll', 'Save paper settings', async () => {
+      global.paperRoll.configure(rollSettings());
+      // neue Höchstlänge gilt sofort fürs angezeigte Poster
+      await global.posterGenerator.generate();
+      fillRoll();
+      return 'Paper settings saved.';
+    });
+
+    action('new-roll', 'New roll', async () => {
+      const roll = global.paperRoll.configure(rollSettings());
+      global.paperRoll.newRoll(roll.rollLengthM);
+      return `New roll: ${roll.rollLengthM} m.`;
+    });
+
+    action('clear-errors', 'Clear errors', async () => {
+      writeJson(ERRORS_KEY, []);
+      return 'Errors cleared.';
+    });
+
+    action('change-pin', 'Change PIN', async () => {
+      await changePin(field('newPin').value.trim());
+      field('newPin').value = '';
+      return 'PIN changed.';
+    });
+
+    // die Konsole bleibt entsperrt, solange das Drucker-Panel offen ist und benutzt wird
+    panel.querySelector('[data-admin="printer-settings"]').addEventListener('click', () => {
+      touch();
+      panel.hidden = true;
+      global.printerSettings.open();
+    });
+    const settingsPanel = document.getElementById('printerSettings');
+    if (settingsPanel) {
+      settingsPanel.addEventListener('input', touch);
+      settingsPanel.addEventListener('pointerdown', touch);
+    }
+
+    field('question').addEventListener('change', () => {
+      touch();
+      global.posterQuestions.select(field('question').value);
+      setStatus('Question changed.');
+    });
+
+    field('layout').addEventListener('change', async () => {
+      touch();
+      await global.posterGenerator.setLayout(field('layout').value || null);
+      setStatus(field('layout').value ? `Layout fixed to ${field('layout').value}.` : 'Layout back to random.');
+    });
+
+    lock.addEventListener('submit', unlock);
+    panel.querySelectorAll('[data-action="close"]').forEach((b) => b.addEventListener('click', close));
+    panel.addEventListener('input', touch);
+    panel.addEventListener('pointerdown', touch);
+
+    document.addEventListener('printer:statuschange', (e) => {
+      lastStatus = e.detail;
+      if (!body.hidden) renderStats();
+    });
+    ['poster:printed', 'paper:change', 'printer:connection'].forEach((type) => document.addEventListener(type, () => {
+      if (!body.hidden) renderStats();
+    }));
+    document.addEventListener('admin:errors', () => {
+      if (!body.hidden) renderErrors();
+    });
+  }
+
+  function open() {
+    if (!panel) return;
+    // wer die Konsole neu öffnet, gibt die PIN neu ein (auch bei offenem Drucker-Panel)
+    if (unlocked) close();
+    showLock();
+    panel.hidden = false;
+    panel.querySelector('[name="pin"]').focus();
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(close, IDLE_LOCK_MS);
+  }
+
+  function close() {
+    if (!panel) return;
+    clearTimeout(idleTimer);
+    panel.hidden = true;
+    showLock();
+    if (!unlocked) return;
+    unlocked = false;
+    document.dispatchEvent(new CustomEvent('admin:locked'));
+  }
+
+  // Zähler und Fehler laufen auch bei geschlossener Konsole mit
+  document.addEventListener('poster:printed', () => count(1, 0));
+  document.addEventListener('printer:paperused', (e) => count(0, e.detail.paperMm));
+  document.addEventListener('paper:low', () => logError(global.paperRoll.describe(), 'paper'));
+  document.addEventListener('print:failed', (e) => {
+    logError(e.detail.message, e.detail.source);
+  });
+  // Verbindungsfehler pro Drucker nur einmal bis zum nächsten erfolgreichen Öffnen (der Status pollt weiter)
+  const connectionProblems = {};
+  const printerName = (detail) => detail.printer || 'Printer';
+  document.addEventListener('printer:connection', (e) => {
+    const { state, error } = e.detail;
+    const key = e.detail.printerId || 'main';
+    if (state === 'open') {
+      delete connectionProblems[key];
+      return;
+    }
+    const message = state === 'disconnected' ? `${printerName(e.detail)} disconnected.`
+      : (state === 'error' ? `${printerName(e.detail)} connection failed: ` + (error && error.message ? error.message : String(error)) : null);
+    if (!message || message === connectionProblems[key]) return;
+    connectionProblems[key] = message;
+    logError(message, 'printer');
+  });
+  document.addEventListener('printer:statuschange', (e) => {
+    const s = e.detail;
+    if (s && s.reachable === true && s.ok === false) logError(`${printerName(s)} status: ` + describeStatus(s), 'printer');
+  });
+  // Drucker-Pool (printer-pool.js): Job ging an einen anderen Drucker
+  document.addEventListener('printer:failover', (e) => {
+    logError(`${printerName(e.detail)} failed, trying the next printer: ${e.detail.message}`, 'printer');
+  });
+
+  document.addEventListener('DOMContentLoaded', () => {
+    initConsole();
+
+    document.addEventListener('keydown', (e) => {
+      if (e.ctrlKey && e.altKey && e.key.toLowerCase() === 'a') {
+        e.preventDefault();
+        if (panel && panel.hidden) open(); else close();
+      } else if (e.key === 'Escape' && panel && !panel.hidden) {
+        close();
+      }
+    });
+
+    // Touch-Kiosk ohne Tastatur: lange auf den Titel drücken
+    const title = document.querySelector('.site-title');
+    if (title) {
+      let pressTimer = null;
+      const cancel = () => clearTimeout(pressTimer);
+      title.addEventListener('pointerdown', () => {
+        cancel();
+        pressTimer = setTimeout(open, LONG_PRESS_MS);
+      });
+      ['pointerup', 'pointerleave', 'pointercancel'].forEach((type) => title.addEventListener(type, cancel));
+    }
+  });
+
+  // expose
+  global.posterAdmin = {
+    open,
+    close,
+    isUnlocked,
+    stats,
+    listErrors,
+    calibrationSvg
+  };
+
+})(window);
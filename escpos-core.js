@@ -0,0 +1,627 @@
+// escpos-core.js
+// ESC/POS-Encoder ohne DOM und ohne window: läuft im Browser, in Web Workern
+// und in Node. Arbeitet nur auf Puffern:
+// - RGBA { data, width, height } -> Graustufen -> Tonwert -> Dithering -> 1-bit
+// - 1-bit -> gepackte Zeilen -> GS v 0 Raster in Bändern -> kompletter Job
+// - Kommando-Builder (Text, QR, Barcode, Schnitt …), gepacktes Schreiben
+// - Statusbytes (DLE EOT, ASB) auswerten
+// Canvas, SVG und Transporte (Serial/USB/WebSocket) liegen in escpos-printer.js.
+//
+// Usage: const core = window.escposCore (Browser), self.escposCore nach
+//        importScripts('escpos-core.js') (Worker), require('./escpos-core.js') (Node)
+//        core.buildRasterJob(core.rasterizeRGBA(imageData, { dither: 'atkinson' }), { feedLines: 3 })
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.escposCore = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /* Raster */
+
+  function grayscaleImageData(imgData) {
+    const data = imgData.data;
+    const width = imgData.width;
+    const height = imgData.height;
+    const gray = new Float32Array(width * height);
+    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+      const r = data[i], g = data[i + 1], b = data[i + 2], a = data[i + 3];
+      const alpha = a / 255;
+      const rr = r * alpha + 255 * (1 - alpha);
+      const gg = g * alpha + 255 * (1 - alpha);
+      const bb = b * alpha + 255 * (1 - alpha);
+      // luminosity (0 = black, 255 = white)
+      gray[p] = 0.299 * rr + 0.587 * gg + 0.114 * bb;
+    }
+    return { gray, width, height };
+  }
+
+  function floydSteinbergDither(grayArray, width, height) {
+    // operates in-place on Float32Array grayArray [0..255] (0 black, 255 white)
+    const bw = new Uint8Array(width * height); // 1 = black, 0 = white
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const idx = y * width + x;
+        const oldVal = grayArray[idx];
+        const newVal = oldVal < 128 ? 0 : 255; // 0 -> black, 255 -> white
+        const err = oldVal - newVal;
+        bw[idx] = newVal === 0 ? 1 : 0; // 1 for black
+        // distribute error
+        if (x + 1 < width) grayArray[idx + 1] += (err * 7) / 16;
+        if (x - 1 >= 0 && y + 1 < height) grayArray[idx + width - 1] += (err * 3) / 16;
+        if (y + 1 < height) grayArray[idx + width] += (err * 5) / 16;
+        if (x + 1 < width && y + 1 < height) grayArray[idx + width + 1] += (err * 1) / 16;
+      }
+    }
+    return bw;
+  }
+
+  // Tonwert-Korrektur nach grayscaleImageData (in-place, 0 = schwarz, 255 = weiß)
+  // gamma > 1 hellt Mitteltöne auf, contrast ist ein Faktor um 128,
+  // brightness wird addiert (-255..255)
+  function applyTone(grayArray, opts = {}) {
+    const gamma = opts.gamma > 0 ? opts.gamma : 1;
+    const contrast = typeof opts.contrast === 'number' ? opts.contrast : 1;
+    const brightness = typeof opts.brightness === 'number' ? opts.brightness : 0;
+    if (gamma === 1 && contrast === 1 && brightness === 0) return grayArray;
+    const lut = new Float32Array(256);
+    for (let v = 0; v < 256; v++) {
+      let x = 255 * Math.pow(v / 255, 1 / gamma);
+      x = (x - 128) * contrast + 128 + brightness;
+      lut[v] = Math.max(0, Math.min(255, x));
+    }
+    for (let i = 0; i < grayArray.length; i++) {
+      const v = grayArray[i];
+      grayArray[i] = lut[v <= 0 ? 0 : v >= 255 ? 255 : Math.round(v)];
+    }
+    return grayArray;
+  }
+
+  // Fehlerverteilung: [dx, dy, Gewicht] / Teiler
+  const DIFFUSION_KERNELS = {
+    'floyd-steinberg': { div: 16, taps: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]] },
+    'atkinson': { div: 8, taps: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]] },
+    'stucki': {
+      div: 42,
+      taps: [[1, 0, 8], [2, 0, 4],
+        [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+        [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1]]
+    },
+    'jarvis-judice-ninke': {
+      div: 48,
+      taps: [[1, 0, 7], [2, 0, 5],
+        [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+        [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]]
+    },
+    'sierra': {
+      div: 32,
+      taps: [[1, 0, 5], [2, 0, 3],
+        [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+        [-1, 2, 2], [0, 2, 3], [1, 2, 2]]
+    }
+  };
+
+  const DITHER_ALGORITHMS = Object.keys(DIFFUSION_KERNELS).concat(['bayer4', 'bayer8', 'threshold']);
+
+  function errorDiffusionDither(grayArray, width, height, kernel, threshold = 128, serpentine = false) {
+    const bw = new Uint8Array(width * height); // 1 = black
+    const { div, taps } = kernel;
+    for (let y = 0; y < height; y++) {
+      // serpentine: jede zweite Zeile von rechts nach links, Kern gespiegelt
+      const reverse = serpentine && (y & 1) === 1;
+      const dir = reverse ? -1 : 1;
+      for (let i = 0; i < width; i++) {
+        const x = reverse ? width - 1 - i : i;
+        const idx = y * width + x;
+        const oldVal = grayArray[idx];
+        const newVal = oldVal < threshold ? 0 : 255;
+        const err = oldVal - newVal;
+        bw[idx] = newVal === 0 ? 1 : 0;
+        if (err === 0) continue;
+        for (let t = 0; t < taps.length; t++) {
+          const nx = x + taps[t][0] * dir;
+          const ny = y + taps[t][1];
+          if (nx < 0 || nx >= width || ny >= height) continue;
+          grayArray[ny * width + nx] += (err * taps[t][2]) / div;
+        }
+      }
+    }
+    return bw;
+  }
+
+  function bayerMatrix(size) {
+    // rekursiv: M(2n) aus M(n)
+    let m = [[0]];
+    while (m.length < size) {
+      const n = m.length;
+      const next = [];
+      for (let y = 0; y < n * 2; y++) {
+        next.push(new Array(n * 2));
+        for (let x = 0; x < n * 2; x++) {
+          const base = 4 * m[y % n][x % n];
+          next[y][x] = base + [[0, 2], [3, 1]][y < n ? 0 : 1][x < n ? 0 : 1];
+        }
+      }
+      m = next;
+    }
+    return m;
+  }
+
+  function orderedDither(grayArray, width, height, size = 4, threshold = 128) {
+    const bw = new Uint8Array(width * height);
+    const m = bayerMatrix(size);
+    const n2 = size * size;
+    const shift = threshold - 128;
+    for (let y = 0; y < height; y++) {
+      const row = m[y % size];
+      for (let x = 0; x < width; x++) {
+        const t = ((row[x % size] + 0.5) / n2) * 255 + shift;
+        bw[y * width + x] = grayArray[y * width + x] < t ? 1 : 0;
+      }
+    }
+    return bw;
+  }
+
+  function thresholdDither(grayArray, width, height, threshold = 128) {
+    const bw = new Uint8Array(width * height);
+    for (let i = 0; i < bw.length; i++) bw[i] = grayArray[i] < threshold ? 1 : 0;
+    return bw;
+  }
+
+  // opts: { dither, serpentine, threshold, gamma, contrast, brightness }
+  function ditherGray(grayArray, width, height, opts = {}) {
+    const algorithm = opts.dither || 'floyd-steinberg';
+    const threshold = typeof opts.threshold === 'number' ? opts.threshold : 128;
+    applyTone(grayArray, opts);
+    if (DIFFUSION_KERNELS[algorithm]) {
+      return errorDiffusionDither(grayArray, width, height, DIFFUSION_KERNELS[algorithm], threshold, !!opts.serpentine);
+    }
+    if (algorithm === 'bayer4') return orderedDither(grayArray, width, height, 4, threshold);
+    if (algorithm === 'bayer8') return orderedDither(grayArray, width, height, 8, threshold);
+    if (algorithm === 'threshold') return thresholdDither(grayArray, width, height, threshold);
+    throw new Error('Unknown dither algorithm: ' + algorithm);
+  }
+
+  // RGBA-Puffer (ImageData oder { data, width, height }) -> 1-bit Bitmap
+  // opts: { dither, serpentine, threshold, gamma, contrast, brightness }
+  function rasterizeRGBA(image, opts = {}) {
+    const { gray, width, height } = grayscaleImageData(image);
+    const bitArray = ditherGray(gray, width, height, opts);
+    return { bitArray, width, height };
+  }
+
+  /* ESC/POS raster and pacing */
+
+  function packBitsMonochrome(bitArray, width, height) {
+    const bytesPerRow = Math.ceil(width / 8);
+    const out = new Uint8Array(bytesPerRow * height);
+    for (let y = 0; y < height; y++) {
+      for (let bx = 0; bx < bytesPerRow; bx++) {
+        let byte = 0x00;
+        for (let bit = 0; bit < 8; bit++) {
+          const x = bx * 8 + bit;
+          if (x >= width) continue;
+          const pix = bitArray[y * width + x]; // 1 = black
+          // MSB is leftmost pixel of the byte
+          if (pix) {
+            byte |= (0x80 >> bit);
+          }
+        }
+        out[y * bytesPerRow + bx] = byte;
+      }
+    }
+    return { data: out, bytesPerRow };
+  }
+
+  function buildGsV0Raster(bytesPerRow, height, bitmapData, mode = 0) {
+    // GS v 0: 1D 76 30 m xL xH yL yH [data]
+    const xL = bytesPerRow & 0xFF;
+    const xH = (bytesPerRow >> 8) & 0xFF;
+    const yL = height & 0xFF;
+    const yH = (height >> 8) & 0xFF;
+    const header = new Uint8Array([0x1D, 0x76, 0x30, mode, xL, xH, yL, yH]);
+    const out = new Uint8Array(header.length + bitmapData.length);
+    out.set(header, 0);
+    out.set(bitmapData, header.length);
+    return out;
+  }
+
+  // Lange Poster in Bänder teilen: jedes Band ist ein eigenes GS v 0 mit
+  // höchstens bandHeight Zeilen (Empfangspuffer / yL-yH-Grenze vieler Drucker)
+  function buildGsV0RasterBands(bytesPerRow, height, bitmapData, bandHeight = 256, mode = 0) {
+    const rowsPerBand = Math.max(1, Math.min(bandHeight | 0 || 256, 0xFFFF));
+    const bands = [];
+    for (let y = 0; y < height; y += rowsPerBand) {
+      const rows = Math.min(rowsPerBand, height - y);
+      const slice = bitmapData.subarray(y * bytesPerRow, (y + rows) * bytesPerRow);
+      bands.push(buildGsV0Raster(bytesPerRow, rows, slice, mode));
+    }
+    return bands;
+  }
+
+  function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  function abortError() {
+    const message = 'Print job cancelled.';
+    return typeof DOMException === 'function'
+      ? new DOMException(message, 'AbortError')
+      : Object.assign(new Error(message), { name: 'AbortError' });
+  }
+
+  // Blöcke (Bänder) in Stücken von chunkSize schreiben, mit Pausen und optionalem
+  // Warten auf den Drucker (waitReady: XON/XOFF, Status-Antwort, Socket-Puffer)
+  // pacing: { chunkSize, chunkDelayMs, bandDelayMs, waitReady, afterBand, onProgress(sent, total), signal }
+  // Abbruch über signal nur zwischen Blöcken: ein angefangenes GS v 0 geht ganz
+  // raus, sonst würde der Drucker die folgenden Bytes als Rasterdaten lesen.
+  async function writePaced(write, blocks, pacing = {}) {
+    const chunkSize = pacing.chunkSize > 0 ? pacing.chunkSize : 1024;
+    const total = blocks.reduce((n, block) => n + block.length, 0);
+    let sent = 0;
+    for (let b = 0; b < blocks.length; b++) {
+      if (pacing.signal && pacing.signal.aborted) throw abortError();
+      const block = blocks[b];
+      for (let off = 0; off < block.length; off += chunkSize) {
+        if (pacing.waitReady) await pacing.waitReady();
+        const chunk = block.subarray(off, Math.min(off + chunkSize, block.length));
+        await write(chunk);
+        sent += chunk.length;
+        if (pacing.onProgress) pacing.onProgress(sent, total);
+        if (pacing.chunkDelayMs > 0) await sleep(pacing.chunkDelayMs);
+      }
+      if (pacing.afterBand) await pacing.afterBand(b);
+      if (pacing.bandDelayMs > 0) await sleep(pacing.bandDelayMs);
+    }
+  }
+
+  // GS r 1: Papiersensor-Status. Wird erst beantwortet, wenn der Drucker alles
+  // davor abgearbeitet hat – eignet sich als Rückmeldung "Puffer leer".
+  const STATUS_REQUEST = new Uint8Array([0x1D, 0x72, 0x01]);
+  const STATUS_TIMEOUT_MS = 10000;
+
+  function withTimeout(promise, ms, message) {
+    let t;
+    return Promise.race([
+      promise,
+      new Promise((resolve, reject) => { t = setTimeout(() => reject(new Error(message)), ms); })
+    ]).finally(() => clearTimeout(t));
+  }
+
+  /* Command builder */
+
+  // Codepages für Text (ESC t n): Zeichen 0x80..0xFF in Reihenfolge
+  const CODEPAGES = {
+    cp437: { n: 0, chars: 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00A0' },
+    cp850: { n: 2, chars: 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒáíóúñÑªº¿®¬½¼¡«»░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈıÍÎÏ┘┌█▄¦Ì▀ÓßÔÒõÕµþÞÚÛÙýÝ¯´\u00AD±‗¾¶§÷¸°¨·¹³²■\u00A0' },
+    cp857: { n: 13, chars: 'ÇüéâäàåçêëèïîıÄÅÉæÆôöòûùİÖÜø£ØŞşáíóúñÑĞğ¿®¬½¼¡«»░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ºªÊËÈ\uFFFDÍÎÏ┘┌█▄¦Ì▀ÓßÔÒõÕµ\uFFFD×ÚÛÙìÿ¯´\u00AD±\uFFFD¾¶§÷¸°¨·¹³²■\u00A0' },
+    cp858: { n: 19, chars: 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒáíóúñÑªº¿®¬½¼¡«»░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈ€ÍÎÏ┘┌█▄¦Ì▀ÓßÔÒõÕµþÞÚÛÙýÝ¯´\u00AD±‗¾¶§÷¸°¨·¹³²■\u00A0' }
+  };
+
+  // Text -> Bytes in der gewählten Codepage; was fehlt, wird ohne Akzent
+  // versucht (é -> e) und sonst zu "?"
+  function encodeText(str, codepage = 'cp858') {
+    const table = CODEPAGES[codepage];
+    if (!table) throw new Error('Unknown codepage: ' + codepage);
+    const out = [];
+    for (const ch of String(str)) {
+      const code = ch.codePointAt(0);
+      if (code < 0x80) {
+        out.push(code);
+        continue;
+      }
+      const idx = table.chars.indexOf(ch);
+      if (idx >= 0) {
+        out.push(0x80 + idx);
+        continue;
+      }
+      const base = ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+      out.push(base.length === 1 && base.charCodeAt(0) < 0x80 ? base.charCodeAt(0) : 0x3F);
+    }
+    return out;
+  }
+
+  const ALIGN = { left: 0, center: 1, right: 2 };
+  const QR_EC = { L: 48, M: 49, Q: 50, H: 51 };
+  const BARCODE_TYPES = {
+    'UPC-A': 65, 'UPC-E': 66, 'EAN13': 67, 'EAN8': 68, 'CODE39': 69,
+    'ITF': 70, 'CODABAR': 71, 'CODE93': 72, 'CODE128': 73
+  };
+  const HRI = { none: 0, above: 1, below: 2, both: 3 };
+
+  function concatBytes(chunks) {
+    const total = chunks.reduce((n, c) => n + c.length, 0);
+    const out = new Uint8Array(total);
+    let off = 0;
+    for (const c of chunks) {
+      out.set(c, off);
+      off += c.length;
+    }
+    return out;
+  }
+
+  // Fluent ESC/POS builder:
+  //   escposPrinter.builder().init().align('center').bold().text('Hallo Pferd').bold(false)
+  //     .feed(2).poster().feed(3).cut('partial').build({ poster: rasterBlocks })
+  // .poster() markiert, wo printElementToPrinter das gerenderte Bild einsetzt.
+  function builder(opts = {}) {
+    // Einträge: Uint8Array (Befehle) oder { band: Uint8Array } / { poster: true }
+    const items = [];
+    let codepage = opts.codepage || 'cp858';
+
+    function bytes(arr) {
+      items.push(arr instanceof Uint8Array ? arr : new Uint8Array(arr));
+      return api;
+    }
+
+    function u8(n, name) {
+      if (!Number.isInteger(n) || n < 0 || n > 255) throw new Error(`${name} must be 0..255`);
+      return n;
+    }
+
+    const api = {
+      // ESC @ + aktuelle Codepage
+      init() {
+        bytes([0x1B, 0x40]);
+        return api.codepage(codepage);
+      },
+      codepage(name) {
+        if (!CODEPAGES[name]) throw new Error('Unknown codepage: ' + name);
+        codepage = name;
+        return bytes([0x1B, 0x74, CODEPAGES[name].n]);
+      },
+      text(str) {
+        return bytes(encodeText(str, codepage));
+      },
+      line(str = '') {
+        return bytes(encodeText(str, codepage).concat([0x0A]));
+      },
+      newline() {
+        return bytes([0x0A]);
+      },
+      // ESC d n: n Zeilen vorschieben
+      feed(lines = 1) {
+        return lines > 0 ? bytes([0x1B, 0x64, u8(lines, 'feed lines')]) : api;
+      },
+      // ESC J n: n Dots vorschieben
+      feedDots(dots) {
+        return bytes([0x1B, 0x4A, u8(dots, 'feed dots')]);
+      },
+      bold(on = true) {
+        return bytes([0x1B, 0x45, on ? 1 : 0]);
+      },
+      // 0 = aus, 1 = dünn, 2 = dick
+      underline(mode = 1) {
+        return bytes([0x1B, 0x2D, mode === true ? 1 : (mode || 0)]);
+      },
+      invert(on = true) {
+        return bytes([0x1D, 0x42, on ? 1 : 0]);
+      },
+      font(name = 'a') {
+        return bytes([0x1B, 0x4D, name === 'b' ? 1 : 0]);
+      },
+      // Zeichenvergrößerung 1..8 in Breite und Höhe (GS !)
+      size(width = 1, height = width) {
+        const w = Math.max(1, Math.min(8, width | 0)) - 1;
+        const h = Math.max(1, Math.min(8, height | 0)) - 1;
+        return bytes([0x1D, 0x21, (w << 4) | h]);
+      },
+      align(where = 'left') {
+        if (!(where in ALIGN)) throw new Error('Unknown alignment: ' + where);
+        return bytes([0x1B, 0x61, ALIGN[where]]);
+      },
+      // ESC 3 n (Dots) bzw. ESC 2 (Standard)
+      lineSpacing(dots) {
+        return dots === undefined ? bytes([0x1B, 0x32]) : bytes([0x1B, 0x33, u8(dots, 'line spacing')]);
+      },
+      // bitmap: { data, bytesPerRow, height } (gepackt) oder { bits, width, height } (1 = schwarz)
+      raster(bitmap, { mode = 0, bandHeight = 256 } = {}) {
+        let packed = bitmap;
+        if (bitmap.bits) packed = packBitsMonochrome(bitmap.bits, bitmap.width, bitmap.height);
+        const bands = buildGsV0RasterBands(packed.bytesPerRow, packed.height || bitmap.height, packed.data, bandHeight, mode);
+        bands.forEach((band) => items.push({ band }));
+        return api;
+      },
+      // QR Code Model 2 (GS ( k): Größe 1..16, Fehlerkorrektur L/M/Q/H
+      qr(data, { size = 6, ec = 'M' } = {}) {
+        const payload = new TextEncoder().encode(String(data));
+        const len = payload.length + 3;
+        if (len > 0xFFFF) throw new Error('QR data too long');
+        bytes([0x1D, 0x28, 0x6B, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00]);
+        bytes([0x1D, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x43, Math.max(1, Math.min(16, size | 0))]);
+        bytes([0x1D, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x45, QR_EC[ec] || QR_EC.M]);
+        bytes(concatBytes([new Uint8Array([0x1D, 0x28, 0x6B, len & 0xFF, (len >> 8) & 0xFF, 0x31, 0x50, 0x30]), payload]));
+        return bytes([0x1D, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x51, 0x30]);
+      },
+      // Barcode (GS k, Format B); CODE128 bekommt ohne Angabe Code-Set B ("{B")
+      barcode(data, { type = 'CODE128', height = 80, width = 2, hri = 'below' } = {}) {
+        const m = BARCODE_TYPES[type];
+        if (!m) throw new Error('Unknown barcode type: ' + type);
+        let str = String(data);
+        if (type === 'CODE128' && !/^\{[ABC]/.test(str)) str = '{B' + str;
+        const payload = encodeText(str, 'cp437');
+        if (payload.length > 255) throw new Error('Barcode data too long');
+        bytes([0x1D, 0x68, u8(height, 'barcode height')]);
+        bytes([0x1D, 0x77, Math.max(2, Math.min(6, width | 0))]);
+        bytes([0x1D, 0x48, HRI[hri] || 0]);
+        return bytes([0x1D, 0x6B, m, payload.length].concat(payload));
+      },
+      // Kassenschublade: ESC p m t1 t2 (Zeiten in 2-ms-Schritten)
+      pulse(pin = 0, onMs = 100, offMs = 200) {
+        return bytes([0x1B, 0x70, pin ? 1 : 0, u8(Math.round(onMs / 2), 'pulse on'), u8(Math.round(offMs / 2), 'pulse off')]);
+      },
+      // GS V: 'full' / 'partial', mit feed > 0 vorher vorschieben (GS V 65/66 n)
+      cut(mode = 'full', feed = 0) {
+        const partial = mode === 'partial';
+        if (feed > 0) return bytes([0x1D, 0x56, partial ? 66 : 65, u8(feed, 'cut feed')]);
+        return bytes([0x1D, 0x56, partial ? 1 : 0]);
+      },
+      raw(data) {
+        return bytes(data);
+      },
+      poster() {
+        items.push({ poster: true });
+        return api;
+      },
+      // Blöcke für writePaced: kleine Befehle zusammengefasst, jedes Rasterband einzeln.
+      // parts.poster: Uint8Array oder Array von Blöcken (Bänder); ohne .poster()-Marke
+      // wird es ans Ende gehängt.
+      buildBlocks(parts = {}) {
+        const blocks = [];
+        let pending = [];
+        const flush = () => {
+          if (pending.length) blocks.push(concatBytes(pending));
+          pending = [];
+        };
+        const posterBlocks = !parts.poster ? [] : (Array.isArray(parts.poster) ? parts.poster : [parts.poster]);
+        let posterPlaced = false;
+        for (const item of items) {
+          if (item instanceof Uint8Array) {
+            pending.push(item);
+          } else if (item.band) {
+            flush();
+            blocks.push(item.band);
+          } else if (item.poster) {
+            flush();
+            posterBlocks.forEach((b) => blocks.push(b));
+            posterPlaced = true;
+          }
+        }
+        flush();
+        if (!posterPlaced) posterBlocks.forEach((b) => blocks.push(b));
+        return blocks;
+      },
+      build(parts = {}) {
+        return concatBytes(api.buildBlocks(parts));
+      }
+    };
+    return api;
+  }
+
+  // Kompletter Druckjob aus einer 1-bit Bitmap: Raster in Bändern, danach
+  // Vorschub und optional Schnitt – oder eingebettet in opts.builder (.poster())
+  // opts: { bandHeight, mode, feedLines (3), cutMode ('none' | 'partial' | 'full'), builder }
+  function buildRasterJob(bitmap, opts = {}) {
+    const { data, bytesPerRow } = packBitsMonochrome(bitmap.bitArray, bitmap.width, bitmap.height);
+    const mode = typeof opts.mode === 'number' ? opts.mode : 0;
+    const rasterBlocks = buildGsV0RasterBands(bytesPerRow, bitmap.height, data, opts.bandHeight, mode);
+    if (opts.builder) return opts.builder.buildBlocks({ poster: rasterBlocks });
+
+    const feedLines = typeof opts.feedLines === 'number' ? opts.feedLines : 3;
+    const tail = builder().feed(feedLines);
+    if (opts.cutMode === 'full' || opts.cutMode === 'partial') tail.cut(opts.cutMode);
+    return rasterBlocks.concat([tail.build()]);
+  }
+
+  // Papierlänge und Druckdauer schätzen (Vorschau, Kiosk-Hinweise).
+  // 203 dpi = 8 Dots/mm, Vorschub in Standard-Zeilenabstand (1/6 Zoll),
+  // Dauer = das Langsamere aus Mechanik (speedMmPerS) und Übertragung inkl. Pausen
+  // opts: { bandHeight, feedLines (3), transport, baudRate, chunkSize, chunkDelayMs, bandDelayMs, speedMmPerS }
+  const DOTS_PER_MM = 8;
+  const LINE_FEED_MM = 25.4 / 6;
+  const PRINT_SPEED_MM_S = 150;
+
+  function estimateJob(bitmap, opts = {}) {
+    const bytesPerRow = Math.ceil(bitmap.width / 8);
+    const rowsPerBand = Math.max(1, Math.min(opts.bandHeight | 0 || 256, 0xFFFF));
+    const bands = Math.ceil(bitmap.height / rowsPerBand);
+    const feedLines = typeof opts.feedLines === 'number' ? opts.feedLines : 3;
+    const bytes = bytesPerRow * bitmap.height + bands * 8 + 6;
+    const paperMm = bitmap.height / DOTS_PER_MM + feedLines * LINE_FEED_MM;
+
+    const chunkSize = opts.chunkSize > 0 ? opts.chunkSize : 1024;
+    const chunks = Math.ceil(bytesPerRow * rowsPerBand / chunkSize) * bands + 1;
+    let transferS = (chunks * (opts.chunkDelayMs || 0) + (bands + 1) * (opts.bandDelayMs || 0)) / 1000;
+    if (opts.transport === 'serial' && opts.baudRate > 0) transferS += bytes * 10 / opts.baudRate; // 8N1
+    const printS = paperMm / (opts.speedMmPerS || PRINT_SPEED_MM_S);
+
+    return { bytes, bands, paperMm, seconds: Math.max(transferS, printS) };
+  }
+
+  /* Printer status (DLE EOT n, GS r 1, ASB) */
+
+  // Antwortbytes von DLE EOT haben das Muster 0xx1xx10, ASB-Meldungen beginnen mit 0xx1xx00
+  function isStatusReply(byte) {
+    return (byte & 0x93) === 0x12;
+  }
+
+  function isAsbStart(byte) {
+    return (byte & 0x93) === 0x10;
+  }
+
+  function summarizeStatus(s) {
+    s.error = !!(s.cutterError || s.unrecoverableError || s.autoRecoverableError || s.mechanicalError);
+    s.ok = s.online && !s.coverOpen && !s.paperOut && !s.error;
+    return s;
+  }
+
+  // bytes: { printer, offline, error, paper } = Antworten auf DLE EOT 1..4
+  function parseStatusBytes(bytes) {
+    const { printer = 0, offline = 0, error = 0, paper = 0 } = bytes;
+    return summarizeStatus({
+      online: !(printer & 0x08),
+      coverOpen: !!(offline & 0x04),
+      feedButton: !!(offline & 0x08),
+      paperStop: !!(offline & 0x20),
+      mechanicalError: !!(error & 0x04),
+      cutterError: !!(error & 0x08),
+      unrecoverableError: !!(error & 0x20),
+      autoRecoverableError: !!(error & 0x40),
+      paperNearEnd: !!(paper & 0x0C),
+      paperOut: !!(paper & 0x60),
+      source: 'poll',
+      at: Date.now()
+    });
+  }
+
+  // ASB (GS a n): 4 Bytes, die der Drucker bei jeder Änderung von sich aus schickt
+  function parseAsb(frame) {
+    return summarizeStatus({
+      online: !(frame[0] & 0x08),
+      coverOpen: !!(frame[0] & 0x20),
+      feedButton: !!(frame[0] & 0x40),
+      paperStop: false,
+      mechanicalError: !!(frame[1] & 0x04),
+      cutterError: !!(frame[1] & 0x08),
+      unrecoverableError: !!(frame[1] & 0x20),
+      autoRecoverableError: !!(frame[1] & 0x40),
+      paperNearEnd: !!(frame[2] & 0x03),
+      paperOut: !!(frame[2] & 0x0C),
+      source: 'asb',
+      at: Date.now()
+    });
+  }
+
+  // expose
+  return {
+    grayscaleImageData,
+    applyTone,
+    floydSteinbergDither,
+    ditherGray,
+    DITHER_ALGORITHMS,
+    rasterizeRGBA,
+    packBitsMonochrome,
+    buildGsV0Raster,
+    buildGsV0RasterBands,
+    buildRasterJob,
+    DOTS_PER_MM,
+    estimateJob,
+    sleep,
+    withTimeout,
+    abortError,
+    writePaced,
+    STATUS_REQUEST,
+    STATUS_TIMEOUT_MS,
+    builder,
+    encodeText,
+    concatBytes,
+    CODEPAGES,
+    isStatusReply,
+    isAsbStart,
+    parseStatusBytes,
+    parseAsb
+  };
+});
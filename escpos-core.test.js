@@ -0,0 +1,167 @@
+// escpos-core.test.js
+// Exakte Bytes des Encoders für bekannte Bitmaps (ohne Browser, ohne Drucker).
+//
+// Usage: node --test escpos-core.test.js
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('./escpos-core.js');
+
+// "1011 0" -> [1, 0, 1, 1, 0]
+function bits(str) {
+  return Uint8Array.from(str.replace(/\s+/g, ''), (c) => (c === '1' ? 1 : 0));
+}
+
+function hex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+}
+
+/* packBitsMonochrome */
+
+test('packBitsMonochrome packs 8 pixels per byte, MSB = leftmost pixel', () => {
+  const bitmap = bits('10000001' + '01010101');
+  const { data, bytesPerRow } = core.packBitsMonochrome(bitmap, 8, 2);
+  assert.equal(bytesPerRow, 1);
+  assert.equal(hex(data), '81 55');
+});
+
+test('packBitsMonochrome pads rows whose width is not a multiple of 8 with white', () => {
+  // 10 Pixel breit: 2 Bytes pro Zeile, die letzten 6 Bits bleiben 0
+  const bitmap = bits('1111111111' + '0000000001' + '1000000000');
+  const { data, bytesPerRow } = core.packBitsMonochrome(bitmap, 10, 3);
+  assert.equal(bytesPerRow, 2);
+  assert.equal(hex(data), 'FF C0 00 40 80 00');
+});
+
+test('packBitsMonochrome handles widths below one byte', () => {
+  const { data, bytesPerRow } = core.packBitsMonochrome(bits('101' + '011'), 3, 2);
+  assert.equal(bytesPerRow, 1);
+  assert.equal(hex(data), 'A0 60');
+});
+
+/* GS v 0 */
+
+test('buildGsV0Raster writes the header 1D 76 30 m xL xH yL yH before the data', () => {
+  const data = Uint8Array.from([0xAA, 0x55, 0xFF, 0x00]);
+  assert.equal(hex(core.buildGsV0Raster(2, 2, data)), '1D 76 30 00 02 00 02 00 AA 55 FF 00');
+  assert.equal(hex(core.buildGsV0Raster(2, 2, data, 3)), '1D 76 30 03 02 00 02 00 AA 55 FF 00');
+});
+
+test('buildGsV0Raster splits width and height into low and high bytes', () => {
+  const raster = core.buildGsV0Raster(0x130, 0x0102, new Uint8Array(0x130 * 0x0102));
+  assert.equal(hex(raster.subarray(0, 8)), '1D 76 30 00 30 01 02 01');
+  assert.equal(raster.length, 8 + 0x130 * 0x0102);
+});
+
+test('buildGsV0RasterBands splits rows into bands with their own headers', () => {
+  // 1 Byte pro Zeile, 5 Zeilen, Bänder à 2 Zeilen -> 2 + 2 + 1
+  const data = Uint8Array.from([0x01, 0x02, 0x03, 0x04, 0x05]);
+  const bands = core.buildGsV0RasterBands(1, 5, data, 2);
+  assert.deepEqual(bands.map(hex), [
+    '1D 76 30 00 01 00 02 00 01 02',
+    '1D 76 30 00 01 00 02 00 03 04',
+    '1D 76 30 00 01 00 01 00 05'
+  ]);
+});
+
+test('buildGsV0RasterBands keeps a short image in one band', () => {
+  const bands = core.buildGsV0RasterBands(1, 3, Uint8Array.from([7, 8, 9]), 256);
+  assert.deepEqual(bands.map(hex), ['1D 76 30 00 01 00 03 00 07 08 09']);
+});
+
+/* Job */
+
+const SMALL = { bitArray: bits('11110000' + '00001111'), width: 8, height: 2 };
+
+test('buildRasterJob ends with 3 feed lines and no cut by default', () => {
+  const blocks = core.buildRasterJob(SMALL);
+  assert.deepEqual(blocks.map(hex), [
+    '1D 76 30 00 01 00 02 00 F0 0F',
+    '1B 64 03'
+  ]);
+});
+
+test('buildRasterJob appends feed and partial or full cut', () => {
+  assert.equal(hex(core.buildRasterJob(SMALL, { feedLines: 5, cutMode: 'partial' }).pop()), '1B 64 05 1D 56 01');
+  assert.equal(hex(core.buildRasterJob(SMALL, { feedLines: 2, cutMode: 'full' }).pop()), '1B 64 02 1D 56 00');
+  // ohne Vorschub nur der Schnitt
+  assert.equal(hex(core.buildRasterJob(SMALL, { feedLines: 0, cutMode: 'full' }).pop()), '1D 56 00');
+});
+
+test('buildRasterJob bands the raster by opts.bandHeight', () => {
+  const blocks = core.buildRasterJob(SMALL, { bandHeight: 1, feedLines: 1 });
+  assert.deepEqual(blocks.map(hex), [
+    '1D 76 30 00 01 00 01 00 F0',
+    '1D 76 30 00 01 00 01 00 0F',
+    '1B 64 01'
+  ]);
+});
+
+/* Dithering */
+
+// 8 × 4 Graukeil von Schwarz (links) nach Weiß (rechts)
+function ramp() {
+  const width = 8;
+  const height = 4;
+  const gray = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) gray[y * width + x] = x * 255 / (width - 1);
+  }
+  return { gray, width, height };
+}
+
+function ditherRows(opts) {
+  const { gray, width, height } = ramp();
+  const bw = core.ditherGray(gray, width, height, opts);
+  const rows = [];
+  for (let y = 0; y < height; y++) rows.push(Array.from(bw.subarray(y * width, (y + 1) * width)).join(''));
+  return rows;
+}
+
+const EXPECTED_DITHER = {
+  'floyd-steinberg': ['11101000', '11101000', '11010000', '11101010'],
+  'atkinson': ['11110000', '11100000', '11101000', '11110000'],
+  'stucki': ['11110000', '11100100', '11101000', '11100000'],
+  'jarvis-judice-ninke': ['11110000', '11100000', '11110100', '11101000'],
+  'sierra': ['11110000', '11100000', '11111000', '11001000'],
+  'bayer4': ['11010000', '11101010', '11010100', '11101000'],
+  'bayer8': ['11010000', '11101010', '11010100', '11101000'],
+  'threshold': ['11110000', '11110000', '11110000', '11110000']
+};
+
+test('every dither algorithm has an expected pattern', () => {
+  assert.deepEqual(Object.keys(EXPECTED_DITHER).sort(), core.DITHER_ALGORITHMS.slice().sort());
+});
+
+Object.keys(EXPECTED_DITHER).forEach((dither) => {
+  test(`${dither} dithers the gray ramp to a fixed pattern`, () => {
+    assert.deepEqual(ditherRows({ dither }), EXPECTED_DITHER[dither]);
+  });
+});
+
+test('threshold respects opts.threshold', () => {
+  assert.deepEqual(ditherRows({ dither: 'threshold', threshold: 200 }), ['11111100', '11111100', '11111100', '11111100']);
+});
+
+test('unknown dither algorithms are rejected', () => {
+  assert.throws(() => ditherRows({ dither: 'nope' }), /Unknown dither algorithm/);
+});
+
+/* RGBA -> Job */
+
+test('rasterizeRGBA + buildRasterJob turn black/white RGBA into exact bytes', () => {
+  // 9 × 1: schwarz, weiß, schwarz, … (9. Pixel schwarz -> zweites Byte 0x80)
+  const width = 9;
+  const data = new Uint8ClampedArray(width * 4);
+  for (let x = 0; x < width; x++) {
+    const v = x % 2 === 0 ? 0 : 255;
+    data.set([v, v, v, 255], x * 4);
+  }
+  const bitmap = core.rasterizeRGBA({ data, width, height: 1 }, { dither: 'threshold' });
+  assert.deepEqual(core.buildRasterJob(bitmap, { feedLines: 1 }).map(hex), [
+    '1D 76 30 00 02 00 01 00 AA 80',
+    '1B 64 01'
+  ]);
+});
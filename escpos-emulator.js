@@ -0,0 +1,630 @@
+// escpos-emulator.js
+// Virtueller ESC/POS-Drucker: interpretiert den Byte-Strom der Pipeline
+// (GS v 0 Raster, Text, Vorschub, Schnitt, QR/Barcode, Status-Abfragen …)
+// und rendert daraus einen Bon als Bitmap, dazu ein Log der Kommandos.
+// - im Browser: Transport 'virtual' in den Drucker-Einstellungen, Bon als Canvas
+// - in Node: headless, PNG ohne Abhängigkeiten, z.B. für Regressionstests mit
+//   Jobs, die print-proxy.js (--target file:./print-jobs) gespeichert hat
+//
+// Text nutzt eine kleine 5x8-Bitmap-Schrift (ASCII, Akzente werden weggelassen,
+// sonst Kästchen);
+// QR-Codes und Barcodes werden als Platzhalter in passender Größe gezeichnet.
+//
+// Usage: escposEmulator.interpret(bytes, { widthDots: 384 }) -> receipt
+//        escposEmulator.toCanvas(receipt) / escposEmulator.toPNG(receipt) (Node)
+//        node escpos-emulator.js job.bin [out.png] [--width 576] [--quiet]
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+    if (require.main === module) module.exports.main(process.argv.slice(2));
+  } else {
+    root.escposEmulator = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // 0x20..0x7E, je 5 Spalten, Bit 0 = oberste Zeile
+  const FONT_5X8 = [
+    0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x5F, 0x00, 0x00, 0x00, 0x07, 0x00, 0x07, 0x00, 0x14, 0x7F, 0x14, 0x7F, 0x14,
+    0x24, 0x2A, 0x7F, 0x2A, 0x12, 0x23, 0x13, 0x08, 0x64, 0x62, 0x36, 0x49, 0x56, 0x20, 0x50, 0x00, 0x08, 0x07, 0x03, 0x00,
+    0x00, 0x1C, 0x22, 0x41, 0x00, 0x00, 0x41, 0x22, 0x1C, 0x00, 0x2A, 0x1C, 0x7F, 0x1C, 0x2A, 0x08, 0x08, 0x3E, 0x08, 0x08,
+    0x00, 0x80, 0x70, 0x30, 0x00, 0x08, 0x08, 0x08, 0x08, 0x08, 0x00, 0x00, 0x60, 0x60, 0x00, 0x20, 0x10, 0x08, 0x04, 0x02,
+    0x3E, 0x51, 0x49, 0x45, 0x3E, 0x00, 0x42, 0x7F, 0x40, 0x00, 0x72, 0x49, 0x49, 0x49, 0x46, 0x21, 0x41, 0x49, 0x4D, 0x33,
+    0x18, 0x14, 0x12, 0x7F, 0x10, 0x27, 0x45, 0x45, 0x45, 0x39, 0x3C, 0x4A, 0x49, 0x49, 0x31, 0x41, 0x21, 0x11, 0x09, 0x07,
+    0x36, 0x49, 0x49, 0x49, 0x36, 0x46, 0x49, 0x49, 0x29, 0x1E, 0x00, 0x36, 0x36, 0x00, 0x00, 0x00, 0x56, 0x36, 0x00, 0x00,
+    0x00, 0x08, 0x14, 0x22, 0x41, 0x14, 0x14, 0x14, 0x14, 0x14, 0x00, 0x41, 0x22, 0x14, 0x08, 0x02, 0x01, 0x59, 0x09, 0x06,
+    0x3E, 0x41, 0x5D, 0x59, 0x4E, 0x7C, 0x12, 0x11, 0x12, 0x7C, 0x7F, 0x49, 0x49, 0x49, 0x36, 0x3E, 0x41, 0x41, 0x41, 0x22,
+    0x7F, 0x41, 0x41, 0x41, 0x3E, 0x7F, 0x49, 0x49, 0x49, 0x41, 0x7F, 0x09, 0x09, 0x09, 0x01, 0x3E, 0x41, 0x41, 0x51, 0x73,
+    0x7F, 0x08, 0x08, 0x08, 0x7F, 0x00, 0x41, 0x7F, 0x41, 0x00, 0x20, 0x40, 0x41, 0x3F, 0x01, 0x7F, 0x08, 0x14, 0x22, 0x41,
+    0x7F, 0x40, 0x40, 0x40, 0x40, 0x7F, 0x02, 0x1C, 0x02, 0x7F, 0x7F, 0x04, 0x08, 0x10, 0x7F, 0x3E, 0x41, 0x41, 0x41, 0x3E,
+    0x7F, 0x09, 0x09, 0x09, 0x06, 0x3E, 0x41, 0x51, 0x21, 0x5E, 0x7F, 0x09, 0x19, 0x29, 0x46, 0x26, 0x49, 0x49, 0x49, 0x32,
+    0x03, 0x01, 0x7F, 0x01, 0x03, 0x3F, 0x40, 0x40, 0x40, 0x3F, 0x1F, 0x20, 0x40, 0x20, 0x1F, 0x3F, 0x40, 0x38, 0x40, 0x3F,
+    0x63, 0x14, 0x08, 0x14, 0x63, 0x03, 0x04, 0x78, 0x04, 0x03, 0x61, 0x59, 0x49, 0x4D, 0x43, 0x00, 0x7F, 0x41, 0x41, 0x41,
+    0x02, 0x04, 0x08, 0x10, 0x20, 0x00, 0x41, 0x41, 0x41, 0x7F, 0x04, 0x02, 0x01, 0x02, 0x04, 0x40, 0x40, 0x40, 0x40, 0x40,
+    0x00, 0x03, 0x07, 0x08, 0x00, 0x20, 0x54, 0x54, 0x78, 0x40, 0x7F, 0x28, 0x44, 0x44, 0x38, 0x38, 0x44, 0x44, 0x44, 0x28,
+    0x38, 0x44, 0x44, 0x28, 0x7F, 0x38, 0x54, 0x54, 0x54, 0x18, 0x00, 0x08, 0x7E, 0x09, 0x02, 0x18, 0xA4, 0xA4, 0x9C, 0x78,
+    0x7F, 0x08, 0x04, 0x04, 0x78, 0x00, 0x44, 0x7D, 0x40, 0x00, 0x20, 0x40, 0x40, 0x3D, 0x00, 0x7F, 0x10, 0x28, 0x44, 0x00,
+    0x00, 0x41, 0x7F, 0x40, 0x00, 0x7C, 0x04, 0x78, 0x04, 0x78, 0x7C, 0x08, 0x04, 0x04, 0x78, 0x38, 0x44, 0x44, 0x44, 0x38,
+    0xFC, 0x18, 0x24, 0x24, 0x18, 0x18, 0x24, 0x24, 0x18, 0xFC, 0x7C, 0x08, 0x04, 0x04, 0x08, 0x48, 0x54, 0x54, 0x54, 0x24,
+    0x04, 0x04, 0x3F, 0x44, 0x24, 0x3C, 0x40, 0x40, 0x20, 0x7C, 0x1C, 0x20, 0x40, 0x20, 0x1C, 0x3C, 0x40, 0x30, 0x40, 0x3C,
+    0x44, 0x28, 0x10, 0x28, 0x44, 0x4C, 0x90, 0x90, 0x90, 0x7C, 0x44, 0x64, 0x54, 0x4C, 0x44, 0x00, 0x08, 0x36, 0x41, 0x00,
+    0x00, 0x00, 0x77, 0x00, 0x00, 0x00, 0x41, 0x36, 0x08, 0x00, 0x02, 0x01, 0x02, 0x04, 0x02
+  ];
+  const BOX_GLYPH = [0x7F, 0x41, 0x41, 0x41, 0x7F];
+
+  // Zellgröße wie Font A (12x24) / Font B (9x17), Glyphe entsprechend skaliert
+  const FONTS = {
+    a: { cellW: 12, cellH: 24, sx: 2, sy: 3, x0: 1 },
+    b: { cellW: 9, cellH: 17, sx: 1, sy: 2, x0: 2 }
+  };
+
+  const DEFAULT_LINE_SPACING = 30;
+
+  // Bytes pro QR-Version 1..10 (Byte-Modus, Fehlerkorrektur M), nur für die Größe
+  const QR_CAPACITY = [14, 26, 42, 62, 84, 106, 122, 152, 180, 213];
+
+  const BARCODE_NAMES = {
+    0: 'UPC-A', 1: 'UPC-E', 2: 'EAN13', 3: 'EAN8', 4: 'CODE39', 5: 'ITF', 6: 'CODABAR',
+    65: 'UPC-A', 66: 'UPC-E', 67: 'EAN13', 68: 'EAN8', 69: 'CODE39', 70: 'ITF', 71: 'CODABAR',
+    72: 'CODE93', 73: 'CODE128'
+  };
+
+  function hex(b) {
+    return '0x' + b.toString(16).toUpperCase().padStart(2, '0');
+  }
+
+  // ASCII-Ziffern '0'/'1'/'2' sind bei vielen Kommandos gleichbedeutend mit 0/1/2
+  function digitArg(n) {
+    return n >= 48 ? n - 48 : n;
+  }
+
+  // wachsende 1-bit-Seite, 1 = schwarz
+  function createPage(width) {
+    let height = 0;
+    let pixels = new Uint8Array(width * 256);
+
+    function grow(rows) {
+      if (rows * width > pixels.length) {
+        let size = pixels.length * 2;
+        while (size < rows * width) size *= 2;
+        const next = new Uint8Array(size);
+        next.set(pixels);
+        pixels = next;
+      }
+      if (rows > height) height = rows;
+    }
+
+    return {
+      width,
+      get height() {
+        return height;
+      },
+      extend: grow,
+      fill(x, y, w, h, on = 1) {
+        const x1 = Math.min(width, x + w);
+        const y1 = y + h;
+        if (y1 > 0) grow(y1);
+        for (let yy = Math.max(0, y); yy < y1; yy++) {
+          for (let xx = Math.max(0, x); xx < x1; xx++) pixels[yy * width + xx] = on;
+        }
+      },
+      pixels: () => pixels.slice(0, width * height)
+    };
+  }
+
+  // bytes: Uint8Array (oder ArrayBuffer/Array) eines kompletten Jobs
+  // opts: { widthDots, codepages } – codepages wie escposPrinter.CODEPAGES, nur fürs Text-Log
+  // -> { width, height, pixels (1 = schwarz), log: [{ offset, command, detail }], cuts: [y], text: [Zeilen] }
+  function interpret(input, opts = {}) {
+    const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+    const width = opts.widthDots || 384;
+    const page = createPage(width);
+    const log = [];
+    const cuts = [];
+    const text = [];
+
+    let state = initialState();
+    let y = 0;
+    let line = [];
+    let lineWidth = 0;
+    let run = null; // aktueller Text-Lauf fürs Log
+    let qr = { size: 3, ec: 'M', data: null };
+    let barcode = { height: 162, module: 3, hri: 0 };
+
+    function initialState() {
+      return { font: 'a', bold: false, underline: 0, invert: false, sw: 1, sh: 1, align: 0, lineSpacing: DEFAULT_LINE_SPACING, codepage: 0 };
+    }
+
+    function note(offset, command, detail = '') {
+      endRun();
+      log.push({ offset, command, detail });
+    }
+
+    function endRun() {
+      if (!run) return;
+      log.push({ offset: run.offset, command: 'text', detail: JSON.stringify(run.chars) });
+      run = null;
+    }
+
+    function decodeChar(code) {
+      if (code < 0x80) return String.fromCharCode(code);
+      const table = opts.codepages && Object.values(opts.codepages).find((cp) => cp.n === state.codepage);
+      return table ? table.chars[code - 0x80] : '�';
+    }
+
+    function alignX(w) {
+      if (state.align === 1) return Math.max(0, Math.floor((width - w) / 2));
+      if (state.align === 2) return Math.max(0, width - w);
+      return 0;
+    }
+
+    function drawGlyph(g, x, top) {
+      const f = FONTS[g.font];
+      const w = f.cellW * g.sw;
+      const h = f.cellH * g.sh;
+      const on = g.invert ? 0 : 1;
+      if (g.invert) page.fill(x, top, w, h, 1);
+      const cols = (g.glyph >= 0x20 && g.glyph <= 0x7E) ? FONT_5X8.slice((g.glyph - 0x20) * 5, (g.glyph - 0x1F) * 5) : BOX_GLYPH;
+      for (let c = 0; c < 5; c++) {
+        for (let r = 0; r < 8; r++) {
+          if (!((cols[c] >> r) & 1)) continue;
+          const px = x + (f.x0 + c * f.sx) * g.sw;
+          const py = top + r * f.sy * g.sh;
+          page.fill(px, py, f.sx * g.sw + (g.bold ? 1 : 0), f.sy * g.sh, on);
+        }
+      }
+      if (g.underline) page.fill(x, top + h - g.underline, w, g.underline, on);
+    }
+
+    // druckt den Zeilenpuffer und schiebt n Zeilen vor (LF = ESC d 1)
+    function printAndFeed(lines, dots = 0) {
+      endRun();
+      let h = 0;
+      if (line.length) {
+        line.forEach((g) => { h = Math.max(h, FONTS[g.font].cellH * g.sh); });
+        let x = alignX(lineWidth);
+        line.forEach((g) => {
+          drawGlyph(g, x, y + h - FONTS[g.font].cellH * g.sh);
+          x += FONTS[g.font].cellW * g.sw;
+        });
+        text.push(line.map((g) => g.ch).join(''));
+        page.extend(y + h);
+        line = [];
+        lineWidth = 0;
+      }
+      if (lines > 0) y += Math.max(state.lineSpacing, h) + (lines - 1) * state.lineSpacing;
+      y += dots;
+      page.extend(y);
+    }
+
+    function addChar(code, offset) {
+      const f = FONTS[state.font];
+      const w = f.cellW * state.sw;
+      if (lineWidth + w > width) printAndFeed(1);
+      const ch = decodeChar(code);
+      // Umlaute & Co. ohne Akzent zeichnen, alles andere als Kästchen
+      const base = ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+      const glyph = base.length === 1 ? base.charCodeAt(0) : 0;
+      line.push({ glyph, ch, font: state.font, bold: state.bold, underline: state.underline, invert: state.invert, sw: state.sw, sh: state.sh });
+      lineWidth += w;
+      if (!run) run = { offset, chars: '' };
+      run.chars += ch;
+    }
+
+    // GS v 0: gepackte Zeilen, MSB = linkes Pixel
+    function drawRaster(bytesPerRow, rows, mode, data) {
+      if (line.length) printAndFeed(1);
+      const scaleX = (mode & 1) ? 2 : 1;
+      const scaleY = (mode & 2) ? 2 : 1;
+      const x0 = alignX(bytesPerRow * 8 * scaleX);
+      for (let r = 0; r < rows; r++) {
+        for (let bx = 0; bx < bytesPerRow; bx++) {
+          const b = data[r * bytesPerRow + bx];
+          if (!b) continue;
+          for (let bit = 0; bit < 8; bit++) {
+            if (b & (0x80 >> bit)) page.fill(x0 + (bx * 8 + bit) * scaleX, y + r * scaleY, scaleX, scaleY, 1);
+          }
+        }
+      }
+      y += rows * scaleY;
+      page.extend(y);
+    }
+
+    // Platzhalter: Finder-Muster an drei Ecken, Inhalt aus einem Hash der Daten
+    function drawQr(data) {
+      if (line.length) printAndFeed(1);
+      let version = QR_CAPACITY.findIndex((cap) => data.length <= cap) + 1;
+      if (version === 0) version = Math.min(40, 10 + Math.ceil((data.length - 213) / 30));
+      const modules = 17 + 4 * version;
+      const m = qr.size;
+      const x0 = alignX(modules * m);
+      let hash = 2166136261;
+      data.forEach((b) => { hash = Math.imul(hash ^ b, 16777619) >>> 0; });
+      const finder = (fx, fy) => {
+        page.fill(x0 + fx * m, y + fy * m, 7 * m, 7 * m, 1);
+        page.fill(x0 + (fx + 1) * m, y + (fy + 1) * m, 5 * m, 5 * m, 0);
+        page.fill(x0 + (fx + 2) * m, y + (fy + 2) * m, 3 * m, 3 * m, 1);
+      };
+      for (let my = 0; my < modules; my++) {
+        for (let mx = 0; mx < modules; mx++) {
+          const inFinder = (mx < 8 && my < 8) || (mx >= modules - 8 && my < 8) || (mx < 8 && my >= modules - 8);
+          if (inFinder) continue;
+          hash = Math.imul(hash ^ (mx * 31 + my), 16777619) >>> 0;
+          if (hash & 0x100) page.fill(x0 + mx * m, y + my * m, m, m, 1);
+        }
+      }
+      finder(0, 0);
+      finder(modules - 7, 0);
+      finder(0, modules - 7);
+      y += modules * m;
+      page.extend(y);
+      return modules;
+    }
+
+    // Platzhalter: 11 Module pro Zeichen zwischen Start- und Stopmuster
+    function drawBarcode(data, type) {
+      if (line.length) printAndFeed(1);
+      let label = String.fromCharCode.apply(null, data);
+      if (type === 73) label = label.replace(/\{[ABC]/g, ''); // CODE128-Code-Sets nicht im Klartext
+      const pattern = [1, 1, 0, 1, 0, 0, 1, 1, 1, 0, 0];
+      data.forEach((c) => {
+        const bits = (Math.imul(c + 1, 2654435761) >>> 21) | 0x401;
+        for (let i = 10; i >= 0; i--) pattern.push((bits >> i) & 1);
+      });
+      pattern.push(1, 1, 0, 0, 0, 1, 1, 1, 0, 1, 0, 1, 1);
+      const w = pattern.length * barcode.module;
+      const x0 = alignX(w);
+      const hri = () => {
+        const saved = Object.assign({}, state);
+        Object.assign(state, { font: 'b', sw: 1, sh: 1, bold: false, invert: false, underline: 0 });
+        for (const ch of label) addChar(ch.charCodeAt(0), -1);
+        run = null;
+        printAndFeed(1);
+        state = saved;
+      };
+      if (barcode.hri & 1) hri();
+      pattern.forEach((bit, i) => {
+        if (bit) page.fill(x0 + i * barcode.module, y, barcode.module, barcode.height, 1);
+      });
+      y += barcode.height;
+      page.extend(y);
+      if (barcode.hri & 2) hri();
+    }
+
+    function cut(offset, partial, feed) {
+      if (line.length) printAndFeed(1);
+      y += feed;
+      page.extend(y);
+      cuts.push(y);
+      note(offset, 'GS V', (partial ? 'partial cut' : 'full cut') + (feed ? ` after ${feed} dots feed` : ''));
+    }
+
+    const n = bytes.length;
+    let i = 0;
+    const need = (k) => {
+      if (i + k <= n) return true;
+      note(i, 'truncated', `command needs ${k} bytes, only ${n - i} left`);
+      i = n;
+      return false;
+    };
+
+    while (i < n) {
+      const b = bytes[i];
+      const start = i;
+
+      if (b === 0x0A) {
+        printAndFeed(1);
+        i += 1;
+      } else if (b === 0x0D) {
+        i += 1;
+      } else if (b === 0x09) {
+        addChar(0x20, i);
+        i += 1;
+      } else if (b === 0x0C) {
+        printAndFeed(1);
+        note(start, 'FF', 'print and return to standard mode');
+        i += 1;
+      } else if (b === 0x1B) {
+        if (!need(2)) break;
+        const c = bytes[i + 1];
+        if (c === 0x40) {
+          line = [];
+          lineWidth = 0;
+          run = null;
+          state = initialState();
+          qr = { size: 3, ec: 'M', data: null };
+          barcode = { height: 162, module: 3, hri: 0 };
+          note(start, 'ESC @', 'initialize');
+          i += 2;
+        } else if (c === 0x32) {
+          state.lineSpacing = DEFAULT_LINE_SPACING;
+          note(start, 'ESC 2', 'default line spacing');
+          i += 2;
+        } else if (c === 0x69 || c === 0x6D) {
+          cut(start, c === 0x6D, 0);
+          i += 2;
+        } else if (c === 0x70) {
+          if (!need(5)) break;
+          note(start, 'ESC p', `drawer pulse pin ${bytes[i + 2] & 1}, on ${bytes[i + 3] * 2} ms, off ${bytes[i + 4] * 2} ms`);
+          i += 5;
+        } else {
+          if (!need(3)) break;
+          const a = bytes[i + 2];
+          i += 3;
+          switch (c) {
+            case 0x74: state.codepage = a; note(start, 'ESC t', `codepage ${a}`); break;
+            case 0x21:
+              state.font = (a & 0x01) ? 'b' : 'a';
+              state.bold = !!(a & 0x08);
+              state.sh = (a & 0x10) ? 2 : 1;
+              state.sw = (a & 0x20) ? 2 : 1;
+              state.underline = (a & 0x80) ? 1 : 0;
+              note(start, 'ESC !', `print mode ${hex(a)}`);
+              break;
+            case 0x45:
+            case 0x47: state.bold = !!(a & 1); note(start, c === 0x45 ? 'ESC E' : 'ESC G', state.bold ? 'bold on' : 'bold off'); break;
+            case 0x2D: state.underline = Math.min(2, digitArg(a)); note(start, 'ESC -', `underline ${state.underline}`); break;
+            case 0x4D: state.font = (digitArg(a) & 1) ? 'b' : 'a'; note(start, 'ESC M', `font ${state.font.toUpperCase()}`); break;
+            case 0x61: state.align = Math.min(2, digitArg(a)); note(start, 'ESC a', ['left', 'center', 'right'][state.align]); break;
+            case 0x33: state.lineSpacing = a; note(start, 'ESC 3', `line spacing ${a} dots`); break;
+            case 0x64: note(start, 'ESC d', `print and feed ${a} lines`); printAndFeed(a); break;
+            case 0x4A: note(start, 'ESC J', `print and feed ${a} dots`); printAndFeed(0, a); break;
+            case 0x52: note(start, 'ESC R', `international character set ${a}`); break;
+            case 0x20: note(start, 'ESC SP', `character spacing ${a} (not emulated)`); break;
+            case 0x7B: note(start, 'ESC {', `upside-down ${a & 1 ? 'on' : 'off'} (not emulated)`); break;
+            case 0x56: note(start, 'ESC V', `rotation ${a & 1 ? 'on' : 'off'} (not emulated)`); break;
+            default: note(start, 'ESC ' + hex(c), 'unknown command'); i = start + 2;
+          }
+        }
+      } else if (b === 0x1D) {
+        if (!need(2)) break;
+        const c = bytes[i + 1];
+        if (c === 0x76) {
+          if (!need(8)) break;
+          const mode = bytes[i + 3];
+          const bytesPerRow = bytes[i + 4] | (bytes[i + 5] << 8);
+          const rows = bytes[i + 6] | (bytes[i + 7] << 8);
+          const size = bytesPerRow * rows;
+          if (!need(8 + size)) break;
+          note(start, 'GS v 0', `raster ${bytesPerRow * 8}x${rows} dots, mode ${mode}`);
+          if (bytesPerRow * 8 > width) note(start, 'warning', `raster is wider (${bytesPerRow * 8}) than the paper (${width})`);
+          drawRaster(bytesPerRow, rows, mode & 3, bytes.subarray(i + 8, i + 8 + size));
+          i += 8 + size;
+        } else if (c === 0x56) {
+          if (!need(3)) break;
+          const m = bytes[i + 2];
+          if (m === 65 || m === 66 || m === 97 || m === 98) {
+            if (!need(4)) break;
+            cut(start, m === 66 || m === 98, bytes[i + 3]);
+            i += 4;
+          } else {
+            cut(start, m === 1 || m === 49, 0);
+            i += 3;
+          }
+        } else if (c === 0x28) {
+          if (!need(5)) break;
+          const len = bytes[i + 3] | (bytes[i + 4] << 8);
+          if (!need(5 + len)) break;
+          const fn = bytes[i + 6];
+          if (bytes[i + 2] === 0x6B && bytes[i + 5] === 0x31) {
+            if (fn === 0x41) {
+              note(start, 'GS ( k', `QR model ${digitArg(bytes[i + 7])}`);
+            } else if (fn === 0x43) {
+              qr.size = Math.max(1, Math.min(16, bytes[i + 7]));
+              note(start, 'GS ( k', `QR module size ${qr.size}`);
+            } else if (fn === 0x45) {
+              qr.ec = 'LMQH'[bytes[i + 7] - 48] || '?';
+              note(start, 'GS ( k', `QR error correction ${qr.ec}`);
+            } else if (fn === 0x50) {
+              qr.data = bytes.slice(i + 8, i + 5 + len);
+              note(start, 'GS ( k', `QR store ${qr.data.length} bytes`);
+            } else if (fn === 0x51) {
+              if (qr.data) {
+                const modules = drawQr(qr.data);
+                note(start, 'GS ( k', `QR print ${modules}x${modules} modules (placeholder)`);
+              } else {
+                note(start, 'warning', 'QR print without stored data');
+              }
+            } else {
+              note(start, 'GS ( k', `QR function ${hex(fn)}`);
+            }
+          } else {
+            note(start, 'GS ( ' + String.fromCharCode(bytes[i + 2]), `${len} bytes (not emulated)`);
+          }
+          i += 5 + len;
+        } else if (c === 0x6B) {
+          if (!need(3)) break;
+          const m = bytes[i + 2];
+          let data;
+          if (m <= 6) {
+            let end = i + 3;
+            while (end < n && bytes[end] !== 0) end++;
+            data = bytes.slice(i + 3, end);
+            i = end + 1;
+          } else {
+            if (!need(4)) break;
+            const len = bytes[i + 3];
+            if (!need(4 + len)) break;
+            data = bytes.slice(i + 4, i + 4 + len);
+            i += 4 + len;
+          }
+          note(start, 'GS k', `barcode ${BARCODE_NAMES[m] || m} "${String.fromCharCode.apply(null, data)}" (placeholder)`);
+          drawBarcode(data, m);
+        } else if (c === 0x4C || c === 0x57 || c === 0x50) {
+          if (!need(4)) break;
+          const v = bytes[i + 2] | (bytes[i + 3] << 8);
+          const name = { 0x4C: 'left margin', 0x57: 'print area width', 0x50: 'motion units' }[c];
+          note(start, 'GS ' + String.fromCharCode(c), `${name} ${v} (not emulated)`);
+          i += 4;
+        } else {
+          if (!need(3)) break;
+          const a = bytes[i + 2];
+          i += 3;
+          switch (c) {
+            case 0x21: state.sw = (a >> 4) + 1; state.sh = (a & 7) + 1; note(start, 'GS !', `character size ${state.sw}x${state.sh}`); break;
+            case 0x42: state.invert = !!(a & 1); note(start, 'GS B', state.invert ? 'reverse on' : 'reverse off'); break;
+            case 0x68: barcode.height = Math.max(1, a); note(start, 'GS h', `barcode height ${a}`); break;
+            case 0x77: barcode.module = Math.max(1, a); note(start, 'GS w', `barcode module width ${a}`); break;
+            case 0x48: barcode.hri = digitArg(a) & 3; note(start, 'GS H', `HRI position ${['none', 'above', 'below', 'both'][barcode.hri]}`); break;
+            case 0x66: note(start, 'GS f', `HRI font ${a}`); break;
+            case 0x72: note(start, 'GS r', `status request ${a}`); break;
+            case 0x61: note(start, 'GS a', `automatic status back ${hex(a)}`); break;
+            default: note(start, 'GS ' + hex(c), 'unknown command'); i = start + 2;
+          }
+        }
+      } else if (b === 0x10) {
+        if (!need(2)) break;
+        const c = bytes[i + 1];
+        if (c === 0x04) {
+          if (!need(3)) break;
+          note(start, 'DLE EOT', `real-time status ${bytes[i + 2]}`);
+          i += 3;
+        } else if (c === 0x14) {
+          if (!need(5)) break;
+          note(start, 'DLE DC4', `real-time request ${bytes[i + 2]}`);
+          i += 5;
+        } else {
+          note(start, 'DLE ' + hex(c), 'unknown command');
+          i += 2;
+        }
+      } else if (b < 0x20 || b === 0x7F) {
+        note(start, hex(b), 'ignored control byte');
+        i += 1;
+      } else {
+        addChar(b, start);
+        i += 1;
+      }
+    }
+
+    endRun();
+    if (line.length) {
+      note(n, 'warning', `${line.length} characters left in the buffer (no LF at the end)`);
+    }
+
+    return { width, height: page.height, pixels: page.pixels(), log, cuts, text };
+  }
+
+  // Graustufen: Papier weiß, Punkte schwarz, Schnittlinien gestrichelt grau
+  function toGray(receipt) {
+    const { width, height, pixels } = receipt;
+    const gray = new Uint8Array(width * height);
+    for (let i = 0; i < gray.length; i++) gray[i] = pixels[i] ? 0 : 255;
+    receipt.cuts.forEach((cy) => {
+      const row = Math.min(height - 1, cy);
+      if (row < 0) return;
+      for (let x = 0; x < width; x++) {
+        if ((x >> 3) & 1) gray[row * width + x] = 160;
+      }
+    });
+    return gray;
+  }
+
+  function toCanvas(receipt, doc = document) {
+    const canvas = doc.createElement('canvas');
+    canvas.width = receipt.width;
+    canvas.height = Math.max(1, receipt.height);
+    const ctx = canvas.getContext('2d');
+    const img = ctx.createImageData(canvas.width, canvas.height);
+    const gray = toGray(receipt);
+    for (let i = 0; i < gray.length; i++) {
+      img.data[i * 4] = img.data[i * 4 + 1] = img.data[i * 4 + 2] = gray[i];
+      img.data[i * 4 + 3] = 255;
+    }
+    ctx.putImageData(img, 0, 0);
+    return canvas;
+  }
+
+  /* PNG (Node) */
+
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = (c & 1) ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  // 8-bit Graustufen-PNG, braucht zlib aus Node
+  function toPNG(receipt) {
+    if (typeof require !== 'function') throw new Error('toPNG needs Node (zlib); use toCanvas in the browser.');
+    const zlib = require('zlib');
+    const width = receipt.width;
+    const height = Math.max(1, receipt.height);
+    const gray = receipt.height ? toGray(receipt) : new Uint8Array(width).fill(255);
+    const raw = Buffer.alloc((width + 1) * height);
+    for (let y = 0; y < height; y++) {
+      raw[y * (width + 1)] = 0; // Filter: none
+      raw.set(gray.subarray(y * width, (y + 1) * width), y * (width + 1) + 1);
+    }
+
+    const chunk = (type, data) => {
+      const out = Buffer.alloc(12 + data.length);
+      out.writeUInt32BE(data.length, 0);
+      out.write(type, 4, 'ascii');
+      data.copy(out, 8);
+      out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+      return out;
+    };
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = 8; // bit depth
+    ihdr[9] = 0; // grayscale
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+      chunk('IHDR', ihdr),
+      chunk('IDAT', zlib.deflateSync(raw)),
+      chunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+
+  function formatLog(log) {
+    return log.map((e) => {
+      const offset = e.offset < 0 ? '' : '0x' + e.offset.toString(16).padStart(6, '0');
+      return `${offset.padEnd(9)} ${e.command.padEnd(9)} ${e.detail}`;
+    }).join('\n');
+  }
+
+  /* CLI */
+
+  function main(args) {
+    const fs = require('fs');
+    const files = [];
+    let widthDots = 384;
+    let quiet = false;
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === '--width') widthDots = parseInt(args[++i], 10);
+      else if (args[i] === '--quiet') quiet = true;
+      else files.push(args[i]);
+    }
+    if (!files.length || !(widthDots > 0)) {
+      console.error('Usage: node escpos-emulator.js job.bin [out.png] [--width 384] [--quiet]');
+      process.exit(2);
+    }
+    const out = files[1] || files[0].replace(/\.[^./\\]*$/, '') + '.png';
+    const { CODEPAGES } = require('./escpos-core.js');
+    const receipt = interpret(fs.readFileSync(files[0]), { widthDots, codepages: CODEPAGES });
+    fs.writeFileSync(out, toPNG(receipt));
+    if (!quiet) console.log(formatLog(receipt.log));
+    console.log(`${receipt.width}x${receipt.height} dots (${(receipt.height / 8).toFixed(1)} mm), ` +
+      `${receipt.log.length} commands, ${receipt.cuts.length} cuts -> ${out}`);
+  }
+
+  // expose
+  return {
+    interpret,
+    toCanvas,
+    toPNG,
+    formatLog,
+    main
+  };
+});
@@ -1,34 +1,200 @@
-```javascript
 // escpos-printer.js
-// Client-side ESC/POS printing pipeline:
-// 1) capture DOM with html2canvas
-// 2) grayscale -> Floyd–Steinberg dither -> 1-bit bitmap
+// Client-side ESC/POS printing pipeline (browser part; the encoding itself
+// lives in escpos-core.js and is re-exported here):
+// 1) render SVG natively (fonts embedded as @font-face data, opts.fontFamilies),
+//    or capture arbitrary DOM with html2canvas (loaded on demand)
+// 2) grayscale -> tone (gamma/contrast/brightness) -> dither -> 1-bit bitmap
+//    (in a Web Worker, escpos-worker.js, with buffers transferred)
+//    (Floyd–Steinberg, Atkinson, Stucki, Jarvis-Judice-Ninke, Sierra,
+//    ordered Bayer 4x4/8x8 or plain threshold; see opts.dither)
 // 3) resize to printer width in dots
-// 4) pack and encode as GS v 0 raster image
-// 5) send raw bytes to printer via Web Serial / WebUSB / WebSocket proxy
+// 4) pack and encode as GS v 0 raster image, split into bands (opts.bandHeight),
+//    then feed (opts.feedLines) and cut (opts.cutMode)
+// 5) send raw bytes paced (opts.pacing) to printer via Web Serial / WebUSB / WebSocket proxy
+//    (print-proxy.js confirms each job, so WebSocket prints report real outcomes),
+//    or render them with escpos-emulator.js (transport 'virtual', no printer needed)
 //
 // Usage: window.escposPrinter.printElementToPrinter(element, opts)
+//        window.escposPrinter.createPrintJob(element, opts) (progress events, cancel())
+//        window.escposPrinter.encodeElement(element, opts) -> { blocks, paperMm } (print later with sendBlocks)
+//        window.escposPrinter.createStatusMonitor(serialStatusChannel(port)).getStatus()
+//        window.escposPrinter.createPrinterConnection({ transport, findSerialPort }) (open once, reconnect)
+//        window.escposPrinter.builder().init().align('center').text('…').feed(3).cut('partial').build()
 //
-// Requirements: html2canvas must be loaded (global html2canvas).
+// Requirements: escpos-core.js loaded first; html2canvas only for non-SVG elements.
 // Note: WebUSB/Web Serial require HTTPS and user gesture to request devices.
 
 (function (global) {
   'use strict';
 
+  const core = global.escposCore;
+  if (!core) throw new Error('escpos-printer.js needs escpos-core.js (load it first)');
+  const {
+    buildRasterJob, sleep, withTimeout, writePaced, STATUS_REQUEST, STATUS_TIMEOUT_MS,
+    concatBytes, CODEPAGES, isStatusReply, isAsbStart, parseStatusBytes, parseAsb
+  } = core;
+
+  const HTML2CANVAS_URL = 'https://cdn.jsdelivr.net/npm/html2canvas@1.4.1/dist/html2canvas.min.js';
+
+  function loadScript(src) {
+    return new Promise((resolve, reject) => {
+      const s = document.createElement('script');
+      s.src = src;
+      s.onload = () => resolve();
+      s.onerror = () => reject(new Error('Failed to load ' + src));
+      document.head.appendChild(s);
+    });
+  }
+
   async function captureElementToCanvas(element, scale = 1) {
     if (typeof html2canvas === 'undefined') {
-      throw new Error('html2canvas is required. Include it via <script src="https://cdn.jsdelivr.net/npm/html2canvas@1.4.1/dist/html2canvas.min.js"></script>');
+      try {
+        await loadScript(HTML2CANVAS_URL);
+      } catch (e) {
+        throw new Error('html2canvas is required but could not be loaded. Ensure network access or include the library in index.html.');
+      }
+      if (typeof html2canvas === 'undefined') {
+        throw new Error('html2canvas still not available after loading.');
+      }
     }
     // Force white background to avoid transparent pixels
     const canvas = await html2canvas(element, {
       backgroundColor: '#ffffff',
-      scale: scale,
+      scale,
       useCORS: true,
       allowTaint: true
     });
+    if (!canvas || !canvas.width || !canvas.height) {
+      throw new Error('Captured canvas has zero width/height. Ensure the element is visible with layout before printing.');
+    }
     return canvas;
   }
 
+  /* SVG -> Canvas ohne html2canvas */
+
+  // @font-face-Regeln der Poster-Schriften als data:-URLs, damit das
+  // serialisierte SVG (im <img>, ohne Zugriff auf die Seiten-Fonts) richtig rendert
+  const LOCAL_FONT_CSS = 'fonts/fonts.css';
+  const FONT_CDN_CSS = 'https://fonts.googleapis.com/css2';
+  const fontCssCache = new Map();
+
+  function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  async function inlineFontUrls(rule, baseUrl) {
+    const urls = Array.from(rule.matchAll(/url\((['"]?)([^'")]+)\1\)/g));
+    let out = rule;
+    for (const m of urls) {
+      if (m[2].startsWith('data:')) continue;
+      const abs = new URL(m[2], baseUrl).href;
+      const res = await fetch(abs, { cache: 'force-cache' });
+      if (!res.ok) throw new Error('Font download failed: ' + abs);
+      out = out.replace(m[0], `url("${await blobToDataUrl(await res.blob())}")`);
+    }
+    return out;
+  }
+
+  // Stylesheet laden und die @font-face-Regeln der gewünschten Familien einbetten
+  // -> { rules, found: Set der gefundenen Familien (klein geschrieben) }
+  async function fontFaceRules(cssUrl, wanted) {
+    const rules = [];
+    const found = new Set();
+    let css;
+    try {
+      const res = await fetch(cssUrl, { cache: 'force-cache' });
+      if (!res.ok) return { rules, found };
+      css = await res.text();
+    } catch (e) {
+      return { rules, found }; // offline oder file://: nicht erreichbar
+    }
+    // nur latin / latin-ext Subsets (reicht für de/en/tr)
+    const re = /(\/\*\s*([\w-]+)\s*\*\/\s*)?@font-face\s*{[^}]*}/g;
+    let m;
+    while ((m = re.exec(css))) {
+      const subset = m[2];
+      if (subset && subset !== 'latin' && subset !== 'latin-ext') continue;
+      const fam = /font-family:\s*['"]?([^;'"]+)['"]?/.exec(m[0]);
+      const name = fam ? fam[1].trim().toLowerCase() : null;
+      if (!name || !wanted.includes(name)) continue;
+      try {
+        rules.push(await inlineFontUrls(m[0].replace(/^\/\*[^*]*\*\/\s*/, ''), cssUrl));
+        found.add(name);
+      } catch (e) {
+        console.warn('Could not embed font:', e);
+      }
+    }
+    return { rules, found };
+  }
+
+  // Schriften aus LOCAL_FONT_CSS, Google Fonts nur für Familien, die dort fehlen
+  // oder nicht geladen werden können
+  async function embeddedFontCss(families) {
+    const key = families.join('|');
+    if (fontCssCache.has(key)) return fontCssCache.get(key);
+    const local = await fontFaceRules(new URL(LOCAL_FONT_CSS, document.baseURI).href, families.map((f) => f.toLowerCase()));
+    const missing = families.filter((f) => !local.found.has(f.toLowerCase()));
+    let rules = local.rules;
+    if (missing.length) {
+      const query = missing.map((f) => 'family=' + encodeURIComponent(f).replace(/%20/g, '+')).join('&');
+      const cdn = await fontFaceRules(`${FONT_CDN_CSS}?${query}&display=swap`, missing.map((f) => f.toLowerCase()));
+      rules = rules.concat(cdn.rules);
+    }
+    const css = rules.join('\n');
+    if (css) fontCssCache.set(key, css);
+    return css;
+  }
+
+  function loadImage(url) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('Could not render SVG to image.'));
+      img.src = url;
+    });
+  }
+
+  // SVG in exakt widthDots Breite auf ein weißes Canvas zeichnen
+  async function renderSvgToCanvas(svg, widthDots, fontFamilies = []) {
+    const vb = svg.viewBox && svg.viewBox.baseVal;
+    const box = vb && vb.width ? vb : svg.getBoundingClientRect();
+    if (!box.width || !box.height) throw new Error('SVG has zero width/height. Cannot render.');
+    const width = widthDots;
+    const height = Math.max(1, Math.round(box.height * (widthDots / box.width)));
+
+    const clone = svg.cloneNode(true);
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    const css = fontFamilies.length ? await embeddedFontCss(fontFamilies) : '';
+    if (css) {
+      const style = document.createElementNS('http://www.w3.org/2000/svg', 'style');
+      style.textContent = css;
+      clone.insertBefore(style, clone.firstChild);
+    }
+
+    const markup = new XMLSerializer().serializeToString(clone);
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+    try {
+      const img = await loadImage(url);
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, width, height);
+      ctx.drawImage(img, 0, 0, width, height);
+      return canvas;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
   function resizeCanvasNearest(srcCanvas, targetWidth, targetHeight) {
     const dest = document.createElement('canvas');
     dest.width = targetWidth;
@@ -39,104 +205,236 @@
     return dest;
   }
 
-  function grayscaleImageData(imgData) {
-    const data = imgData.data;
-    const width = imgData.width;
-    const height = imgData.height;
-    const gray = new Float32Array(width * height);
-    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
-      const r = data[i], g = data[i + 1], b = data[i + 2], a = data[i + 3];
-      const alpha = a / 255;
-      const rr = r * alpha + 255 * (1 - alpha);
-      const gg = g * alpha + 255 * (1 - alpha);
-      const bb = b * alpha + 255 * (1 - alpha);
-      // luminosity (0 = black, 255 = white)
-      gray[p] = 0.299 * rr + 0.587 * gg + 0.114 * bb;
-    }
-    return { gray, width, height };
-  }
-
-  function floydSteinbergDither(grayArray, width, height) {
-    // operates in-place on Float32Array grayArray [0..255] (0 black, 255 white)
-    const bw = new Uint8Array(width * height); // 1 = black, 0 = white
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const idx = y * width + x;
-        const oldVal = grayArray[idx];
-        const newVal = oldVal < 128 ? 0 : 255; // 0 -> black, 255 -> white
-        const err = oldVal - newVal;
-        bw[idx] = newVal === 0 ? 1 : 0; // 1 for black
-        // distribute error
-        if (x + 1 < width) grayArray[idx + 1] += (err * 7) / 16;
-        if (x - 1 >= 0 && y + 1 < height) grayArray[idx + width - 1] += (err * 3) / 16;
-        if (y + 1 < height) grayArray[idx + width] += (err * 5) / 16;
-        if (x + 1 < width && y + 1 < height) grayArray[idx + width + 1] += (err * 1) / 16;
-      }
+  // 1-bit Bitmap als Canvas (Vorschau: schwarz/weiß, 1 Pixel = 1 Dot)
+  function bitmapToCanvas(bitArray, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    const img = ctx.createImageData(width, height);
+    for (let i = 0, p = 0; i < bitArray.length; i++, p += 4) {
+      const v = bitArray[i] ? 0 : 255;
+      img.data[p] = v;
+      img.data[p + 1] = v;
+      img.data[p + 2] = v;
+      img.data[p + 3] = 255;
     }
-    return bw;
-  }
-
-  function packBitsMonochrome(bitArray, width, height) {
-    const bytesPerRow = Math.ceil(width / 8);
-    const out = new Uint8Array(bytesPerRow * height);
-    for (let y = 0; y < height; y++) {
-      for (let bx = 0; bx < bytesPerRow; bx++) {
-        let byte = 0x00;
-        for (let bit = 0; bit < 8; bit++) {
-          const x = bx * 8 + bit;
-          if (x >= width) continue;
-          const pix = bitArray[y * width + x]; // 1 = black
-          // MSB is leftmost pixel of the byte
-          if (pix) {
-            byte |= (0x80 >> bit);
+    ctx.putImageData(img, 0, 0);
+    return canvas;
+  }
+
+  // liest vom Port: XON (0x11) / XOFF (0x13) steuern die Pause, alle anderen
+  // Bytes sind Status-Antworten
+  function createSerialReadChannel(port) {
+    const reader = port.readable.getReader();
+    let paused = false;
+    let resumeWaiters = [];
+    let byteWaiters = [];
+    const pending = [];
+    let closed = false;
+
+    (async () => {
+      try {
+        while (!closed) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          for (const byte of value) {
+            if (byte === 0x13) {
+              paused = true;
+            } else if (byte === 0x11) {
+              paused = false;
+              resumeWaiters.forEach((r) => r());
+              resumeWaiters = [];
+            } else if (byteWaiters.length) {
+              byteWaiters.shift()(byte);
+            } else {
+              pending.push(byte);
+            }
           }
         }
-        out[y * bytesPerRow + bx] = byte;
+      } catch (e) {
+        // Port geschlossen / Lesefehler: Wartende freigeben
+      } finally {
+        resumeWaiters.forEach((r) => r());
+        resumeWaiters = [];
       }
-    }
-    return { data: out, bytesPerRow };
-  }
+    })();
 
-  function buildGsV0Raster(bytesPerRow, height, bitmapData, mode = 0) {
-    // GS v 0: 1D 76 30 m xL xH yL yH [data]
-    const xL = bytesPerRow & 0xFF;
-    const xH = (bytesPerRow >> 8) & 0xFF;
-    const yL = height & 0xFF;
-    const yH = (height >> 8) & 0xFF;
-    const header = new Uint8Array([0x1D, 0x76, 0x30, mode, xL, xH, yL, yH]);
-    const out = new Uint8Array(header.length + bitmapData.length);
-    out.set(header, 0);
-    out.set(bitmapData, header.length);
-    return out;
+    return {
+      waitReady() {
+        return paused ? new Promise((resolve) => resumeWaiters.push(resolve)) : Promise.resolve();
+      },
+      readByte(timeoutMs = STATUS_TIMEOUT_MS) {
+        if (pending.length) return Promise.resolve(pending.shift());
+        return withTimeout(new Promise((resolve) => byteWaiters.push(resolve)), timeoutMs, 'Printer did not answer status request.');
+      },
+      async close() {
+        closed = true;
+        try { await reader.cancel(); } catch (e) { /* ignore */ }
+        reader.releaseLock();
+      }
+    };
   }
 
   /* Transports */
 
-  async function sendViaWebSocket(wsUrl, data) {
+  // WebSocket-Proxy (print-proxy.js): Job mit ID anmelden, Bytes senden und auf
+  // "done"/"error" des Proxys warten. Proxys ohne "hello" (ältere Versionen)
+  // bekommen die Bytes wie früher, dann ist nur "abgeschickt" bekannt.
+  const WS_BUFFER_HIGH = 64 * 1024;
+  const WS_HELLO_TIMEOUT_MS = 1000;
+  const WS_JOB_TIMEOUT_MS = 60000;
+
+  function newJobId() {
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+  }
+
+  // -> { ws, hello, listen(fn) }; fn bekommt jede JSON-Nachricht,
+  //    { type: 'closed' } wenn die Verbindung endet
+  function connectProxy(wsUrl) {
     return new Promise((resolve, reject) => {
       const ws = new WebSocket(wsUrl);
       ws.binaryType = 'arraybuffer';
+      const listeners = new Set();
+      let helloTimer = null;
+      const conn = {
+        ws,
+        hello: null,
+        listen(fn) {
+          listeners.add(fn);
+          return () => listeners.delete(fn);
+        }
+      };
       ws.addEventListener('open', () => {
-        ws.send(data);
+        helloTimer = setTimeout(() => resolve(conn), WS_HELLO_TIMEOUT_MS);
       });
-      ws.addEventListener('close', () => resolve());
-      ws.addEventListener('error', (e) => reject(e));
-      // If server sends back any message, resolve as success.
-      ws.addEventListener('message', () => { /* no-op */ });
-      // Fallback: resolve after short timeout if still open
-      setTimeout(() => {
-        if (ws.readyState === WebSocket.OPEN) {
-          ws.close();
-          resolve();
+      ws.addEventListener('message', (e) => {
+        if (typeof e.data !== 'string') return;
+        let msg;
+        try {
+          msg = JSON.parse(e.data);
+        } catch (err) {
+          return;
+        }
+        if (msg.type === 'hello' && !conn.hello) {
+          conn.hello = msg;
+          clearTimeout(helloTimer);
+          resolve(conn);
+          return;
         }
-      }, 2000);
+        listeners.forEach((fn) => fn(msg));
+      });
+      ws.addEventListener('error', () => reject(new Error(`Cannot reach print proxy at ${wsUrl}.`)));
+      ws.addEventListener('close', () => {
+        clearTimeout(helloTimer);
+        reject(new Error(`Print proxy at ${wsUrl} closed the connection.`));
+        listeners.forEach((fn) => fn({ type: 'closed' }));
+      });
     });
   }
 
-  async function sendToUsb(deviceHandle, dataBuffer) {
-    // deviceHandle: { device, ifaceNumber, endpointNumber } returned by openUsbDevice
-    const { device, endpointNumber } = deviceHandle;
-    if (!device || !device.opened) {
+  // job: { id, onProgress({ sent, total }), timeoutMs }
+  // -> { jobId, bytes, acknowledged }; rejected, wenn der Proxy den Job nicht gedruckt hat.
+  // Hat der Proxy den Job angenommen und meldet sich dann nicht mehr (Zeitlimit, Verbindung weg)
+  // oder bricht nach den ersten Bytes ab: { success: false, error }, denn er druckt womöglich
+  // schon, ein zweiter Versuch gäbe das Poster doppelt.
+  async function sendViaWebSocket(wsUrl, blocks, pacing = {}, job = {}) {
+    const conn = await connectProxy(wsUrl);
+    const { ws } = conn;
+    const total = blocks.reduce((n, b) => n + b.length, 0);
+    const paced = Object.assign({}, pacing, {
+      waitReady: async () => {
+        while (ws.bufferedAmount > WS_BUFFER_HIGH) await sleep(20);
+        if (ws.readyState !== WebSocket.OPEN) throw new Error('Print proxy closed the connection.');
+      }
+    });
+
+    let timer = null;
+    try {
+      if (!conn.hello) {
+        await writePaced((chunk) => ws.send(chunk), blocks, paced);
+        while (ws.bufferedAmount > 0 && ws.readyState === WebSocket.OPEN) await sleep(20);
+        return { jobId: null, bytes: total, acknowledged: false };
+      }
+
+      const id = job.id || newJobId();
+      const timeoutMs = job.timeoutMs || WS_JOB_TIMEOUT_MS;
+      let accepted = false;
+      let printed = 0;
+      let restartTimer = () => {};
+      const outcome = new Promise((resolve, reject) => {
+        // Zeitlimit ohne Lebenszeichen: jedes "accepted"/"progress" startet es neu,
+        // lange oder wartende Jobs laufen also nicht ab, solange der Proxy druckt
+        restartTimer = () => {
+          clearTimeout(timer);
+          timer = setTimeout(() => reject(new Error('Print proxy did not confirm the job.')), timeoutMs);
+        };
+        conn.listen((msg) => {
+          if (msg.type === 'closed') {
+            reject(new Error('Print proxy closed the connection before the job finished.'));
+          } else if (msg.id !== id) {
+            return;
+          } else if (msg.type === 'accepted') {
+            accepted = true;
+            restartTimer();
+          } else if (msg.type === 'progress') {
+            printed = msg.sent;
+            restartTimer();
+            if (job.onProgress) job.onProgress({ sent: msg.sent, total: msg.total });
+          } else if (msg.type === 'done') {
+            resolve({ jobId: id, bytes: msg.bytes, acknowledged: true });
+          } else if (msg.type === 'error') {
+            const err = new Error('Print proxy: ' + msg.message);
+            // der Drucker hat noch nichts bekommen: ein anderer darf es versuchen
+            err.nothingPrinted = !printed;
+            reject(err);
+          }
+        });
+      });
+      outcome.catch(() => {}); // wird unten abgewartet
+
+      ws.send(JSON.stringify({ type: 'job', id, bytes: total }));
+      await writePaced((chunk) => ws.send(chunk), blocks, paced);
+      restartTimer();
+      try {
+        return await outcome;
+      } catch (err) {
+        if (!accepted || err.nothingPrinted) throw err;
+        return { success: false, jobId: id, bytes: total, acknowledged: false, error: err.message };
+      }
+    } finally {
+      clearTimeout(timer);
+      ws.close();
+    }
+  }
+
+  // pacing.flowControl: 'none' | 'xonxoff' | 'hardware' (RTS/CTS) | 'status'
+  async function sendToSerial(port, blocks, openOptions = { baudRate: 19200 }, pacing = {}) {
+    const flowControl = pacing.flowControl || 'none';
+    if (!port.readable || !port.writable) {
+      await port.open(Object.assign({}, openOptions, flowControl === 'hardware' ? { flowControl: 'hardware' } : {}));
+    }
+    const channel = (flowControl === 'xonxoff' || flowControl === 'status') ? createSerialReadChannel(port) : null;
+    const writer = port.writable.getWriter();
+    try {
+      await writePaced((chunk) => writer.write(chunk), blocks, Object.assign({}, pacing, {
+        waitReady: flowControl === 'xonxoff' ? channel.waitReady : null,
+        afterBand: flowControl === 'status' ? async () => {
+          await writer.write(STATUS_REQUEST);
+          await channel.readByte();
+        } : null
+      }));
+    } finally {
+      writer.releaseLock();
+      if (channel) await channel.close();
+    }
+  }
+
+  async function sendToUsb(deviceHandle, blocks, pacing = {}) {
+    // deviceHandle: { device, ifaceNumber, endpointNumber, inEndpointNumber } returned by openUsbDevice
+    const { device, endpointNumber, inEndpointNumber } = deviceHandle || {};
+    if (!device) throw new Error('No paired USB printer. Pair one in Admin → Printer settings.');
+    if (!device.opened) {
       await device.open();
     }
     if (device.configuration === null) {
@@ -147,13 +445,24 @@
     } catch (e) {
       // may already be claimed
     }
-    await device.transferOut(endpointNumber, dataBuffer);
+    const useStatus = pacing.flowControl === 'status' && inEndpointNumber !== null && inEndpointNumber !== undefined;
+    await writePaced((chunk) => device.transferOut(endpointNumber, chunk), blocks, Object.assign({}, pacing, {
+      waitReady: null,
+      afterBand: useStatus ? async () => {
+        const channel = usbStatusChannel(deviceHandle);
+        await channel.write(STATUS_REQUEST);
+        if (!(await channel.read(STATUS_TIMEOUT_MS)).length) throw new Error('USB status read failed.');
+      } : null
+    }));
   }
 
+  // opts: { device } (bereits freigegeben, printer-settings.js) oder { filters }
   async function openUsbDevice(opts = {}) {
     if (!navigator.usb) throw new Error('WebUSB not available in this browser');
     let device;
-    if (opts.filters && opts.filters.length) {
+    if (opts.device) {
+      device = opts.device;
+    } else if (opts.filters && opts.filters.length) {
       device = await navigator.usb.requestDevice({ filters: opts.filters });
     } else {
       const devices = await navigator.usb.getDevices();
@@ -165,87 +474,588 @@
         device = devices[0];
       }
     }
-    await device.open();
+    if (!device.opened) await device.open();
     if (device.configuration === null) {
       await device.selectConfiguration(1);
     }
 
     let ifaceNumber = null;
     let endpointNumber = null;
+    let inEndpointNumber = null;
     for (const cfg of device.configuration.interfaces) {
       for (const alt of cfg.alternates) {
         if (!alt.endpoints) continue;
-        for (const ep of alt.endpoints) {
-          if (ep.direction === 'out') {
-            ifaceNumber = cfg.interfaceNumber;
-            endpointNumber = ep.endpointNumber;
-            break;
-          }
+        const out = alt.endpoints.find((ep) => ep.direction === 'out');
+        if (out) {
+          ifaceNumber = cfg.interfaceNumber;
+          endpointNumber = out.endpointNumber;
+          // IN endpoint next to it: status replies from the printer
+          const inEp = alt.endpoints.find((ep) => ep.direction === 'in');
+          inEndpointNumber = inEp ? inEp.endpointNumber : null;
+          break;
         }
-        if (endpointNumber !== null) break;
       }
       if (endpointNumber !== null) break;
     }
     if (ifaceNumber === null) {
       throw new Error('Could not find an OUT endpoint on the selected USB device.');
     }
-    await device.claimInterface(ifaceNumber);
-    return { device, ifaceNumber, endpointNumber };
+    const iface = device.configuration.interfaces.find((i) => i.interfaceNumber === ifaceNumber);
+    if (!iface.claimed) await device.claimInterface(ifaceNumber);
+    return { device, ifaceNumber, endpointNumber, inEndpointNumber };
   }
 
-  /* High-level print function */
+  /* Printer status (DLE EOT n, GS r 1, ASB) */
 
-  async function printElementToPrinter(element, opts = {}) {
-    const widthDots = opts.widthDots || 384;
+  // Status-Kanäle: write(bytes) + read(timeoutMs) -> Uint8Array
+  function serialStatusChannel(port, openOptions = { baudRate: 19200 }) {
+    return portStatusChannel(async () => {
+      if (!port.readable || !port.writable) await port.open(openOptions);
+      return port;
+    });
+  }
+
+  // getPort() -> offener SerialPort (auch aus einer PrinterConnection)
+  function portStatusChannel(getPort) {
+    return {
+      async write(bytes) {
+        const port = await getPort();
+        const writer = port.writable.getWriter();
+        try {
+          await writer.write(bytes);
+        } finally {
+          writer.releaseLock();
+        }
+      },
+      async read(timeoutMs) {
+        const port = await getPort();
+        const reader = port.readable.getReader();
+        try {
+          const { value } = await withTimeout(reader.read(), timeoutMs, 'Printer did not answer status request.');
+          return value || new Uint8Array(0);
+        } finally {
+          reader.releaseLock();
+        }
+      }
+    };
+  }
+
+  // ein transferIn pro Handle: nach einem Timeout bleibt er bei WebUSB offen und würde
+  // die nächste Antwort schlucken, also wartet der nächste read() auf denselben
+  const pendingUsbReads = new WeakMap(); // handle -> Promise<USBInTransferResult>
+
+  function usbStatusChannel(handle) {
+    const { device, endpointNumber, inEndpointNumber } = handle;
+    if (inEndpointNumber === null || inEndpointNumber === undefined) {
+      throw new Error('USB printer has no IN endpoint: status is not available.');
+    }
+    return {
+      write(bytes) {
+        return device.transferOut(endpointNumber, bytes);
+      },
+      async read(timeoutMs) {
+        let pending = pendingUsbReads.get(handle);
+        if (!pending) {
+          pending = device.transferIn(inEndpointNumber, 64);
+          pendingUsbReads.set(handle, pending);
+          const done = () => {
+            if (pendingUsbReads.get(handle) === pending) pendingUsbReads.delete(handle);
+          };
+          pending.then(done, done);
+        }
+        const res = await withTimeout(pending, timeoutMs, 'Printer did not answer status request.');
+        if (res.status !== 'ok' || !res.data) return new Uint8Array(0);
+        return new Uint8Array(res.data.buffer, res.data.byteOffset, res.data.byteLength);
+      }
+    };
+  }
+
+  // Status über den Proxy: er fragt den Drucker selbst und schickt das Ergebnis
+  function webSocketStatusChannel(wsUrl) {
+    return {
+      async fetchStatus(timeoutMs) {
+        const conn = await connectProxy(wsUrl);
+        try {
+          if (!conn.hello) throw new Error('Print proxy does not report printer status.');
+          const reply = new Promise((resolve, reject) => {
+            conn.listen((msg) => {
+              if (msg.type === 'status') resolve(msg.status);
+              else if (msg.type === 'closed') reject(new Error('Print proxy closed the connection.'));
+            });
+          });
+          reply.catch(() => {});
+          conn.ws.send(JSON.stringify({ type: 'status' }));
+          return await withTimeout(reply, timeoutMs, 'Print proxy did not answer status request.');
+        } finally {
+          conn.ws.close();
+        }
+      }
+    };
+  }
+
+  // Überwacht den Drucker: getStatus() fragt sofort, start() pollt regelmäßig,
+  // 'statuschange' (event.detail = Status) bei jeder Änderung.
+  // opts: { intervalMs, timeoutMs, asb } – asb schaltet Automatic Status Back ein
+  function createStatusMonitor(channel, opts = {}) {
+    const intervalMs = opts.intervalMs || 5000;
+    const timeoutMs = opts.timeoutMs || 1000;
+    const events = new EventTarget();
+    let status = null;
+    let timer = null;
+    let queue = Promise.resolve();
+    let asbFrame = null;
+
+    // Zugriffe auf den Kanal nacheinander (auch Druckjobs via exclusive())
+    function serialize(fn) {
+      const run = queue.then(fn, fn);
+      queue = run.catch(() => {});
+      return run;
+    }
+
+    function update(next) {
+      const prev = status;
+      status = next;
+      const keys = ['ok', 'online', 'coverOpen', 'paperOut', 'paperNearEnd', 'error', 'reachable'];
+      if (!prev || keys.some((k) => prev[k] !== next[k])) {
+        events.dispatchEvent(new CustomEvent('statuschange', { detail: next }));
+      }
+      return next;
+    }
+
+    // ASB-Bytes abfangen, erstes echtes Antwortbyte zurückgeben
+    function consume(bytes) {
+      let reply = null;
+      for (const b of bytes) {
+        if (asbFrame) {
+          asbFrame.push(b);
+          if (asbFrame.length === 4) {
+            update(Object.assign(parseAsb(asbFrame), { reachable: true }));
+            asbFrame = null;
+          }
+        } else if (isAsbStart(b)) {
+          asbFrame = [b];
+        } else if (reply === null && isStatusReply(b)) {
+          reply = b;
+        }
+      }
+      return reply;
+    }
+
+    async function query(n) {
+      await channel.write(new Uint8Array([0x10, 0x04, n]));
+      const deadline = Date.now() + timeoutMs;
+      for (;;) {
+        const reply = consume(await channel.read(Math.max(1, deadline - Date.now())));
+        if (reply !== null) return reply;
+        if (Date.now() >= deadline) throw new Error('Printer did not answer status request.');
+      }
+    }
+
+    function getStatus() {
+      return serialize(async () => {
+        try {
+          if (channel.fetchStatus) {
+            const reported = await channel.fetchStatus(timeoutMs);
+            return update(Object.assign({ reachable: true }, reported, { source: 'proxy', at: Date.now() }));
+          }
+          const printer = await query(1);
+          const offline = await query(2);
+          const error = await query(3);
+          const paper = await query(4);
+          return update(Object.assign(parseStatusBytes({ printer, offline, error, paper }), { reachable: true }));
+        } catch (err) {
+          // keine Antwort: Zustand unbekannt, nicht automatisch "Fehler"
+          return update({ ok: null, reachable: false, message: err.message, source: 'poll', at: Date.now() });
+        }
+      });
+    }
+
+    function start() {
+      if (timer) return;
+      if (opts.asb && channel.write) {
+        // GS a n: Schublade, online/offline, Fehler, Papiersensor
+        serialize(() => channel.write(new Uint8Array([0x1D, 0x61, 0x0F]))).catch(() => {});
+      }
+      getStatus();
+      timer = setInterval(getStatus, intervalMs);
+    }
+
+    function stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+
+    return {
+      getStatus,
+      lastStatus: () => status,
+      start,
+      stop,
+      // während fn läuft (z.B. ein Druckjob) wird nicht gepollt
+      exclusive: (fn) => serialize(fn),
+      addEventListener: events.addEventListener.bind(events),
+      removeEventListener: events.removeEventListener.bind(events)
+    };
+  }
+
+  /* Printer connection */
+
+  // Eine Verbindung pro Drucker, statt bei jedem Druck neu zu öffnen:
+  // - open() öffnet einmal (gleichzeitige Aufrufe teilen sich das Öffnen),
+  //   state: 'closed' | 'connecting' | 'open' | 'disconnected' | 'error'
+  // - 'disconnect' von navigator.serial / navigator.usb -> 'disconnected';
+  //   kommt ein Drucker wieder ('connect', z.B. aus- und eingeschaltet),
+  //   wird nach opts.reconnectDelayMs neu geöffnet (opts.autoReconnect, Standard an)
+  // - send() und exclusive() laufen nacheinander, nie zwei Jobs gleichzeitig
+  // - close() gibt Port bzw. Interface frei, auch beim Verlassen der Seite (pagehide)
+  // Events: 'statechange' ({ state, previous, error }), 'connect', 'disconnect'
+  //
+  // opts: { transport, serialOptions, flowControl, findSerialPort(), findUsbDevice(), usbOptions,
+  //         wsUrl, widthDots, autoReconnect, reconnectDelayMs }
+  // WebSocket: der Proxy hält den Drucker, hier nur Zustand aus den Job-Ergebnissen.
+  const RECONNECT_DELAY_MS = 1000;
+
+  function createPrinterConnection(opts = {}) {
     const transport = opts.transport || 'serial';
-    const mode = (typeof opts.mode === 'number') ? opts.mode : 0;
+    const events = new EventTarget();
+    let state = 'closed';
+    let handle = null; // serial: SerialPort, usb: openUsbDevice()-Handle
+    let opening = null;
+    let queue = Promise.resolve();
+    let listening = false;
 
-    // 1) capture DOM to canvas
-    const baseCanvas = await captureElementToCanvas(element, 1);
+    function setState(next, error) {
+      if (next === state) return;
+      const previous = state;
+      state = next;
+      events.dispatchEvent(new CustomEvent('statechange', { detail: { state, previous, error } }));
+      if (next === 'open') events.dispatchEvent(new CustomEvent('connect'));
+      else if (previous === 'open') events.dispatchEvent(new CustomEvent('disconnect', { detail: { error } }));
+    }
+
+    async function openSerial() {
+      if (!('serial' in navigator)) throw new Error('Web Serial API not available in this browser.');
+      const port = opts.serialPort || await opts.findSerialPort();
+      if (!port.readable || !port.writable) {
+        await port.open(Object.assign({ baudRate: 19200 }, opts.serialOptions,
+          opts.flowControl === 'hardware' ? { flowControl: 'hardware' } : {}));
+      }
+      return port;
+    }
+
+    async function openUsb() {
+      const device = opts.findUsbDevice ? await opts.findUsbDevice() : undefined;
+      return openUsbDevice(Object.assign({}, opts.usbOptions, device ? { device } : {}));
+    }
+
+    async function release(h) {
+      if (!h) return;
+      try {
+        if (transport === 'serial') {
+          await h.close();
+        } else if (transport === 'usb' && h.device.opened) {
+          await h.device.releaseInterface(h.ifaceNumber);
+          await h.device.close();
+        }
+      } catch (e) { /* schon zu oder Gerät weg */ }
+    }
+
+    function deviceOf(e) {
+      return transport === 'serial' ? e.target : e.device;
+    }
+
+    function onDisconnect(e) {
+      if (!handle || deviceOf(e) !== (transport === 'serial' ? handle : handle.device)) return;
+      handle = null;
+      setState('disconnected');
+    }
+
+    function onConnect() {
+      if (opts.autoReconnect === false || (state !== 'disconnected' && state !== 'error')) return;
+      // der Drucker braucht nach dem Einschalten einen Moment
+      setTimeout(() => {
+        open().catch((err) => console.warn('Printer reconnect failed:', err));
+      }, opts.reconnectDelayMs === undefined ? RECONNECT_DELAY_MS : opts.reconnectDelayMs);
+    }
+
+    function onPageHide() {
+      close();
+    }
+
+    function listen(on) {
+      if (listening === on) return;
+      listening = on;
+      const method = on ? 'addEventListener' : 'removeEventListener';
+      const api = transport === 'serial' ? navigator.serial : (transport === 'usb' ? navigator.usb : null);
+      if (api) {
+        api[method]('connect', onConnect);
+        api[method]('disconnect', onDisconnect);
+      }
+      global[method]('pagehide', onPageHide);
+    }
+
+    function open() {
+      if (state === 'open') return Promise.resolve(handle);
+      if (opening) return opening;
+      listen(true);
+      setState('connecting');
+      opening = (async () => {
+        try {
+          if (transport === 'serial') handle = await openSerial();
+          else if (transport === 'usb') handle = await openUsb();
+          else if (transport === 'websocket') {
+            if (!opts.wsUrl) throw new Error('wsUrl required for websocket transport');
+            handle = { wsUrl: opts.wsUrl };
+          } else if (transport === 'virtual') handle = {};
+          else throw new Error('Unknown transport: ' + transport);
+          setState('open');
+          return handle;
+        } catch (err) {
+          handle = null;
+          setState('error', err);
+          throw err;
+        } finally {
+          opening = null;
+        }
+      })();
+      return opening;
+    }
+
+    async function close() {
+      listen(false);
+      const h = handle;
+      handle = null;
+      await release(h);
+      setState('closed');
+    }
+
+    // fn läuft erst, wenn alle vorherigen Jobs fertig sind
+    function exclusive(fn) {
+      const run = queue.then(() => fn());
+      queue = run.catch(() => {});
+      return run;
+    }
+
+    // job: sendBlocks-Optionen (pacing, signal, onSent, onProgress, …)
+    function send(blocks, job = {}) {
+      return exclusive(async () => {
+        const h = await open();
+        try {
+          return await sendBlocks(blocks, Object.assign({}, opts, job, {
+            transport,
+            connection: null,
+            serialPort: transport === 'serial' ? h : undefined,
+            usbHandle: transport === 'usb' ? h : undefined,
+            closeSerialAfterPrint: false,
+            closeUsbAfterPrint: false
+          }));
+        } catch (err) {
+          // Schreibfehler: Port/Interface freigeben, der nächste Job öffnet neu
+          if (err && err.name !== 'AbortError' && handle === h) {
+            handle = null;
+            await release(h);
+            setState('error', err);
+          }
+          throw err;
+        }
+      });
+    }
+
+    // Statuskanal über dieselbe Verbindung (createStatusMonitor)
+    function statusChannel() {
+      if (transport === 'serial') return portStatusChannel(open);
+      if (transport === 'usb') {
+        return {
+          write: async (bytes) => usbStatusChannel(await open()).write(bytes),
+          read: async (timeoutMs) => usbStatusChannel(await open()).read(timeoutMs)
+        };
+      }
+      if (transport === 'websocket') return webSocketStatusChannel(opts.wsUrl);
+      return null;
+    }
+
+    return {
+      transport,
+      get state() { return state; },
+      open,
+      close,
+      send,
+      exclusive,
+      statusChannel,
+      addEventListener: events.addEventListener.bind(events),
+      removeEventListener: events.removeEventListener.bind(events)
+    };
+  }
 
-    // 2) target pixel width = widthDots
-    const targetWidth = widthDots;
-    const scale = targetWidth / baseCanvas.width;
+  /* Worker */
+
+  // Dithering, Packen und GS v 0 laufen im Worker (escpos-worker.js), damit die
+  // Seite beim Druck langer Poster nicht einfriert. Ohne Worker (alter Browser,
+  // file://) rechnet escpos-core.js im Hauptthread.
+  const WORKER_URL = 'escpos-worker.js';
+  const WORKER_OPTION_KEYS = ['dither', 'serpentine', 'threshold', 'gamma', 'contrast', 'brightness',
+    'bandHeight', 'mode', 'feedLines', 'cutMode', 'encode'];
+  let workerState = typeof Worker === 'function' ? 'unknown' : 'broken'; // 'unknown' | 'ok' | 'broken'
+
+  function encodeOnMainThread(image, opts, onStage) {
+    const bitmap = core.rasterizeRGBA(image, opts);
+    onStage('dithered');
+    if (!opts.encode) return bitmap;
+    bitmap.blocks = buildRasterJob(bitmap, opts);
+    onStage('packed');
+    return bitmap;
+  }
+
+  function encodeInWorker(image, opts, onStage, signal) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(opts.workerUrl || WORKER_URL);
+      let answered = false;
+      const finish = () => {
+        worker.terminate();
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+      const onAbort = () => {
+        finish();
+        reject(core.abortError());
+      };
+      if (signal) signal.addEventListener('abort', onAbort);
+
+      worker.onmessage = (e) => {
+        const msg = e.data;
+        answered = true;
+        workerState = 'ok';
+        if (msg.type === 'progress') {
+          onStage(msg.stage);
+        } else if (msg.type === 'done') {
+          finish();
+          resolve({
+            bitArray: new Uint8Array(msg.bitArray),
+            width: msg.width,
+            height: msg.height,
+            blocks: msg.blocks ? msg.blocks.map((b) => new Uint8Array(b)) : undefined
+          });
+        } else if (msg.type === 'error') {
+          finish();
+          reject(new Error(msg.message));
+        }
+      };
+      worker.onerror = (e) => {
+        finish();
+        const err = new Error(e.message || 'Print worker failed.');
+        err.workerUnavailable = !answered;
+        reject(err);
+      };
+
+      const workerOpts = {};
+      WORKER_OPTION_KEYS.forEach((k) => { if (opts[k] !== undefined) workerOpts[k] = opts[k]; });
+      // solange nicht klar ist, ob der Worker lädt, eine Kopie schicken (Fallback braucht das Bild)
+      const data = workerState === 'ok' ? image.data.buffer : image.data.slice().buffer;
+      worker.postMessage({ type: 'encode', image: { data, width: image.width, height: image.height }, opts: workerOpts }, [data]);
+    });
+  }
+
+  // RGBA -> { bitArray, width, height[, blocks] }; opts.encode = true baut auch den Job
+  // (nicht mit opts.builder: der läuft im Hauptthread)
+  async function encodeImage(image, opts = {}, onStage = () => {}, signal = null) {
+    if (workerState !== 'broken' && opts.worker !== false) {
+      try {
+        return await encodeInWorker(image, opts, onStage, signal);
+      } catch (err) {
+        if (!err.workerUnavailable) throw err;
+        workerState = 'broken';
+        console.warn('Print worker not available, encoding on the main thread:', err);
+      }
+    }
+    return encodeOnMainThread(image, opts, onStage);
+  }
+
+  /* High-level print function */
+
+  // Schritte 1+3: Element -> Canvas in Druckerbreite. SVG (oder Element mit genau
+  // einem SVG) wird nativ gerendert, sonst (oder wenn das scheitert) html2canvas.
+  async function elementToCanvas(element, opts = {}) {
+    const widthDots = opts.widthDots || 384;
+    const svg = element instanceof SVGSVGElement ? element
+      : (element.children.length === 1 && element.firstElementChild instanceof SVGSVGElement ? element.firstElementChild : null);
+    if (svg) {
+      try {
+        return await renderSvgToCanvas(svg, widthDots, opts.fontFamilies || []);
+      } catch (err) {
+        console.warn('Native SVG rendering failed, falling back to html2canvas:', err);
+      }
+    }
+    const baseCanvas = await captureElementToCanvas(element, 1);
+    const scale = widthDots / baseCanvas.width;
     const targetHeight = Math.max(1, Math.round(baseCanvas.height * scale));
-    const canvas = resizeCanvasNearest(baseCanvas, targetWidth, targetHeight);
+    return resizeCanvasNearest(baseCanvas, widthDots, targetHeight);
+  }
 
-    // 3) grayscale
-    const ctx = canvas.getContext('2d');
-    const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const { gray, width, height } = grayscaleImageData(imgData);
+  function canvasImage(canvas) {
+    return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  }
 
-    // 4) dithering to 1-bit
-    const bitArray = floydSteinbergDither(gray, width, height);
+  // Schritte 1-4: Element -> 1-bit Bitmap in Druckerbreite
+  // (opts.dither, opts.serpentine, opts.threshold, opts.gamma, opts.contrast, opts.brightness)
+  async function rasterizeElement(element, opts = {}) {
+    const canvas = await elementToCanvas(element, opts);
+    return encodeImage(canvasImage(canvas), Object.assign({}, opts, { encode: false }));
+  }
 
-    // 5) pack bits
-    const { data: packed, bytesPerRow } = packBitsMonochrome(bitArray, width, height);
+  // Vorschau mit denselben Optionen wie der Druck
+  async function previewElement(element, opts = {}) {
+    const { bitArray, width, height } = await rasterizeElement(element, opts);
+    return bitmapToCanvas(bitArray, width, height);
+  }
 
-    // 6) build ESC/POS GS v 0 raster data
-    const escposData = buildGsV0Raster(bytesPerRow, height, packed, mode);
+  // Schritte 1-4 ohne Senden: fertige Blöcke zum Speichern (print-queue.js) oder späteren sendBlocks()
+  // -> { blocks, bytes, bands, rows, paperMm }; onStage wie die progress-Events von createPrintJob
+  async function encodeElement(element, opts = {}, onStage = () => {}, signal = null) {
+    const checkAborted = () => {
+      if (signal && signal.aborted) throw core.abortError();
+    };
+    const canvas = await elementToCanvas(element, opts);
+    checkAborted();
+    onStage('captured', { width: canvas.width, height: canvas.height });
 
-    // Optionally append line feeds or cut command if desired:
-    // const feedAndCut = new Uint8Array([0x0A, 0x0A, 0x1D, 0x56, 0x41, 0x10]); // example feed + partial cut
-    // const finalData = new Uint8Array(escposData.length + feedAndCut.length);
-    // finalData.set(escposData, 0); finalData.set(feedAndCut, escposData.length);
+    // 4) GS v 0 in Bändern (opts.bandHeight), dann opts.feedLines Vorschub und opts.cutMode;
+    //    opts.builder wraps the poster with headers, footers, cuts, ... instead:
+    //   opts.builder = escposPrinter.builder().init().line('Header').poster().feed(3).cut('partial')
+    const encoded = await encodeImage(canvasImage(canvas), Object.assign({}, opts, { encode: !opts.builder }), onStage, signal);
+    checkAborted();
+    let blocks = encoded.blocks;
+    if (!blocks) {
+      blocks = buildRasterJob(encoded, opts);
+      onStage('packed');
+    }
+    // Papierlänge: Rasterzeilen / Dots pro mm + Vorschub
+    const paperMm = core.estimateJob(encoded, opts).paperMm;
+    return {
+      blocks,
+      bytes: blocks.reduce((n, b) => n + b.length, 0),
+      bands: blocks.length - 1,
+      rows: encoded.height,
+      paperMm
+    };
+  }
 
-    const finalData = escposData;
+  // Schritt 5: fertige Blöcke (buildRasterJob / builder().buildBlocks()) senden
+  // opts: { transport, pacing, serialPort, serialOptions, closeSerialAfterPrint,
+  //         usbHandle, usbOptions, closeUsbAfterPrint, wsUrl, onProgress, widthDots,
+  //         onSent(sent, total), signal }
+  async function sendBlocks(blocks, opts = {}) {
+    if (opts.connection) return opts.connection.send(blocks, Object.assign({}, opts, { connection: null }));
+    const transport = opts.transport || 'serial';
+    // opts.pacing: { chunkSize, chunkDelayMs, bandDelayMs, flowControl }
+    const pacing = Object.assign({}, opts.pacing, { signal: opts.signal, onProgress: opts.onSent });
 
-    // 7) send via transport
     if (transport === 'serial') {
       if (!('serial' in navigator)) {
         throw new Error('Web Serial API not available in this browser.');
       }
       const port = opts.serialPort || await navigator.serial.requestPort();
       const openOptions = opts.serialOptions || { baudRate: 19200 };
-      if (!port.readable || !port.writable || !port) {
-        // open if not open already
-      }
-      await port.open(openOptions);
-      const writer = port.writable.getWriter();
       try {
-        await writer.write(finalData);
+        await sendToSerial(port, blocks, openOptions, pacing);
       } finally {
-        writer.releaseLock();
         if (opts.closeSerialAfterPrint) {
           await port.close();
         }
@@ -254,7 +1064,7 @@
     } else if (transport === 'usb') {
       if (!navigator.usb) throw new Error('WebUSB not available in this browser.');
       const usbHandle = opts.usbHandle || await openUsbDevice(opts.usbOptions || {});
-      await sendToUsb(usbHandle, finalData.buffer);
+      await sendToUsb(usbHandle, blocks, pacing);
       if (opts.closeUsbAfterPrint && usbHandle && usbHandle.device) {
         try {
           await usbHandle.device.releaseInterface(usbHandle.ifaceNumber);
@@ -264,24 +1074,87 @@
       return { success: true, transport: 'usb' };
     } else if (transport === 'websocket') {
       if (!opts.wsUrl) throw new Error('wsUrl required for websocket transport');
-      await sendViaWebSocket(opts.wsUrl, finalData.buffer);
-      return { success: true, transport: 'websocket' };
+      const sent = await sendViaWebSocket(opts.wsUrl, blocks, pacing, { onProgress: opts.onProgress });
+      return Object.assign({ success: true, transport: 'websocket' }, sent);
+    } else if (transport === 'virtual') {
+      if (!global.escposEmulator) throw new Error('escpos-emulator.js is not loaded');
+      const bytes = concatBytes(blocks);
+      const receipt = global.escposEmulator.interpret(bytes, { widthDots: opts.widthDots || 384, codepages: CODEPAGES });
+      if (opts.onSent) opts.onSent(bytes.length, bytes.length);
+      return { success: true, transport: 'virtual', receipt };
     } else {
       throw new Error('Unknown transport: ' + transport);
     }
   }
 
-  // expose
-  global.escposPrinter = {
+  // Druckjob mit Fortschritt und Abbruch:
+  //   const job = escposPrinter.createPrintJob(element, opts);
+  //   job.addEventListener('progress', (e) => e.detail); // { stage, sent, total }
+  //   job.cancel(); await job.result;                    // AbortError nach cancel()
+  // Stufen: 'captured' -> 'dithered' -> 'packed' -> 'sending' (Bytes) -> 'done',
+  // über den WebSocket-Proxy zusätzlich 'printing' (vom Proxy bestätigte Bytes)
+  function createPrintJob(element, opts = {}) {
+    const events = new EventTarget();
+    const controller = new AbortController();
+    const signal = controller.signal;
+    const emit = (stage, detail = {}) => {
+      events.dispatchEvent(new CustomEvent('progress', { detail: Object.assign({ stage }, detail) }));
+    };
+
+    const result = (async () => {
+      const encoded = await encodeElement(element, opts, emit, signal);
+      const { blocks, bytes: total } = encoded;
+
+      // 5) send via transport
+      emit('sending', { sent: 0, total });
+      const sent = await sendBlocks(blocks, Object.assign({}, opts, {
+        signal,
+        onSent: (bytes) => emit('sending', { sent: bytes, total }),
+        onProgress: (p) => {
+          emit('printing', p);
+          if (opts.onProgress) opts.onProgress(p);
+        }
+      }));
+      emit('done', { total });
+      return Object.assign(sent, { bytes: total, bands: encoded.bands, rows: encoded.rows, paperMm: encoded.paperMm });
+    })();
+    result.catch(() => {}); // Aufrufer wartet auf job.result
+
+    return {
+      result,
+      signal,
+      cancel: () => controller.abort(),
+      addEventListener: events.addEventListener.bind(events),
+      removeEventListener: events.removeEventListener.bind(events)
+    };
+  }
+
+  async function printElementToPrinter(element, opts = {}) {
+    return createPrintJob(element, opts).result;
+  }
+
+  // expose (Encoder-Funktionen aus escpos-core.js für bestehende Aufrufer)
+  global.escposPrinter = Object.assign({}, core, {
     captureElementToCanvas,
+    embeddedFontCss,
+    renderSvgToCanvas,
     resizeCanvasNearest,
-    grayscaleImageData,
-    floydSteinbergDither,
-    packBitsMonochrome,
-    buildGsV0Raster,
+    bitmapToCanvas,
+    sendViaWebSocket,
     openUsbDevice,
+    serialStatusChannel,
+    usbStatusChannel,
+    webSocketStatusChannel,
+    createStatusMonitor,
+    createPrinterConnection,
+    elementToCanvas,
+    encodeImage,
+    rasterizeElement,
+    previewElement,
+    encodeElement,
+    sendBlocks,
+    createPrintJob,
     printElementToPrinter
-  };
+  });
 
 })(window);
-```
\ No newline at end of file
@@ -0,0 +1,51 @@
+// escpos-worker.js
+// Web Worker für die Bildverarbeitung beim Druck (escpos-printer.js), damit
+// die Seite bei langen Postern nicht einfriert:
+// RGBA -> Tonwert + Dithering -> 1-bit -> gepackt -> GS v 0 in Bändern + Vorschub/Schnitt
+// Puffer werden in beide Richtungen übertragen (transferable), nicht kopiert.
+//
+// Nachrichten:
+//   -> { type: 'encode', image: { data: ArrayBuffer, width, height }, opts }
+//      opts: Dither-Optionen, bandHeight, mode, feedLines, cutMode, encode (false = nur Bitmap)
+//   <- { type: 'progress', stage: 'dithered' | 'packed' }
+//   <- { type: 'done', bitArray: ArrayBuffer, width, height, blocks: [ArrayBuffer] | null }
+//   <- { type: 'error', message }
+
+importScripts('escpos-core.js');
+
+// eigener Puffer pro Block, damit jeder einzeln übertragen werden kann
+function ownBuffer(bytes) {
+  return (bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength) ? bytes.buffer : bytes.slice().buffer;
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (!msg || msg.type !== 'encode') return;
+  try {
+    const core = self.escposCore;
+    const { image, opts } = msg;
+    const bitmap = core.rasterizeRGBA({
+      data: new Uint8ClampedArray(image.data),
+      width: image.width,
+      height: image.height
+    }, opts);
+    self.postMessage({ type: 'progress', stage: 'dithered' });
+
+    let blocks = null;
+    if (opts.encode) {
+      blocks = core.buildRasterJob(bitmap, opts).map(ownBuffer);
+      self.postMessage({ type: 'progress', stage: 'packed' });
+    }
+
+    const bitArray = ownBuffer(bitmap.bitArray);
+    self.postMessage({
+      type: 'done',
+      bitArray,
+      width: bitmap.width,
+      height: bitmap.height,
+      blocks
+    }, [bitArray].concat(blocks || []));
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err && err.message ? err.message : String(err) });
+  }
+};
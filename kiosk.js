@@ -0,0 +1,200 @@
+// kiosk.js
+// Unbeaufsichtigter Ausstellungsbetrieb:
+// - nach N Sekunden ohne Eingabe: Eingabe + Papier leeren, neue Frage
+// - solange niemand tippt: Attract-Loop mit Demo-Postern (composePoster)
+// - nach dem Druck: "Take your print"-Hinweis mit Countdown
+// - blockiert Navigation, Kontextmenü und Zoom-Gesten, dazu Strg+Alt+P
+//   (Drucker-Einstellungen nur über die Admin-Konsole mit PIN)
+//
+// Aktivieren: index.html?kiosk (oder ?kiosk=1), oder per Config:
+//   localStorage['pferd.kiosk'] = '{"enabled":true,"idleSeconds":90}'
+//   bzw. window.KIOSK_CONFIG = { enabled: true, ... } vor diesem Script
+
+(function (global) {
+  'use strict';
+
+  const STORAGE_KEY = 'pferd.kiosk';
+
+  const DEFAULTS = {
+    enabled: false,
+    idleSeconds: 60,
+    attractAfterSeconds: 8,
+    attractIntervalSeconds: 6,
+    takePrintSeconds: 12
+  };
+
+  const DEMO_TEXTS = [
+    'Ich habe ein Pferd gefunden',
+    'a horse in the hallway',
+    'the light on the floor',
+    'time felt soft here',
+    'ein Gedanke, der bleibt',
+    'something I did not expect'
+  ];
+
+  function loadConfig() {
+    let stored = {};
+    try {
+      stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    } catch (e) { /* ignore broken config */ }
+    const config = Object.assign({}, DEFAULTS, stored, global.KIOSK_CONFIG || {});
+    const flag = new URLSearchParams(global.location.search).get('kiosk');
+    if (flag !== null) config.enabled = flag !== '0' && flag !== 'false';
+    return config;
+  }
+
+  function lockDown() {
+    // keine Kontextmenüs, kein Drag & Drop von Bildern
+    document.addEventListener('contextmenu', (e) => e.preventDefault());
+    document.addEventListener('dragstart', (e) => e.preventDefault());
+
+    // kein Zoom: Strg+Mausrad, Pinch, Safari-Gesten, Tastatur-Zoom
+    document.addEventListener('wheel', (e) => { if (e.ctrlKey) e.preventDefault(); }, { passive: false });
+    document.addEventListener('touchmove', (e) => { if (e.touches.length > 1) e.preventDefault(); }, { passive: false });
+    document.addEventListener('gesturestart', (e) => e.preventDefault());
+    document.addEventListener('dblclick', (e) => e.preventDefault());
+
+    // vor dem Listener von printer-settings.js (Capture-Phase)
+    document.addEventListener('keydown', (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.altKey && e.key.toLowerCase() === 'p') {
+        e.preventDefault();
+        e.stopPropagation();
+      }
+    }, true);
+
+    document.addEventListener('keydown', (e) => {
+      const mod = e.ctrlKey || e.metaKey;
+      const inField = e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT');
+      if (mod && ['+', '-', '=', '0', 'r', 'l', 'p', 's', 'o'].includes(e.key.toLowerCase()) && !e.altKey) {
+        e.preventDefault();
+      } else if (e.altKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+        e.preventDefault();
+      } else if (e.key === 'F5' || (e.key === 'Backspace' && !inField)) {
+        e.preventDefault();
+      }
+    });
+
+    const viewport = document.querySelector('meta[name="viewport"]');
+    if (viewport) {
+      viewport.setAttribute('content', 'width=device-width,initial-scale=1,maximum-scale=1,user-scalable=no');
+    }
+
+    // Zurück-Wischgeste / Back-Button: immer auf dieser Seite bleiben
+    history.pushState({ kiosk: true }, '', global.location.href);
+    global.addEventListener('popstate', () => {
+      history.pushState({ kiosk: true }, '', global.location.href);
+    });
+
+    document.addEventListener('click', (e) => {
+      const link = e.target.closest && e.target.closest('a[href]');
+      if (link && !link.hasAttribute('download')) e.preventDefault();
+    });
+  }
+
+  function init() {
+    const config = loadConfig();
+    const gen = global.posterGenerator;
+    const input = document.getElementById('replyInput');
+    const overlay = document.getElementById('takePrint');
+    if (!config.enabled || !gen || !input) return;
+
+    document.body.classList.add('kiosk');
+    lockDown();
+
+    let lastActivity = Date.now();
+    let idleHandled = false;
+    let attractTimer = null;
+    let overlayTimer = null;
+    let demoIndex = 0;
+
+    function attracting() {
+      return attractTimer !== null;
+    }
+
+    function stopAttract() {
+      if (!attracting()) return;
+      clearInterval(attractTimer);
+      attractTimer = null;
+      document.body.classList.remove('is-attracting');
+      // Demo-Poster weg, Frage bleibt für den Besucher, der gerade kommt
+      if (!input.value.trim()) gen.generate();
+    }
+
+    function showDemo() {
+      const text = DEMO_TEXTS[demoIndex++ % DEMO_TEXTS.length];
+      gen.renderPoster(text).catch((err) => console.error(err));
+    }
+
+    function startAttract() {
+      if (attracting()) return;
+      document.body.classList.add('is-attracting');
+      showDemo();
+      attractTimer = setInterval(showDemo, config.attractIntervalSeconds * 1000);
+    }
+
+    function activity() {
+      lastActivity = Date.now();
+      idleHandled = false;
+      stopAttract();
+    }
+
+    ['pointerdown', 'keydown', 'input', 'touchstart'].forEach((type) => {
+      document.addEventListener(type, activity, { passive: true, capture: true });
+    });
+
+    function hideOverlay() {
+      clearInterval(overlayTimer);
+      overlayTimer = null;
+      if (overlay) overlay.hidden = true;
+    }
+
+    document.addEventListener('poster:printed', (e) => {
+      // freigegebene Beiträge aus der Warteschlange: der Besucher ist längst weg
+      if (!overlay || (e.detail && e.detail.source === 'review')) return;
+      // aus der Druckwarteschlange, während schon jemand Neues tippt: nicht dazwischenfunken
+      const typed = input.value.trim();
+      if (typed && e.detail && typed !== e.detail.reply) return;
+      const counter = overlay.querySelector('.take-print-count');
+      let left = config.takePrintSeconds;
+      counter.textContent = left;
+      overlay.hidden = false;
+      input.blur();
+      clearInterval(overlayTimer);
+      overlayTimer = setInterval(() => {
+        left -= 1;
+        counter.textContent = left;
+        if (left <= 0) {
+          hideOverlay();
+          gen.reset();
+          lastActivity = Date.now();
+          idleHandled = true;
+        }
+      }, 1000);
+    });
+
+    setInterval(() => {
+      if (overlayTimer !== null) return;
+      const idle = (Date.now() - lastActivity) / 1000;
+      if (idle >= config.idleSeconds && !idleHandled) {
+        // einmal pro Leerlauf: Eingabe weg, neue Frage
+        idleHandled = true;
+        gen.reset();
+      } else if (idle >= config.attractAfterSeconds && !input.value.trim()) {
+        startAttract();
+      }
+    }, 1000);
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    // die Projektionswand ist kein Kiosk
+    if (global.posterWall && global.posterWall.isWallView) return;
+    init();
+  });
+
+  // expose
+  global.kiosk = {
+    DEFAULTS,
+    loadConfig
+  };
+
+})(window);
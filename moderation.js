@@ -0,0 +1,366 @@
+// moderation.js
+// Moderation vor dem Druck (öffentliche Ausstellung, alles landet auf Papier):
+// - Sperrliste de/en/tr, in der Admin-Konsole (PIN, admin.js) editierbar (ein Wort pro Zeile)
+// - Normalisierung gegen Umgehung: Leetspeak (4 -> a, 3 -> e, $ -> s, …),
+//   Umlaute/Diakritika (ä/ae -> a, ß -> ss, ş -> s, ı -> i), gedehnte Buchstaben
+//   ("fuuuck"), gesperrt geschriebene Wörter ("f u c k"), Platzhalter ("f*ck"),
+//   Satzzeichen am Wort ("Fuck!") und Zusammengeschriebenes ("fuckyou")
+// - persönliche Daten: E-Mail-Adressen, Telefonnummern, URLs, @-Handles
+// - ohne Prüfung: Beitrag wird mit freundlichem Hinweis nicht gedruckt
+//   mit "hold for review": Beitrag wartet in der Warteschlange, bis das Team
+//   ihn freigibt (-> Event 'moderation:approved', script.js druckt) oder ablehnt
+//
+// Usage: window.posterModeration.check(text)  -> { action: 'allow' | 'hold' | 'block', flags }
+//        window.posterModeration.hold(contribution) / .approve(id) / .reject(id)
+
+(function (global) {
+  'use strict';
+
+  const STORAGE_KEY = 'pferd.moderation';
+  const QUEUE_KEY = 'pferd.reviewQueue';
+
+  // Grundbestand, im Panel erweiterbar. Einträge treffen ganze Wörter und (ab MIN_STEM
+  // Buchstaben) auch Teile zusammengeschriebener Wörter; kürzere stehen gebeugt einzeln in der Liste.
+  // Nach der Normalisierung kollidierende Wörter fehlen absichtlich (göt -> "got", piç -> "pic", şık -> "sik").
+  const DEFAULT_BLOCKLIST = {
+    de: ['arschloch', 'arschlöcher', 'fick', 'ficken', 'fickt', 'fickte', 'ficker', 'gefickt', 'fotze', 'fotzen', 'hure', 'huren',
+      'hurensohn', 'hurensöhne', 'kanake', 'kanaken', 'missgeburt', 'neger', 'schlampe', 'schlampen', 'scheisse', 'scheiss',
+      'schwuchtel', 'schwuchteln', 'spast', 'spasti', 'spasten', 'wichser', 'heil hitler'],
+    en: ['asshole', 'assholes', 'bitch', 'bitches', 'cunt', 'cunts', 'fag', 'fags', 'faggot', 'faggots', 'fuck', 'fucks',
+      'fucked', 'fucker', 'fuckers', 'fucking', 'motherfucker', 'nazi', 'nazis', 'nigger', 'niggers', 'nigga', 'niggas',
+      'retard', 'retarded', 'retards', 'shit', 'shits', 'shitty', 'bullshit', 'slut', 'sluts', 'whore', 'whores'],
+    tr: ['amk', 'amina', 'ibne', 'orospu', 'orospu çocuğu', 'pezevenk', 'siktir', 'sikerim', 'sikeyim', 'yarrak', 'kahpe', 'gavat']
+  };
+
+  const DEFAULTS = {
+    holdForReview: false,
+    blockPersonalData: true,
+    blocklist: DEFAULT_BLOCKLIST
+  };
+
+  function load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      return Object.assign({}, DEFAULTS, stored, {
+        blocklist: Object.assign({}, DEFAULT_BLOCKLIST, stored.blocklist)
+      });
+    } catch (e) {
+      return Object.assign({}, DEFAULTS);
+    }
+  }
+
+  function save(settings) {
+    const merged = Object.assign({}, DEFAULTS, settings);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(merged));
+    compiled = null;
+    return merged;
+  }
+
+  /* Normalisierung */
+
+  const LEET = { '0': 'o', '1': 'i', '2': 'z', '3': 'e', '4': 'a', '5': 's', '6': 'g', '7': 't', '8': 'b', '9': 'g',
+    '@': 'a', '$': 's', '€': 'e', '!': 'i', '|': 'i', '+': 't' };
+  const LEET_CHARS = /[0-9@$€!|+]/g;
+  // Zeichen mitten im Wort ("f*ck", "f4ck", "sh!t") werden zum Platzhalter *
+  const MASK_CHARS = /(?<=\p{L})[0-9@$€!|+*#]+(?=\p{L})/gu;
+
+  // mode: 'leet'  Ziffern/Zeichen als Buchstaben ("$h1t" -> "shit")
+  //       'plain' Zeichen trennen Wörter ("Fuck!" -> "fuck")
+  //       'mask'  Zeichen zwischen Buchstaben als Platzhalter ("f4ck" -> "f*ck")
+  function normalize(text, mode = 'leet') {
+    let s = String(text).toLowerCase();
+    if (mode === 'leet') s = s.replace(LEET_CHARS, (c) => LEET[c]);
+    else if (mode === 'mask') s = s.replace(MASK_CHARS, (m) => '*'.repeat(m.length));
+    return s
+      .replace(/ß/g, 'ss')
+      .replace(/ı/g, 'i')
+      .normalize('NFD').replace(/\p{M}/gu, '')
+      .replace(/ae/g, 'a').replace(/oe/g, 'o').replace(/ue/g, 'u')
+      .replace(/(\p{L})\1+/gu, '$1');
+  }
+
+  // Wörter nach Normalisierung; einzeln gesperrte Buchstaben ("f u c k") zusammengezogen
+  function tokens(text, mode = 'leet') {
+    const words = normalize(text, mode).split(mode === 'mask' ? /[^\p{L}*]+/u : /[^\p{L}]+/u).filter(Boolean);
+    const out = words.slice();
+    let run = '';
+    words.concat(['']).forEach((w) => {
+      if (w.length === 1) {
+        run += w;
+      } else {
+        if (run.length >= 3) out.push(run);
+        run = '';
+      }
+    });
+    return out;
+  }
+
+  // jede Eingabe in allen drei Lesarten prüfen: "Fuck!" nur plain, "$h1t" nur leet, "f*ck" nur mask
+  function wordVariants(text) {
+    return ['plain', 'leet', 'mask'].map((mode) => tokens(text, mode));
+  }
+
+  let compiled = null;
+  function compiledBlocklist() {
+    if (compiled) return compiled;
+    const settings = load();
+    compiled = [];
+    Object.keys(settings.blocklist).forEach((lang) => {
+      (settings.blocklist[lang] || []).forEach((entry) => {
+        const parts = tokens(entry, 'plain');
+        if (parts.length) compiled.push({ entry, lang, parts });
+      });
+    });
+    return compiled;
+  }
+
+  // Einträge ab MIN_STEM Buchstaben treffen auch innerhalb zusammengeschriebener Wörter
+  // ("fuckyou", "gofuckyourself"); außer in gewöhnlichen Wörtern, die einen Eintrag
+  // enthalten (ALLOWLIST, normalisiert)
+  const MIN_STEM = 4;
+  const ALLOWLIST = ['fickle', 'stamina', 'lamina', 'vitamina', 'examination', 'contamination', 'spastik', 'spastisch',
+    'retardant', 'retardation', 'nigeria', 'nazim', 'nazion', 'ashkenazi', 'shitake', 'scunthorpe', 'churer'
+  ].map((w) => normalize(w, 'plain'));
+
+  // gleiche Buchstaben, * steht für einen beliebigen; höchstens maxMasked Platzhalter
+  // und mindestens zwei echte Buchstaben
+  function sameLetters(word, part, maxMasked = Infinity) {
+    if (word.length !== part.length) return false;
+    let masked = 0;
+    for (let i = 0; i < word.length; i++) {
+      if (word[i] === '*') masked++;
+      else if (word[i] !== part[i]) return false;
+    }
+    return masked <= maxMasked && word.length - masked >= 2;
+  }
+
+  function matchWord(word, part) {
+    if (sameLetters(word, part)) return true;
+    if (part.length < MIN_STEM || word.length <= part.length) return false;
+    if (ALLOWLIST.some((a) => word.includes(a))) return false;
+    // im Wort nur mit einem Platzhalter ("f*ckyou"), sonst trifft "schei**e" auf "i**e"
+    for (let i = 0; i + part.length <= word.length; i++) {
+      if (sameLetters(word.slice(i, i + part.length), part, 1)) return true;
+    }
+    return false;
+  }
+
+  function matchesEntry(words, item) {
+    if (item.parts.length === 1) return words.some((w) => matchWord(w, item.parts[0]));
+    // mehrere Wörter ("heil hitler"): direkt hintereinander
+    for (let i = 0; i + item.parts.length <= words.length; i++) {
+      if (item.parts.every((p, k) => sameLetters(words[i + k], p))) return true;
+    }
+    return false;
+  }
+
+  /* Persönliche Daten */
+
+  const PERSONAL_PATTERNS = [
+    { type: 'email', re: /[^\s@]+\s*(?:@|\(at\)|\[at\])\s*[^\s@]+\.[a-z]{2,}/i },
+    { type: 'handle', re: /(?:^|\s)@[a-z0-9_.]{3,}/i }
+  ];
+
+  // Links: mit Schema oder www., mit Pfad ("insta.me/xyz") oder als klein geschriebene Domain
+  // mit einer TLD, die kein gewöhnliches Wort ist ("spiegel.de"). "gut.Me too" ist ein Satz.
+  const URL_TLDS = 'com|de|net|org|tr|io|info|me|at|ch|eu|co|app|dev|ly|tv';
+  const URL_PATTERNS = [
+    /\b(?:https?:\/\/|www\.)\S+/i,
+    new RegExp(`\\b[a-z0-9-]+\\.(?:${URL_TLDS})\\/\\S*`, 'i'),
+    /\b[A-Za-z0-9-]{2,}\.(?:com|de|net|org|tr|eu|ch)\b(?!\.?\w)/
+  ];
+
+  function findUrl(text) {
+    for (const re of URL_PATTERNS) {
+      const m = re.exec(text);
+      if (m) return m[0];
+    }
+    return null;
+  }
+
+  // 7+ Ziffern, die wie eine Nummer aussehen: mit + oder 0 vorne ("0171 1234567", "+49 30 …")
+  // oder in mindestens drei Gruppen ("555 123 4567"). Jahreszahlen ("1989-2024") und
+  // Daten ("01.05.2024") sind keine Telefonnummern.
+  function findPhone(text) {
+    const candidates = text.match(/(?:\+|\b)\d[\d\s\-/().]{5,}\d/g) || [];
+    return candidates.find((c) => {
+      if (c.replace(/\D/g, '').length < 7) return false;
+      if (/^\d{1,2}\.\d{1,2}\.\d{2,4}$/.test(c)) return false;
+      if (/^(?:\+|0)/.test(c)) return true;
+      return c.split(/[\s\-/()]+/).filter(Boolean).length >= 3;
+    }) || null;
+  }
+
+  function personalData(text) {
+    const flags = [];
+    PERSONAL_PATTERNS.forEach(({ type, re }) => {
+      const m = re.exec(text);
+      if (m) flags.push({ type, match: m[0].trim() });
+    });
+    const url = findUrl(text);
+    if (url) flags.push({ type: 'url', match: url.trim() });
+    const phone = findPhone(text);
+    if (phone) flags.push({ type: 'phone', match: phone.trim() });
+    return flags;
+  }
+
+  /* Prüfung */
+
+  // -> { action: 'allow' | 'hold' | 'block', flags: [{ type, match, lang? }] }
+  function check(text) {
+    const settings = load();
+    const variants = wordVariants(text);
+    const flags = compiledBlocklist()
+      .filter((item) => variants.some((words) => matchesEntry(words, item)))
+      .map((item) => ({ type: 'blocklist', match: item.entry, lang: item.lang }));
+    if (settings.blockPersonalData) flags.push(...personalData(text));
+    if (!flags.length) return { action: 'allow', flags };
+    return { action: settings.holdForReview ? 'hold' : 'block', flags };
+  }
+
+  /* Warteschlange */
+
+  function listQueue() {
+    try {
+      const items = JSON.parse(localStorage.getItem(QUEUE_KEY) || '[]');
+      return Array.isArray(items) ? items : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function saveQueue(items) {
+    localStorage.setItem(QUEUE_KEY, JSON.stringify(items));
+    document.dispatchEvent(new CustomEvent('moderation:queue', { detail: { length: items.length } }));
+  }
+
+  // contribution: { reply, seed, question, flags }
+  function hold(contribution) {
+    const item = Object.assign({
+      id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      createdAt: new Date().toISOString()
+    }, contribution);
+    saveQueue(listQueue().concat([item]));
+    return item;
+  }
+
+  function take(id) {
+    const items = listQueue();
+    const item = items.find((i) => i.id === id);
+    if (!item) throw new Error('Not in the review queue: ' + id);
+    saveQueue(items.filter((i) => i !== item));
+    return item;
+  }
+
+  function approve(id) {
+    const item = take(id);
+    document.dispatchEvent(new CustomEvent('moderation:approved', { detail: item }));
+    return item;
+  }
+
+  function reject(id) {
+    const item = take(id);
+    document.dispatchEvent(new CustomEvent('moderation:rejected', { detail: item }));
+    return item;
+  }
+
+  /* Panel (in der Admin-Konsole hinter der PIN, nicht im Einstellungs-Panel) */
+
+  const FLAG_LABELS = { blocklist: 'blocked word', email: 'email', phone: 'phone number', url: 'link', handle: 'handle' };
+
+  function describeFlags(flags) {
+    return flags.map((f) => `${FLAG_LABELS[f.type] || f.type}: ${f.match}`).join(', ');
+  }
+
+  function initPanel() {
+    const section = document.querySelector('.moderation-settings');
+    if (!section) return;
+    const field = (name) => section.querySelector(`[name="${name}"]`);
+    const status = section.querySelector('.moderation-status');
+    const list = section.querySelector('.review-queue');
+
+    function fill() {
+      const s = load();
+      field('holdForReview').checked = !!s.holdForReview;
+      field('blockPersonalData').checked = !!s.blockPersonalData;
+      Object.keys(DEFAULT_BLOCKLIST).forEach((lang) => {
+        field('blocklist-' + lang).value = (s.blocklist[lang] || []).join('\n');
+      });
+    }
+
+    function renderQueue() {
+      const items = listQueue();
+      list.innerHTML = '';
+      if (!items.length) {
+        list.textContent = 'No contributions waiting.';
+        return;
+      }
+      items.forEach((item) => {
+        const row = document.createElement('div');
+        row.className = 'review-item';
+        const text = document.createElement('div');
+        text.className = 'review-reply';
+        text.textContent = item.reply;
+        const meta = document.createElement('div');
+        meta.className = 'review-meta';
+        meta.textContent = `${new Date(item.createdAt).toLocaleTimeString()} · ${describeFlags(item.flags || [])}`;
+        const actions = document.createElement('div');
+        actions.className = 'review-actions';
+        [['approve', 'Approve & print'], ['reject', 'Reject']].forEach(([action, labelText]) => {
+          const b = document.createElement('button');
+          b.type = 'button';
+          b.textContent = labelText;
+          b.addEventListener('click', () => {
+            try {
+              if (action === 'approve') approve(item.id); else reject(item.id);
+            } catch (err) {
+              status.textContent = err.message;
+            }
+          });
+          actions.appendChild(b);
+        });
+        row.append(text, meta, actions);
+        list.appendChild(row);
+      });
+    }
+
+    section.querySelector('[data-action="save-moderation"]').addEventListener('click', () => {
+      const blocklist = {};
+      Object.keys(DEFAULT_BLOCKLIST).forEach((lang) => {
+        blocklist[lang] = field('blocklist-' + lang).value.split('\n').map((w) => w.trim()).filter(Boolean);
+      });
+      save({
+        holdForReview: field('holdForReview').checked,
+        blockPersonalData: field('blockPersonalData').checked,
+        blocklist
+      });
+      status.textContent = 'Moderation saved.';
+    });
+
+    section.querySelector('[data-action="test-moderation"]').addEventListener('click', () => {
+      const text = field('moderationTest').value;
+      const verdict = check(text);
+      status.textContent = verdict.flags.length ? `${verdict.action}: ${describeFlags(verdict.flags)}` : 'allow';
+    });
+
+    document.addEventListener('moderation:queue', renderQueue);
+    fill();
+    renderQueue();
+  }
+
+  document.addEventListener('DOMContentLoaded', initPanel);
+
+  // expose
+  global.posterModeration = {
+    DEFAULTS,
+    load,
+    save,
+    normalize,
+    check,
+    hold,
+    listQueue,
+    approve,
+    reject
+  };
+
+})(window);
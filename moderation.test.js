@@ -0,0 +1,73 @@
+// moderation.test.js
+// Wortliste und Schreibweisen der Moderation (ohne Browser, im vm-Kontext).
+//
+// Usage: node --test moderation.test.js
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadModeration() {
+  const store = {};
+  const context = {
+    localStorage: {
+      getItem: (key) => (key in store ? store[key] : null),
+      setItem: (key, value) => { store[key] = String(value); }
+    },
+    document: { addEventListener() {}, dispatchEvent() {} },
+    CustomEvent: class CustomEvent {
+      constructor(type, init) { this.type = type; this.detail = init && init.detail; }
+    }
+  };
+  context.window = context;
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(path.join(__dirname, 'moderation.js'), 'utf8'), context);
+  return context.posterModeration;
+}
+
+const moderation = loadModeration();
+
+function blocklistMatches(text) {
+  // Arrays aus dem vm-Kontext in dieses Realm kopieren, sonst scheitert deepEqual
+  return Array.from(moderation.check(text).flags.filter((f) => f.type === 'blocklist'), (f) => f.match);
+}
+
+test('blocks words with trailing punctuation', () => {
+  assert.equal(moderation.check('Fuck!').action, 'block');
+  assert.equal(moderation.check('fuck.').action, 'block');
+  assert.equal(moderation.check('Was für eine Scheiße?!').action, 'block');
+});
+
+test('blocks masked and leet spellings', () => {
+  for (const text of ['f*ck', 'f**k this', 'f4ck you', 'sh1t', 'sh!t', 'a$$hole']) {
+    assert.equal(moderation.check(text).action, 'block', text);
+  }
+});
+
+test('blocks words written together with others', () => {
+  assert.equal(moderation.check('fuckyou').action, 'block');
+  assert.equal(moderation.check('FUCKING great').action, 'block');
+  assert.equal(moderation.check('hurensöhne').action, 'block');
+  assert.equal(moderation.check('gofuckyourself').action, 'block');
+});
+
+test('spaced-out letters count as one word', () => {
+  assert.equal(moderation.check('F U C K').action, 'block');
+});
+
+test('leaves harmless words and numbers alone', () => {
+  for (const text of ['That was fickle', 'Musik ist schön', 'shitake', 'stamina', 'Es war gut.Me too', 'examination', 'Scunthorpe', '1989-2024 war eine Zeit']) {
+    assert.deepEqual(blocklistMatches(text), [], text);
+  }
+});
+
+test('masked letters need enough real letters around them', () => {
+  // "schei**e" endet auf "i**e", das darf nicht als "ibne" zählen
+  assert.ok(!blocklistMatches('schei$$e').includes('ibne'));
+  assert.ok(blocklistMatches('schei$$e').includes('scheisse'));
+  assert.equal(moderation.check('***').action, 'allow');
+});
@@ -0,0 +1,133 @@
+// paper-roll.js
+// Papierbuchhaltung für die Thermorolle:
+// - das Team trägt die Rollenlänge ein (z.B. 30 m / 50 m), "New roll" setzt den Rest zurück
+// - nach jedem Job wird die wirklich gedruckte Länge abgezogen
+//   (Rasterzeilen / Dots pro mm + Vorschub, Event 'printer:paperused' aus script.js)
+// - Warnung beim Unterschreiten der Schwellen (Event 'paper:low', Hinweis am Rand,
+//   Eintrag im Fehlerprotokoll der Admin-Konsole)
+// - Höchstlänge pro Poster: längere Antworten bekommen in script.js das kompakte
+//   Layout in gekappter Höhe statt Meter Papier
+// - gespeichert in localStorage, übersteht Reloads
+//
+// Usage: window.paperRoll.newRoll(50)           // Meter
+//        window.paperRoll.remainingMm()
+//        window.paperRoll.maxPosterMm()        // 0 = ohne Grenze
+
+(function (global) {
+  'use strict';
+
+  const STORAGE_KEY = 'pferd.paperRoll';
+  const MIN_POSTER_CM = 20;
+
+  const DEFAULTS = {
+    rollLengthM: 50,
+    remainingMm: 50000,
+    warnAtM: [5, 1], // Meter, absteigend
+    maxPosterCm: 60,
+    warned: [] // bereits gemeldete Schwellen dieser Rolle
+  };
+
+  function load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      return Object.assign({}, DEFAULTS, stored);
+    } catch (e) {
+      return Object.assign({}, DEFAULTS);
+    }
+  }
+
+  function save(state) {
+    const merged = Object.assign({}, DEFAULTS, state);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(merged));
+    document.dispatchEvent(new CustomEvent('paper:change', { detail: merged }));
+    return merged;
+  }
+
+  // "5, 1" -> [5, 1]
+  function parseThresholds(value) {
+    const list = Array.isArray(value) ? value : String(value).split(/[,;\s]+/);
+    return list.map(Number).filter((n) => Number.isFinite(n) && n > 0).sort((a, b) => b - a);
+  }
+
+  // settings: { rollLengthM, warnAtM, maxPosterCm } (ohne Rest: der bleibt)
+  function configure(settings) {
+    const state = load();
+    if (settings.rollLengthM !== undefined) {
+      const m = Number(settings.rollLengthM);
+      if (!(m > 0)) throw new Error('Roll length must be a positive number of metres.');
+      state.rollLengthM = m;
+    }
+    if (settings.warnAtM !== undefined) state.warnAtM = parseThresholds(settings.warnAtM);
+    if (settings.maxPosterCm !== undefined) {
+      const cm = Number(settings.maxPosterCm) || 0;
+      if (cm && cm < MIN_POSTER_CM) throw new Error(`A poster needs at least ${MIN_POSTER_CM} cm (0 = no limit).`);
+      state.maxPosterCm = cm;
+    }
+    return save(state);
+  }
+
+  function newRoll(lengthM = load().rollLengthM) {
+    const state = configure({ rollLengthM: lengthM });
+    return save(Object.assign(state, { remainingMm: state.rollLengthM * 1000, warned: [] }));
+  }
+
+  function consume(mm) {
+    if (!(mm > 0)) return load();
+    const state = load();
+    state.remainingMm = Math.max(0, state.remainingMm - mm);
+    // jede Schwelle einmal pro Rolle melden
+    const crossed = state.warnAtM.filter((m) => state.remainingMm <= m * 1000 && !state.warned.includes(m));
+    state.warned = state.warned.concat(crossed);
+    save(state);
+    crossed.forEach((thresholdM) => {
+      document.dispatchEvent(new CustomEvent('paper:low', {
+        detail: { remainingMm: state.remainingMm, thresholdM }
+      }));
+    });
+    return state;
+  }
+
+  function remainingMm() {
+    return load().remainingMm;
+  }
+
+  function maxPosterMm() {
+    return load().maxPosterCm * 10;
+  }
+
+  // unter der höchsten Schwelle: Hinweis fürs Team am Bildschirmrand
+  function isLow(state = load()) {
+    return state.warnAtM.length > 0 && state.remainingMm <= state.warnAtM[0] * 1000;
+  }
+
+  function describe(state = load()) {
+    if (state.remainingMm <= 0) return 'Paper roll is probably empty.';
+    return `Paper low: about ${(state.remainingMm / 1000).toFixed(1)} m left.`;
+  }
+
+  function renderWarning(state = load()) {
+    const badge = document.getElementById('paperWarning');
+    if (!badge) return;
+    badge.hidden = !isLow(state);
+    badge.textContent = isLow(state) ? describe(state) : '';
+  }
+
+  document.addEventListener('printer:paperused', (e) => consume(e.detail && e.detail.paperMm));
+  document.addEventListener('paper:change', (e) => renderWarning(e.detail));
+  document.addEventListener('DOMContentLoaded', () => renderWarning());
+
+  // expose
+  global.paperRoll = {
+    DEFAULTS,
+    load,
+    configure,
+    newRoll,
+    consume,
+    remainingMm,
+    maxPosterMm,
+    isLow,
+    describe,
+    parseThresholds
+  };
+
+})(window);
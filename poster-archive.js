@@ -0,0 +1,256 @@
+// poster-archive.js
+// Lokales Archiv aller Beiträge (IndexedDB), damit nach einer Ausstellung
+// nichts verloren ist:
+// - jede erfolgreich gedruckte Antwort inkl. Frage (ID, Sprache), Zeitstempel, Layout,
+//   Poster-SVG und Transport-Ergebnis wird gespeichert
+// - Export als JSON, CSV und ZIP mit allen Poster-SVGs
+//
+// Usage: window.posterArchive.addContribution(record)
+//        window.posterArchive.exportArchive('json' | 'csv' | 'zip')
+
+(function (global) {
+  'use strict';
+
+  const DB_NAME = 'pferd-archive';
+  const DB_VERSION = 1;
+  const STORE = 'contributions';
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    if (!global.indexedDB) {
+      return Promise.reject(new Error('IndexedDB not available in this browser.'));
+    }
+    dbPromise = new Promise((resolve, reject) => {
+      const req = global.indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          const store = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('createdAt', 'createdAt');
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        dbPromise = null;
+        reject(req.error);
+      };
+    });
+    return dbPromise;
+  }
+
+  function requestToPromise(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function withStore(mode, fn) {
+    const db = await openDb();
+    const tx = db.transaction(STORE, mode);
+    const result = await fn(tx.objectStore(STORE));
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    return result;
+  }
+
+  /* Records */
+
+  async function addContribution(record) {
+    const entry = Object.assign({ createdAt: new Date().toISOString() }, record);
+    return withStore('readwrite', (store) => requestToPromise(store.add(entry)));
+  }
+
+  async function listContributions() {
+    return withStore('readonly', (store) => requestToPromise(store.getAll()));
+  }
+
+  async function countContributions() {
+    return withStore('readonly', (store) => requestToPromise(store.count()));
+  }
+
+  async function clearContributions() {
+    return withStore('readwrite', (store) => requestToPromise(store.clear()));
+  }
+
+  /* Export */
+
+  const CSV_COLUMNS = ['id', 'createdAt', 'language', 'questionId', 'question', 'reply', 'layout', 'legibility', 'posterId', 'transport', 'success'];
+
+  function csvCell(value) {
+    let s = value === undefined || value === null ? '' : String(value);
+    // Besucher-Text darf in Excel keine Formel werden
+    if (/^[=+\-@]/.test(s)) s = "'" + s;
+    if (/[",\r\n]/.test(s)) s = '"' + s.replace(/"/g, '""') + '"';
+    return s;
+  }
+
+  function toCsv(records) {
+    const rows = [CSV_COLUMNS.join(',')];
+    for (const r of records) {
+      const result = r.result || {};
+      const row = {
+        id: r.id,
+        createdAt: r.createdAt,
+        language: r.language,
+        questionId: r.questionId,
+        question: r.question,
+        reply: r.reply,
+        layout: r.layout,
+        legibility: r.legibility,
+        posterId: r.posterId,
+        transport: result.transport,
+        success: result.success
+      };
+      rows.push(CSV_COLUMNS.map((c) => csvCell(row[c])).join(','));
+    }
+    // BOM, damit Excel Umlaute richtig liest
+    return '\uFEFF' + rows.join('\r\n') + '\r\n';
+  }
+
+  function svgFileName(r) {
+    const stamp = String(r.createdAt || '').replace(/[:.]/g, '-');
+    return `poster-${r.id}-${r.posterId || 'unknown'}-${stamp}.svg`;
+  }
+
+  async function exportJSON() {
+    const records = await listContributions();
+    return new Blob([JSON.stringify(records, null, 2)], { type: 'application/json' });
+  }
+
+  async function exportCSV() {
+    const records = await listContributions();
+    return new Blob([toCsv(records)], { type: 'text/csv;charset=utf-8' });
+  }
+
+  async function exportSvgZip() {
+    const records = await listContributions();
+    const files = records
+      .filter((r) => r.svg)
+      .map((r) => ({ name: svgFileName(r), data: r.svg, date: new Date(r.createdAt) }));
+    return buildZip(files);
+  }
+
+  function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async function exportArchive(format = 'json') {
+    const day = new Date().toISOString().slice(0, 10);
+    if (format === 'json') return download(await exportJSON(), `pferd-archive-${day}.json`);
+    if (format === 'csv') return download(await exportCSV(), `pferd-archive-${day}.csv`);
+    if (format === 'zip') return download(await exportSvgZip(), `pferd-posters-${day}.zip`);
+    throw new Error('Unknown export format: ' + format);
+  }
+
+  /* Minimal ZIP writer (stored, no compression) */
+
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  function dosDateTime(date) {
+    const d = (date instanceof Date && !isNaN(date)) ? date : new Date();
+    const time = (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1);
+    const day = ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+    return { time, day };
+  }
+
+  // files: [{ name, data: string | Uint8Array, date? }]
+  function buildZip(files) {
+    const enc = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const f of files) {
+      const name = enc.encode(f.name);
+      const data = typeof f.data === 'string' ? enc.encode(f.data) : f.data;
+      const crc = crc32(data);
+      const { time, day } = dosDateTime(f.date);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // UTF-8 file names
+      local.setUint16(8, 0, true); // stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, day, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+      parts.push(new Uint8Array(local.buffer), name, data);
+
+      const cd = new DataView(new ArrayBuffer(46));
+      cd.setUint32(0, 0x02014B50, true);
+      cd.setUint16(4, 20, true);
+      cd.setUint16(6, 20, true);
+      cd.setUint16(8, 0x0800, true);
+      cd.setUint16(10, 0, true);
+      cd.setUint16(12, time, true);
+      cd.setUint16(14, day, true);
+      cd.setUint32(16, crc, true);
+      cd.setUint32(20, data.length, true);
+      cd.setUint32(24, data.length, true);
+      cd.setUint16(28, name.length, true);
+      cd.setUint32(42, offset, true);
+      central.push(new Uint8Array(cd.buffer), name);
+
+      offset += 30 + name.length + data.length;
+    }
+
+    const cdSize = central.reduce((n, p) => n + p.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, cdSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, new Uint8Array(end.buffer)], { type: 'application/zip' });
+  }
+
+  // expose
+  global.posterArchive = {
+    addContribution,
+    listContributions,
+    countContributions,
+    clearContributions,
+    exportJSON,
+    exportCSV,
+    exportSvgZip,
+    exportArchive,
+    download,
+    buildZip,
+    crc32
+  };
+
+})(window);
@@ -0,0 +1,267 @@
+// poster-export.js
+// Digitale Kopien der Poster für Besucher und Kurator:innen, neben dem Thermodruck:
+// - SVG: eigenständig, Schriften eingebettet, Größe in mm
+// - PNG: in wählbarer DPI (mit pHYs-Chunk, damit Grafikprogramme die Größe kennen)
+// - PDF: eine Seite in Papierbreite × Posterhöhe (mm_height aus generate()),
+//   das Poster als JPEG-Bild (DCTDecode), minimaler PDF-Writer ohne Bibliothek
+// - Stapel-Export als ZIP: Archiv-Einträge (gespeichertes SVG) oder neu
+//   erzeugte Poster (Antwort + Seed über posterGenerator.renderPoster)
+//
+// Papiermaße stehen als data-paper-width-mm / data-paper-height-mm am Poster-SVG;
+// ältere Archiv-SVGs ohne diese Angaben bekommen die Papierbreite aus style.css.
+//
+// Usage: window.posterExport.exportPoster('svg' | 'png' | 'pdf', { dpi })
+//        window.posterExport.exportBatch(records, 'pdf', { dpi })
+//        window.posterExport.exportArchive('png', { dpi })
+
+(function (global) {
+  'use strict';
+
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const DEFAULT_DPI = 300;
+  const DEFAULT_PAPER_WIDTH_MM = 62;
+  const JPEG_QUALITY = 0.92;
+  const FORMATS = ['svg', 'png', 'pdf'];
+
+  function paperWidthFromCss() {
+    const v = parseFloat(getComputedStyle(document.documentElement).getPropertyValue('--paper-width-mm'));
+    return Number.isFinite(v) && v > 0 ? v : DEFAULT_PAPER_WIDTH_MM;
+  }
+
+  function viewBoxOf(svg) {
+    const vb = (svg.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+    if (vb.length === 4 && vb[2] > 0 && vb[3] > 0) return { width: vb[2], height: vb[3] };
+    throw new Error('Poster SVG has no viewBox.');
+  }
+
+  // -> { widthMm, heightMm }
+  function paperSize(svg) {
+    const w = parseFloat(svg.getAttribute('data-paper-width-mm'));
+    const h = parseFloat(svg.getAttribute('data-paper-height-mm'));
+    if (w > 0 && h > 0) return { widthMm: w, heightMm: h };
+    const vb = viewBoxOf(svg);
+    const widthMm = w > 0 ? w : paperWidthFromCss();
+    return { widthMm, heightMm: widthMm * vb.height / vb.width };
+  }
+
+  // Schriftfamilien, die das Poster wirklich benutzt ("Bungee, sans-serif" -> "Bungee")
+  function usedFontFamilies(svg) {
+    const families = new Set();
+    svg.querySelectorAll('[font-family]').forEach((el) => {
+      const first = el.getAttribute('font-family').split(',')[0].trim().replace(/^['"]|['"]$/g, '');
+      if (first && !/^(serif|sans-serif|monospace|cursive|fantasy)$/i.test(first)) families.add(first);
+    });
+    return Array.from(families);
+  }
+
+  function toSvgElement(svg) {
+    if (typeof svg !== 'string') return svg;
+    const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+    const root = doc.documentElement;
+    if (!root || root.nodeName.toLowerCase() !== 'svg') throw new Error('Not an SVG document.');
+    // im Dokument, damit viewBox & Co. wie bei #paper funktionieren
+    return document.importNode(root, true);
+  }
+
+  function posterIdOf(svg) {
+    const id = svg.getAttribute('data-poster-id');
+    if (id) return id;
+    const texts = Array.from(svg.querySelectorAll('text'));
+    const idText = texts.reverse().find((t) => /^#[0-9A-Z]{7}$/.test(t.textContent.trim()));
+    return idText ? idText.textContent.trim().slice(1) : 'unknown';
+  }
+
+  /* SVG */
+
+  async function standaloneSvg(svg) {
+    const { widthMm, heightMm } = paperSize(svg);
+    const clone = svg.cloneNode(true);
+    clone.setAttribute('xmlns', SVG_NS);
+    clone.setAttribute('width', `${widthMm}mm`);
+    clone.setAttribute('height', `${heightMm}mm`);
+    const families = usedFontFamilies(svg);
+    const css = families.length ? await global.escposPrinter.embeddedFontCss(families) : '';
+    if (css) {
+      const style = document.createElementNS(SVG_NS, 'style');
+      style.textContent = css;
+      clone.insertBefore(style, clone.firstChild);
+    }
+    const markup = '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone);
+    return new Blob([markup], { type: 'image/svg+xml;charset=utf-8' });
+  }
+
+  /* PNG */
+
+  async function renderAtDpi(svg, dpi) {
+    const { widthMm } = paperSize(svg);
+    const widthPx = Math.max(1, Math.round(widthMm / 25.4 * dpi));
+    return global.escposPrinter.renderSvgToCanvas(svg, widthPx, usedFontFamilies(svg));
+  }
+
+  function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => blob ? resolve(blob) : reject(new Error('Could not encode ' + type + '.')), type, quality);
+    });
+  }
+
+  // pHYs direkt hinter IHDR einfügen (8 Byte Signatur + 25 Byte IHDR)
+  function pngWithDpi(png, dpi) {
+    const ppm = Math.round(dpi / 0.0254);
+    const chunk = new Uint8Array(21);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, 9);
+    chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+    view.setUint32(8, ppm);
+    view.setUint32(12, ppm);
+    chunk[16] = 1; // Einheit: Meter
+    view.setUint32(17, global.posterArchive.crc32(chunk.subarray(4, 17)));
+    const out = new Uint8Array(png.length + chunk.length);
+    out.set(png.subarray(0, 33), 0);
+    out.set(chunk, 33);
+    out.set(png.subarray(33), 33 + chunk.length);
+    return out;
+  }
+
+  async function renderPng(svg, dpi = DEFAULT_DPI) {
+    const canvas = await renderAtDpi(svg, dpi);
+    const png = new Uint8Array(await (await canvasToBlob(canvas, 'image/png')).arrayBuffer());
+    return new Blob([pngWithDpi(png, dpi)], { type: 'image/png' });
+  }
+
+  /* PDF */
+
+  // eine Seite widthMm × heightMm, darauf das JPEG formatfüllend
+  function buildPdf(jpeg, pixelWidth, pixelHeight, widthMm, heightMm) {
+    const enc = new TextEncoder();
+    const pt = (mm) => (mm * 72 / 25.4).toFixed(2);
+    const W = pt(widthMm);
+    const H = pt(heightMm);
+    const content = `q ${W} 0 0 ${H} 0 0 cm /Im0 Do Q\n`;
+
+    const parts = [];
+    const offsets = [];
+    let length = 0;
+    const push = (chunk) => {
+      const bytes = typeof chunk === 'string' ? enc.encode(chunk) : chunk;
+      parts.push(bytes);
+      length += bytes.length;
+    };
+    const object = (n, dict, stream) => {
+      offsets[n] = length;
+      push(`${n} 0 obj\n${dict}\n`);
+      if (stream) {
+        push('stream\n');
+        push(stream);
+        push('\nendstream\n');
+      }
+      push('endobj\n');
+    };
+
+    push('%PDF-1.4\n%âãÏÓ\n');
+    object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    object(2, '<< /Type /Pages /Kids [3 0 R] /Count 1 >>');
+    object(3, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${W} ${H}] ` +
+      '/Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>');
+    object(4, `<< /Type /XObject /Subtype /Image /Width ${pixelWidth} /Height ${pixelHeight} ` +
+      `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>`, jpeg);
+    object(5, `<< /Length ${enc.encode(content).length} >>`, enc.encode(content));
+
+    const xref = length;
+    push(`xref\n0 ${offsets.length}\n0000000000 65535 f \n`);
+    for (let n = 1; n < offsets.length; n++) push(String(offsets[n]).padStart(10, '0') + ' 00000 n \n');
+    push(`trailer\n<< /Size ${offsets.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+    return new Blob(parts, { type: 'application/pdf' });
+  }
+
+  async function renderPdf(svg, dpi = DEFAULT_DPI) {
+    const { widthMm, heightMm } = paperSize(svg);
+    const canvas = await renderAtDpi(svg, dpi);
+    const jpeg = new Uint8Array(await (await canvasToBlob(canvas, 'image/jpeg', JPEG_QUALITY)).arrayBuffer());
+    return buildPdf(jpeg, canvas.width, canvas.height, widthMm, heightMm);
+  }
+
+  /* Export */
+
+  // svg: Element oder SVG-Markup; opts: { dpi }
+  async function exportBlob(svg, format = 'svg', opts = {}) {
+    const el = toSvgElement(svg);
+    const dpi = opts.dpi > 0 ? opts.dpi : DEFAULT_DPI;
+    if (format === 'svg') return standaloneSvg(el);
+    if (format === 'png') return renderPng(el, dpi);
+    if (format === 'pdf') return renderPdf(el, dpi);
+    throw new Error('Unknown export format: ' + format);
+  }
+
+  function fileName(svg, format) {
+    return `poster-${posterIdOf(toSvgElement(svg))}.${format}`;
+  }
+
+  function currentPosterSvg() {
+    const svg = document.querySelector('#paper svg');
+    if (!svg) throw new Error('There is no poster to export yet.');
+    return svg;
+  }
+
+  // aktuelles Poster herunterladen
+  async function exportPoster(format = 'svg', opts = {}) {
+    const svg = currentPosterSvg();
+    const blob = await exportBlob(svg, format, opts);
+    global.posterArchive.download(blob, fileName(svg, format));
+    return blob;
+  }
+
+  // records: Archiv-Einträge ({ svg } oder { reply, seed }) oder SVG-Markup;
+  // Poster ohne gespeichertes SVG werden mit ihrem Seed neu erzeugt
+  async function exportBatch(records, format = 'svg', opts = {}) {
+    if (!FORMATS.includes(format)) throw new Error('Unknown export format: ' + format);
+    const files = [];
+    let regenerated = false;
+    try {
+      for (const r of records) {
+        const record = typeof r === 'string' ? { svg: r } : r;
+        let svg = record.svg;
+        if (!svg && record.reply && record.seed !== undefined && global.posterGenerator) {
+          await global.posterGenerator.renderPoster(record.reply, record.seed);
+          svg = currentPosterSvg().cloneNode(true);
+          regenerated = true;
+        }
+        if (!svg) continue;
+        const blob = await exportBlob(svg, format, opts);
+        const prefix = record.id !== undefined ? `${record.id}-` : '';
+        files.push({
+          name: prefix + fileName(svg, format),
+          data: new Uint8Array(await blob.arrayBuffer()),
+          date: record.createdAt ? new Date(record.createdAt) : new Date()
+        });
+        if (opts.onProgress) opts.onProgress(files.length, records.length);
+      }
+    } finally {
+      // Eingabefeld-Poster wiederherstellen
+      if (regenerated) await global.posterGenerator.generate();
+    }
+    const zip = global.posterArchive.buildZip(files);
+    if (opts.download !== false) {
+      const day = new Date().toISOString().slice(0, 10);
+      global.posterArchive.download(zip, `pferd-posters-${format}-${day}.zip`);
+    }
+    return zip;
+  }
+
+  async function exportArchive(format = 'svg', opts = {}) {
+    return exportBatch(await global.posterArchive.listContributions(), format, opts);
+  }
+
+  // expose
+  global.posterExport = {
+    FORMATS,
+    DEFAULT_DPI,
+    paperSize,
+    usedFontFamilies,
+    exportBlob,
+    exportPoster,
+    exportBatch,
+    exportArchive,
+    buildPdf
+  };
+
+})(window);
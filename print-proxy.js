@@ -0,0 +1,526 @@
+#!/usr/bin/env node
+// print-proxy.js
+// Lokaler Druck-Proxy für die WebSocket-Transportart (Node, ohne Abhängigkeiten):
+// nimmt Druckjobs über WebSocket an und leitet die ESC/POS-Bytes weiter an
+// - einen Netzwerkdrucker (raw TCP, Port 9100):   --target tcp://192.168.1.50:9100
+// - eine Gerätedatei:                              --target /dev/usb/lp0
+// - einen Ordner (zum Testen, eine .bin pro Job):  --target file:./print-jobs
+//
+// Usage: node print-proxy.js [--port 9000] [--host 127.0.0.1] [--target <ziel>] [--token <geheim>]
+//                            [--origin http://localhost:8080,null]
+//
+// Protokoll (Text-Frames = JSON, Binär-Frames = Druckdaten):
+//   Proxy  -> Client  {"type":"hello","version":1,"target":"tcp://…"}
+//   Client -> Proxy   {"type":"job","id":"abc","bytes":12345}  danach Binär-Frames
+//   Proxy  -> Client  {"type":"accepted","id":"abc","position":0}
+//                     {"type":"progress","id":"abc","sent":4096,"total":12345}
+//                     {"type":"done","id":"abc","bytes":12345}
+//                     {"type":"error","id":"abc","message":"…"}
+//   Client -> Proxy   {"type":"status"}
+//   Proxy  -> Client  {"type":"status","status":{ok,online,paperOut,coverOpen,…}}
+// Binär-Frames ohne vorheriges "job" werden als anonymer Job sofort gedruckt
+// (kompatibel mit älteren Clients).
+//
+// Relay für die Projektionswand (wall.js), wenn Kiosk und Wand auf
+// verschiedenen Rechnern laufen (dann mit --host 0.0.0.0 starten):
+//   Wand   -> Proxy   {"type":"wall:subscribe"}
+//   Proxy  -> Wand    {"type":"wall:history","items":[…]}  die letzten Beiträge
+//   Kiosk  -> Proxy   {"type":"wall:contribution","contribution":{reply,question,…}}
+//   Proxy  -> Wände   {"type":"wall:contribution","contribution":{…}}
+//
+// Zugriff: Verbindungen von localhost dürfen alles. Von anderen Rechnern nur
+// "wall:subscribe", es sei denn, sie bringen das gemeinsame Token mit
+// (--token bzw. PRINT_PROXY_TOKEN, als ws://host:9000/?token=…): dann auch
+// Druckjobs, Status und "wall:contribution". Ohne Token druckt niemand aus dem
+// LAN am Kiosk vorbei oder schreibt ungeprüfte Beiträge an die Wand.
+//
+// Browser-Seiten: nur vom Kiosk, sonst 403 schon beim Handshake (eine beliebige
+// Webseite im Kiosk-Browser könnte sonst ws://localhost:9000 ansprechen).
+// Standard: http(s)://localhost, 127.0.0.1 und [::1] mit beliebigem Port.
+// --origin (Komma-Liste, PRINT_PROXY_ORIGIN) ersetzt den Standard, z.B. um die Wand
+// auf einem anderen Rechner zuzulassen oder "null" für einen Kiosk unter file://.
+
+'use strict';
+
+const http = require('http');
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 32 * 1024 * 1024;
+const CHUNK_BYTES = 16 * 1024;
+const STATUS_TIMEOUT_MS = 1500;
+const WALL_HISTORY = 50;
+const WALL_MAX_REPLY = 500;
+const WALL_MAX_THUMBNAIL = 1024 * 1024;
+
+function parseArgs(argv) {
+  const args = {
+    port: parseInt(process.env.PRINT_PROXY_PORT, 10) || 9000,
+    host: process.env.PRINT_PROXY_HOST || '127.0.0.1',
+    target: process.env.PRINT_PROXY_TARGET || 'file:./print-jobs',
+    token: process.env.PRINT_PROXY_TOKEN || '',
+    origin: process.env.PRINT_PROXY_ORIGIN || ''
+  };
+  for (let i = 2; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    if (key === 'help' || key === 'h') args.help = true;
+    else if (key in args) args[key] = argv[++i];
+    else throw new Error('Unknown option: ' + argv[i]);
+  }
+  args.port = parseInt(args.port, 10);
+  return args;
+}
+
+/* Sinks */
+
+// gleiche Bits wie parseStatusBytes in escpos-printer.js (DLE EOT 1..4)
+function parseStatusBytes([printer = 0, offline = 0, error = 0, paper = 0]) {
+  const s = {
+    online: !(printer & 0x08),
+    coverOpen: !!(offline & 0x04),
+    paperNearEnd: !!(paper & 0x0C),
+    paperOut: !!(paper & 0x60),
+    cutterError: !!(error & 0x08),
+    unrecoverableError: !!(error & 0x20),
+    autoRecoverableError: !!(error & 0x40)
+  };
+  s.error = s.cutterError || s.unrecoverableError || s.autoRecoverableError;
+  s.ok = s.online && !s.coverOpen && !s.paperOut && !s.error;
+  return s;
+}
+
+function createTcpSink(host, port) {
+  function connect() {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect({ host, port });
+      socket.setTimeout(10000);
+      socket.once('connect', () => resolve(socket));
+      socket.once('timeout', () => socket.destroy(new Error(`Printer ${host}:${port} timed out`)));
+      socket.once('error', reject);
+    });
+  }
+
+  return {
+    name: `tcp://${host}:${port}`,
+    async write(data, onProgress) {
+      const socket = await connect();
+      try {
+        for (let off = 0; off < data.length; off += CHUNK_BYTES) {
+          const chunk = data.subarray(off, Math.min(off + CHUNK_BYTES, data.length));
+          if (!socket.write(chunk)) await new Promise((resolve) => socket.once('drain', resolve));
+          onProgress(Math.min(off + CHUNK_BYTES, data.length));
+        }
+        await new Promise((resolve, reject) => {
+          socket.once('error', reject);
+          socket.end(resolve);
+        });
+      } finally {
+        socket.destroy();
+      }
+    },
+    // DLE EOT 1..4 über dieselbe Verbindung
+    async status() {
+      let socket;
+      try {
+        socket = await connect();
+      } catch (err) {
+        return { ok: null, reachable: false, online: false, message: err.message };
+      }
+      try {
+        const replies = [];
+        for (const n of [1, 2, 3, 4]) {
+          socket.write(Buffer.from([0x10, 0x04, n]));
+          replies.push(await new Promise((resolve) => {
+            const t = setTimeout(() => resolve(null), STATUS_TIMEOUT_MS);
+            socket.once('data', (buf) => { clearTimeout(t); resolve(buf[buf.length - 1]); });
+          }));
+        }
+        if (replies.some((r) => r === null)) {
+          return { ok: null, reachable: true, online: true, message: 'Printer does not answer DLE EOT.' };
+        }
+        return Object.assign(parseStatusBytes(replies), { reachable: true });
+      } finally {
+        socket.destroy();
+      }
+    }
+  };
+}
+
+function createDeviceSink(devicePath) {
+  return {
+    name: devicePath,
+    async write(data, onProgress) {
+      const fh = await fs.promises.open(devicePath, 'w');
+      try {
+        for (let off = 0; off < data.length; off += CHUNK_BYTES) {
+          await fh.write(data.subarray(off, Math.min(off + CHUNK_BYTES, data.length)));
+          onProgress(Math.min(off + CHUNK_BYTES, data.length));
+        }
+      } finally {
+        await fh.close();
+      }
+    },
+    async status() {
+      try {
+        await fs.promises.access(devicePath, fs.constants.W_OK);
+        return { ok: null, reachable: true, online: true, message: 'Device files report no printer status.' };
+      } catch (err) {
+        return { ok: null, reachable: false, online: false, message: err.message };
+      }
+    }
+  };
+}
+
+function createFileSink(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  return {
+    name: 'file:' + dir,
+    async write(data, onProgress, job) {
+      const safeId = String(job.id).replace(/[^\w-]/g, '_');
+      const file = path.join(dir, `job-${Date.now()}-${safeId}.bin`);
+      await fs.promises.writeFile(file, data);
+      onProgress(data.length);
+    },
+    async status() {
+      return { ok: true, reachable: true, online: true, paperOut: false, coverOpen: false, error: false };
+    }
+  };
+}
+
+function createSink(target) {
+  const tcp = /^tcp:\/\/([^:/]+)(?::(\d+))?\/?$/.exec(target);
+  if (tcp) return createTcpSink(tcp[1], parseInt(tcp[2] || '9100', 10));
+  if (target.startsWith('file:')) return createFileSink(path.resolve(target.slice(5)));
+  return createDeviceSink(target);
+}
+
+/* Job queue: ein Drucker, Jobs nacheinander */
+
+function createQueue(sink) {
+  let tail = Promise.resolve();
+  let pending = 0;
+  return {
+    get length() { return pending; },
+    push(job, onProgress) {
+      pending++;
+      const run = tail.then(() => sink.write(job.data, onProgress, job));
+      tail = run.catch(() => {}).then(() => { pending--; });
+      return run;
+    }
+  };
+}
+
+/* Minimal WebSocket server (RFC 6455) */
+
+function encodeFrame(opcode, payload) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// origins: erlaubte Origin-Header; leer = nur Seiten von localhost.
+// Ohne Origin-Header (kein Browser, z.B. ein Skript) geht es weiter.
+function originAllowed(origin, origins = []) {
+  if (!origin) return true;
+  if (origins.length) return origins.includes(origin);
+  try {
+    const url = new URL(origin);
+    return /^https?:$/.test(url.protocol) && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+  } catch (e) {
+    return false;
+  }
+}
+
+function acceptWebSocket(req, socket, onMessage, onClose, { origins } = {}) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+  if (!originAllowed(req.headers.origin, origins)) {
+    log(`refused connection from origin ${req.headers.origin}`);
+    socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+    return null;
+  }
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', ''
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  let fragmentOpcode = 0;
+  let closed = false;
+
+  const conn = {
+    sendJson(obj) {
+      if (!closed) socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(obj))));
+    },
+    close(code = 1000) {
+      if (closed) return;
+      closed = true;
+      const payload = Buffer.alloc(2);
+      payload.writeUInt16BE(code, 0);
+      socket.end(encodeFrame(0x8, payload));
+    }
+  };
+
+  socket.on('data', (data) => {
+    buffer = Buffer.concat([buffer, data]);
+    for (;;) {
+      if (buffer.length < 2) return;
+      const fin = !!(buffer[0] & 0x80);
+      const opcode = buffer[0] & 0x0F;
+      const masked = !!(buffer[1] & 0x80);
+      let len = buffer[1] & 0x7F;
+      let off = 2;
+      if (len === 126) {
+        if (buffer.length < 4) return;
+        len = buffer.readUInt16BE(2);
+        off = 4;
+      } else if (len === 127) {
+        if (buffer.length < 10) return;
+        len = Number(buffer.readBigUInt64BE(2));
+        off = 10;
+      }
+      if (len > MAX_MESSAGE_BYTES) {
+        conn.close(1009);
+        return;
+      }
+      const maskOff = off;
+      if (masked) off += 4;
+      if (buffer.length < off + len) return;
+      const payload = Buffer.from(buffer.subarray(off, off + len));
+      if (masked) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOff + (i & 3)];
+      }
+      buffer = buffer.subarray(off + len);
+
+      if (opcode === 0x8) {
+        conn.close();
+        return;
+      }
+      if (opcode === 0x9) {
+        socket.write(encodeFrame(0xA, payload));
+        continue;
+      }
+      if (opcode === 0xA) continue;
+
+      if (opcode !== 0x0) fragmentOpcode = opcode;
+      fragments.push(payload);
+      if (!fin) continue;
+      const message = Buffer.concat(fragments);
+      fragments = [];
+      onMessage(fragmentOpcode === 0x1 ? message.toString('utf8') : message);
+    }
+  });
+  socket.on('close', () => {
+    closed = true;
+    onClose();
+  });
+  socket.on('error', () => socket.destroy());
+
+  return conn;
+}
+
+/* Zugriff */
+
+function isLoopback(address) {
+  return /^(?:127\.|::1$|::ffff:127\.)/.test(address || '');
+}
+
+// Token aus ws://host:port/?token=…, zeitkonstant verglichen
+function hasToken(req, token) {
+  if (!token) return false;
+  const given = Buffer.from(new URL(req.url, 'http://proxy').searchParams.get('token') || '');
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/* Proxy */
+
+/* Wall relay */
+
+// nur bekannte Felder weitergeben, Miniatur nur als PNG-Data-URL
+function wallItem(c) {
+  if (!c || typeof c.reply !== 'string' || !c.reply.trim()) return null;
+  const str = (v) => (typeof v === 'string' ? v : '');
+  const thumb = str(c.thumbnail);
+  return {
+    reply: c.reply.trim().slice(0, WALL_MAX_REPLY),
+    question: str(c.question),
+    language: str(c.language),
+    posterId: str(c.posterId),
+    createdAt: str(c.createdAt) || new Date().toISOString(),
+    thumbnail: thumb.startsWith('data:image/png;base64,') && thumb.length <= WALL_MAX_THUMBNAIL ? thumb : null
+  };
+}
+
+function createWallRelay(limit = WALL_HISTORY) {
+  const subscribers = new Set();
+  const history = [];
+  return {
+    subscribe(conn) {
+      subscribers.add(conn);
+      conn.sendJson({ type: 'wall:history', items: history });
+    },
+    unsubscribe(conn) {
+      subscribers.delete(conn);
+    },
+    publish(contribution) {
+      const item = wallItem(contribution);
+      if (!item) return false;
+      history.push(item);
+      if (history.length > limit) history.shift();
+      for (const conn of subscribers) conn.sendJson({ type: 'wall:contribution', contribution: item });
+      return true;
+    }
+  };
+}
+
+function startProxy({ port, host, target, token, origin }) {
+  const origins = String(origin || '').split(',').map((o) => o.trim()).filter(Boolean);
+  const sink = createSink(target);
+  const queue = createQueue(sink);
+  const wall = createWallRelay();
+
+  const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('print-proxy: connect with WebSocket\n');
+  });
+
+  server.on('upgrade', (req, socket) => {
+    // eine Verbindung kann mehrere Jobs nacheinander schicken
+    let current = null;
+    let anonymous = 0;
+    // fremde Rechner ohne Token: nur die Wand abonnieren
+    const trusted = isLoopback(socket.remoteAddress) || hasToken(req, token);
+    const peer = socket.remoteAddress;
+
+    function submit(job) {
+      const total = job.data.length;
+      conn.sendJson({ type: 'accepted', id: job.id, position: queue.length });
+      queue.push(job, (sent) => conn.sendJson({ type: 'progress', id: job.id, sent, total }))
+        .then(() => {
+          log(`job ${job.id}: ${total} bytes -> ${sink.name}`);
+          conn.sendJson({ type: 'done', id: job.id, bytes: total });
+        })
+        .catch((err) => {
+          log(`job ${job.id} failed: ${err.message}`);
+          conn.sendJson({ type: 'error', id: job.id, message: err.message });
+        });
+    }
+
+    const conn = acceptWebSocket(req, socket, (msg) => {
+      if (typeof msg === 'string') {
+        let cmd;
+        try {
+          cmd = JSON.parse(msg);
+        } catch (e) {
+          conn.sendJson({ type: 'error', message: 'Invalid JSON message' });
+          return;
+        }
+        if (!trusted && cmd.type !== 'wall:subscribe') {
+          log(`refused ${cmd.type} from ${peer}: no token`);
+          conn.sendJson({ type: 'error', id: cmd.id, message: 'Not allowed from this machine without the proxy token' });
+          return;
+        }
+        if (cmd.type === 'job') {
+          const bytes = parseInt(cmd.bytes, 10);
+          if (!cmd.id || !(bytes > 0) || bytes > MAX_MESSAGE_BYTES) {
+            conn.sendJson({ type: 'error', id: cmd.id, message: 'Job needs an id and a byte count' });
+            return;
+          }
+          current = { id: String(cmd.id), data: Buffer.alloc(bytes), received: 0 };
+        } else if (cmd.type === 'status') {
+          sink.status()
+            .then((status) => conn.sendJson({ type: 'status', target: sink.name, queue: queue.length, status }))
+            .catch((err) => conn.sendJson({ type: 'status', target: sink.name, queue: queue.length, status: { ok: null, reachable: false, message: err.message } }));
+        } else if (cmd.type === 'wall:subscribe') {
+          wall.subscribe(conn);
+        } else if (cmd.type === 'wall:contribution') {
+          if (wall.publish(cmd.contribution)) log('wall: contribution ' + (cmd.contribution.posterId || ''));
+          else conn.sendJson({ type: 'error', message: 'A wall contribution needs a reply' });
+        } else {
+          conn.sendJson({ type: 'error', id: cmd.id, message: 'Unknown message type: ' + cmd.type });
+        }
+        return;
+      }
+
+      if (!trusted) {
+        log(`refused print data from ${peer}: no token`);
+        conn.close(1008);
+        return;
+      }
+      if (!current) {
+        submit({ id: 'anonymous-' + (++anonymous), data: msg });
+        return;
+      }
+      if (current.received + msg.length > current.data.length) {
+        conn.sendJson({ type: 'error', id: current.id, message: 'More data than announced' });
+        current = null;
+        return;
+      }
+      msg.copy(current.data, current.received);
+      current.received += msg.length;
+      if (current.received === current.data.length) {
+        const job = current;
+        current = null;
+        submit(job);
+      }
+    }, () => {
+      wall.unsubscribe(conn);
+      if (current) log(`job ${current.id} aborted: connection closed after ${current.received} bytes`);
+    }, { origins });
+
+    if (conn) conn.sendJson({ type: 'hello', version: 1, target: sink.name });
+  });
+
+  server.listen(port, host, () => {
+    log(`listening on ws://${host}:${port} -> ${sink.name}`);
+    if (!isLoopback(host) && !token) log('no --token: other machines can only subscribe to the wall');
+  });
+  return server;
+}
+
+function log(msg) {
+  console.log(`[print-proxy ${new Date().toISOString()}] ${msg}`);
+}
+
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs(process.argv);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(2);
+  }
+  if (args.help) {
+    console.log('Usage: node print-proxy.js [--port 9000] [--host 127.0.0.1] [--target tcp://host:9100 | /dev/usb/lp0 | file:./print-jobs] [--token <secret>] [--origin <origin,…>]');
+    process.exit(0);
+  }
+  startProxy(args);
+}
+
+module.exports = { startProxy, createSink, createWallRelay, acceptWebSocket, encodeFrame };
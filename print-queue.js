@@ -0,0 +1,415 @@
+// print-queue.js
+// Druckwarteschlange in IndexedDB, damit kein Poster verloren geht, wenn der
+// Drucker beschäftigt, getrennt oder ohne Papier ist:
+// - Jobs = fertige Rasterbytes (escposPrinter.encodeElement) + Metadaten (Antwort, Frage, SVG, …)
+// - der Reihe nach abgearbeitet, bei Fehlern erneut mit wachsender Pause (Backoff);
+//   "Drucker nicht bereit" (Papier leer, Deckel offen) zählt nicht als Versuch
+// - übersteht Reloads: beim Start wird ein unterbrochener Job wieder eingereiht
+//   (er wird dann komplett neu gedruckt)
+// - Team-Ansicht in der Admin-Konsole: verschieben, abbrechen, erneut drucken
+//
+// Usage: window.printQueue.start(sender)   // sender(job, { signal, onProgress }) -> result
+//        window.printQueue.enqueue({ blocks, paperMm, meta }) -> { id, position }
+//        window.printQueue.cancel(id) / .move(id, -1) / .reprint(id)
+
+(function (global) {
+  'use strict';
+
+  const DB_NAME = 'pferd-print-queue';
+  const DB_VERSION = 1;
+  const STORE = 'jobs';
+
+  const BACKOFF_BASE_MS = 2000;
+  const BACKOFF_MAX_MS = 60000;
+  const MAX_ATTEMPTS = 8;
+  const KEEP_FINISHED = 30; // erledigte Jobs (mit Bytes) zum erneuten Drucken
+
+  const ACTIVE = ['queued', 'printing'];
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    if (!global.indexedDB) {
+      return Promise.reject(new Error('IndexedDB not available in this browser.'));
+    }
+    dbPromise = new Promise((resolve, reject) => {
+      const req = global.indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        dbPromise = null;
+        reject(req.error);
+      };
+    });
+    return dbPromise;
+  }
+
+  function requestToPromise(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function withStore(mode, fn) {
+    const db = await openDb();
+    const tx = db.transaction(STORE, mode);
+    const result = await fn(tx.objectStore(STORE));
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    return result;
+  }
+
+  function emit(type, detail) {
+    document.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  /* Jobs */
+
+  function byPosition(a, b) {
+    return a.position - b.position || a.id - b.id;
+  }
+
+  async function list() {
+    const jobs = await withStore('readonly', (store) => requestToPromise(store.getAll()));
+    return jobs.sort(byPosition);
+  }
+
+  async function get(id) {
+    return withStore('readonly', (store) => requestToPromise(store.get(id)));
+  }
+
+  async function put(job) {
+    await withStore('readwrite', (store) => requestToPromise(store.put(job)));
+    return job;
+  }
+
+  // Platz in der Schlange (1 = wird als Nächstes / gerade gedruckt), 0 = nicht mehr drin
+  async function positionOf(id) {
+    const waiting = (await list()).filter((j) => ACTIVE.includes(j.state));
+    return waiting.findIndex((j) => j.id === id) + 1;
+  }
+
+  async function pending() {
+    return (await list()).filter((j) => ACTIVE.includes(j.state)).length;
+  }
+
+  // job: { blocks: [Uint8Array], bytes, paperMm, rows, meta }
+  async function enqueue(job) {
+    const jobs = await list();
+    const last = jobs.length ? jobs[jobs.length - 1].position : 0;
+    const entry = Object.assign({}, job, {
+      state: 'queued',
+      position: last + 1,
+      attempts: 0,
+      nextAttemptAt: 0,
+      lastError: null,
+      createdAt: new Date().toISOString(),
+      finishedAt: null
+    });
+    delete entry.id;
+    entry.id = await withStore('readwrite', (store) => requestToPromise(store.add(entry)));
+    emit('queue:change', { id: entry.id, state: 'queued' });
+    wake();
+    return { id: entry.id, position: await positionOf(entry.id) };
+  }
+
+  // delta -1: nach vorn, +1: nach hinten (nur unter den wartenden Jobs)
+  async function move(id, delta) {
+    const waiting = (await list()).filter((j) => j.state === 'queued');
+    const i = waiting.findIndex((j) => j.id === id);
+    const k = i + delta;
+    if (i < 0 || k < 0 || k >= waiting.length) return false;
+    const a = waiting[i];
+    const b = waiting[k];
+    [a.position, b.position] = [b.position, a.position];
+    await withStore('readwrite', async (store) => {
+      await requestToPromise(store.put(a));
+      await requestToPromise(store.put(b));
+    });
+    emit('queue:change', { id, state: a.state });
+    return true;
+  }
+
+  async function cancel(id) {
+    if (active.has(id)) {
+      active.get(id).abort();
+      return true;
+    }
+    const job = await get(id);
+    if (!job || job.state !== 'queued') return false;
+    job.state = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    await put(job);
+    emit('queue:change', { id, state: job.state });
+    return true;
+  }
+
+  // erledigten, fehlgeschlagenen oder abgebrochenen Job noch einmal ans Ende stellen
+  async function reprint(id) {
+    const job = await get(id);
+    if (!job || ACTIVE.includes(job.state)) throw new Error('Job is still in the queue: ' + id);
+    if (!job.blocks) throw new Error('The print data of this job is no longer stored.');
+    return enqueue({
+      blocks: job.blocks,
+      bytes: job.bytes,
+      paperMm: job.paperMm,
+      rows: job.rows,
+      widthDots: job.widthDots,
+      meta: Object.assign({}, job.meta, { reprintOf: job.id })
+    });
+  }
+
+  // nur die letzten KEEP_FINISHED erledigten Jobs behalten
+  async function prune() {
+    const finished = (await list()).filter((j) => !ACTIVE.includes(j.state))
+      .sort((a, b) => String(b.finishedAt).localeCompare(String(a.finishedAt)));
+    const old = finished.slice(KEEP_FINISHED);
+    if (!old.length) return;
+    await withStore('readwrite', async (store) => {
+      for (const j of old) await requestToPromise(store.delete(j.id));
+    });
+  }
+
+  /* Abarbeiten */
+
+  let sender = null;
+  let concurrency = () => 1; // mehrere Drucker (printer-pool.js): mehrere Jobs gleichzeitig
+  const active = new Map(); // id -> AbortController
+  let running = false;
+  let again = false; // während eines Laufs eingereiht: danach noch einmal schauen
+  let wakeTimer = null;
+
+  function backoffMs(attempts) {
+    return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * Math.pow(2, Math.max(0, attempts - 1)));
+  }
+
+  function wake(delayMs = 0) {
+    clearTimeout(wakeTimer);
+    wakeTimer = setTimeout(run, delayMs);
+  }
+
+  async function finish(job, state, extra = {}) {
+    Object.assign(job, { state, finishedAt: new Date().toISOString() }, extra);
+    await put(job);
+    emit('queue:change', { id: job.id, state });
+  }
+
+  // Jobs in Reihenfolge starten, solange Drucker frei sind
+  async function run() {
+    if (!sender) return;
+    if (running) {
+      again = true;
+      return;
+    }
+    running = true;
+    again = false;
+    try {
+      while (active.size < Math.max(1, concurrency())) {
+        const next = (await list()).find((j) => j.state === 'queued');
+        if (!next) return;
+        // der Kopf der Schlange wartet: in Reihenfolge, niemand überholt
+        const wait = next.nextAttemptAt - Date.now();
+        if (wait > 0) {
+          wake(wait);
+          return;
+        }
+        next.state = 'printing';
+        await put(next);
+        emit('queue:change', { id: next.id, state: 'printing' });
+        active.set(next.id, new AbortController());
+        runJob(next);
+      }
+    } catch (err) {
+      console.error('Print queue stopped:', err);
+      wake(BACKOFF_MAX_MS);
+    } finally {
+      running = false;
+      if (again) wake();
+    }
+  }
+
+  async function attempt(job) {
+    try {
+      const result = await sender(job, {
+        signal: active.get(job.id).signal,
+        onProgress: (p) => emit('queue:progress', Object.assign({ id: job.id }, p))
+      });
+      // gesendet, aber der Drucker meldet danach ein Problem: nicht automatisch
+      // wiederholen (sonst doppelt), das Team entscheidet mit "Print again"
+      if (result && result.success === false) {
+        await finish(job, 'failed', { lastError: result.error || 'Printer reported a problem after printing.', printer: result.printer });
+        emit('queue:failed', { job, result });
+        return;
+      }
+      await finish(job, 'done', { lastError: null, transport: result && result.transport, printer: result && result.printer });
+      emit('queue:done', { job, result });
+    } catch (err) {
+      const message = err && err.message ? err.message : String(err);
+      if (err && err.name === 'AbortError') {
+        await finish(job, 'cancelled', { lastError: null });
+        return;
+      }
+      // "Drucker nicht bereit" kostet keinen Versuch, sonst nach MAX_ATTEMPTS aufgeben
+      if (!err.printerNotReady) job.attempts += 1;
+      if (job.attempts >= MAX_ATTEMPTS) {
+        await finish(job, 'failed', { lastError: message });
+        emit('queue:failed', { job, error: err });
+        return;
+      }
+      job.state = 'queued';
+      job.lastError = message;
+      job.nextAttemptAt = Date.now() + backoffMs(Math.max(1, job.attempts));
+      await put(job);
+      emit('queue:change', { id: job.id, state: 'queued', retryAt: job.nextAttemptAt });
+      emit('queue:retry', { job, error: err });
+    }
+  }
+
+  async function runJob(job) {
+    try {
+      await attempt(job);
+    } catch (err) {
+      console.error('Print queue could not update job ' + job.id + ':', err);
+    } finally {
+      active.delete(job.id);
+      prune().catch(() => {});
+      wake();
+    }
+  }
+
+  // sender(job, { signal, onProgress }) druckt job.blocks; Fehler mit
+  // err.printerNotReady = true warten, ohne einen Versuch zu verbrauchen.
+  // opts.concurrency(): wie viele Jobs gleichzeitig laufen dürfen (Standard 1)
+  async function start(fn, opts = {}) {
+    sender = fn;
+    if (opts.concurrency) concurrency = opts.concurrency;
+    // nach einem Reload: unterbrochene Jobs wieder einreihen
+    const interrupted = (await list()).filter((j) => j.state === 'printing');
+    for (const job of interrupted) {
+      job.state = 'queued';
+      job.nextAttemptAt = 0;
+      await put(job);
+    }
+    wake();
+  }
+
+  // erneut versuchen, ohne das Backoff abzuwarten (z.B. nach dem Papierwechsel)
+  async function retryNow() {
+    const waiting = (await list()).filter((j) => j.state === 'queued' && j.nextAttemptAt > Date.now());
+    for (const job of waiting) {
+      job.nextAttemptAt = 0;
+      await put(job);
+    }
+    wake();
+  }
+
+  /* Team-Ansicht (Admin-Konsole) */
+
+  const STATE_LABELS = { queued: 'waiting', printing: 'printing', done: 'printed', failed: 'failed', cancelled: 'cancelled' };
+
+  function initPanel() {
+    const list_ = document.querySelector('.print-queue');
+    if (!list_) return;
+    const status = document.querySelector('.print-queue-status');
+    let rendering = null;
+
+    function button(label, fn) {
+      const b = document.createElement('button');
+      b.type = 'button';
+      b.textContent = label;
+      b.addEventListener('click', async () => {
+        try {
+          await fn();
+        } catch (err) {
+          if (status) status.textContent = err.message;
+        }
+      });
+      return b;
+    }
+
+    async function render() {
+      const jobs = await list();
+      list_.innerHTML = '';
+      if (!jobs.length) {
+        list_.textContent = 'The print queue is empty.';
+        return;
+      }
+      let place = 0;
+      // wartende oben in Reihenfolge, darunter die zuletzt erledigten
+      const active = jobs.filter((j) => ACTIVE.includes(j.state));
+      const finished = jobs.filter((j) => !ACTIVE.includes(j.state))
+        .sort((a, b) => String(b.finishedAt).localeCompare(String(a.finishedAt)));
+      active.concat(finished).forEach((job) => {
+        const row = document.createElement('div');
+        row.className = 'queue-item is-' + job.state;
+        const text = document.createElement('div');
+        text.className = 'queue-reply';
+        const meta = job.meta || {};
+        text.textContent = (ACTIVE.includes(job.state) ? `${++place}. ` : '') + (meta.reply || meta.label || `Job ${job.id}`);
+        const info = document.createElement('div');
+        info.className = 'queue-meta';
+        const parts = [STATE_LABELS[job.state] || job.state, new Date(job.createdAt).toLocaleTimeString()];
+        if (meta.posterId) parts.push('#' + meta.posterId);
+        if (job.printer) parts.push(job.printer);
+        if (job.attempts) parts.push(`${job.attempts} failed attempt${job.attempts === 1 ? '' : 's'}`);
+        if (job.lastError) parts.push(job.lastError);
+        info.textContent = parts.join(' · ');
+        const actions = document.createElement('div');
+        actions.className = 'queue-actions';
+        if (job.state === 'queued') {
+          actions.append(
+            button('↑', () => move(job.id, -1)),
+            button('↓', () => move(job.id, 1)),
+            button('Cancel', () => cancel(job.id))
+          );
+        } else if (job.state === 'printing') {
+          actions.append(button('Cancel', () => cancel(job.id)));
+        } else if (job.blocks) {
+          actions.append(button('Print again', () => reprint(job.id)));
+        }
+        row.append(text, info, actions);
+        list_.appendChild(row);
+      });
+    }
+
+    function scheduleRender() {
+      if (rendering) return;
+      rendering = setTimeout(() => {
+        rendering = null;
+        render().catch((err) => console.error('Could not show the print queue:', err));
+      }, 100);
+    }
+
+    const retry = document.querySelector('[data-action="retry-queue"]');
+    if (retry) retry.addEventListener('click', retryNow);
+    document.addEventListener('queue:change', scheduleRender);
+    scheduleRender();
+  }
+
+  document.addEventListener('DOMContentLoaded', initPanel);
+
+  // expose
+  global.printQueue = {
+    MAX_ATTEMPTS,
+    start,
+    enqueue,
+    list,
+    pending,
+    positionOf,
+    move,
+    cancel,
+    reprint,
+    retryNow
+  };
+
+})(window);
@@ -0,0 +1,540 @@
+// printer-pool.js
+// Mehrere Thermodrucker als Pool (volle Eröffnung: ein Drucker ist der Engpass,
+// und wenn er klemmt, steht sonst die ganze Installation):
+// - Drucker mischen: Web Serial, WebUSB, WebSocket-Proxy, virtuell, je mit eigener Breite (widthDots);
+//   alles andere (Raster, Übertragung, Vorschub/Schnitt) kommt aus printer-settings.js
+// - Verteilung: 'round-robin' (reihum) oder 'least-busy' (wer am wenigsten zu tun hat)
+// - Failover: scheitert ein Drucker vor oder beim Senden, geht der Job sofort an den nächsten;
+//   der fehlerhafte Drucker pausiert, bis sein Status wieder ok ist bzw. FAILURE_COOLDOWN_MS lang
+//   (Fehler erst nach dem Druck: pausieren, aber nicht ein zweites Mal drucken)
+// - jeder Drucker einzeln an/aus (Admin-Konsole), Einrichtung im Einstellungs-Panel
+// - ohne eingetragene Drucker: ein Drucker aus den normalen Drucker-Einstellungen
+//
+// Jeder Drucker hat seine eigene Verbindung (createPrinterConnection) und Statusabfrage.
+//
+// Usage: window.printerPool.dispatch((printer, onWritten) => send(printer))  // mit Failover
+//        window.printerPool.primary().settings.widthDots
+//        window.printerPool.setEnabled(id, false)
+
+(function (global) {
+  'use strict';
+
+  const escpos = global.escposPrinter;
+  const STORAGE_KEY = 'pferd.printerPool';
+  const MODES = ['round-robin', 'least-busy'];
+  const FAILURE_COOLDOWN_MS = 30000;
+
+  // pro Drucker; alles andere ist gemeinsam
+  const PRINTER_KEYS = ['transport', 'widthDots', 'baudRate', 'usbVendorId', 'usbProductId', 'deviceIndex', 'wsUrl'];
+
+  const DEFAULTS = {
+    mode: 'round-robin',
+    printers: [] // { id, name, enabled, transport, widthDots, baudRate, usbVendorId, usbProductId, deviceIndex, wsUrl }
+  };
+
+  function load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      return Object.assign({}, DEFAULTS, stored);
+    } catch (e) {
+      return Object.assign({}, DEFAULTS);
+    }
+  }
+
+  function write(config) {
+    const merged = Object.assign({}, DEFAULTS, config);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(merged));
+    return merged;
+  }
+
+  async function save(config) {
+    if (!MODES.includes(config.mode)) throw new Error('Unknown dispatch mode: ' + config.mode);
+    const ids = new Set();
+    (config.printers || []).forEach((p) => {
+      if (!p.id || ids.has(p.id)) throw new Error('Every printer needs its own id.');
+      ids.add(p.id);
+      if (!(p.widthDots >= 8)) throw new Error(`${p.name || p.id}: width must be at least 8 dots.`);
+    });
+    const merged = write(config);
+    await restart();
+    document.dispatchEvent(new CustomEvent('printerpool:change', { detail: merged }));
+    return merged;
+  }
+
+  // neuer Eintrag mit den Geräte-Einstellungen des Hauptdruckers als Vorlage
+  function newPrinter(base = global.printerSettings.load()) {
+    const printer = {
+      id: 'p' + Date.now().toString(36) + Math.random().toString(36).slice(2, 5),
+      name: 'Printer ' + (load().printers.length + 1),
+      enabled: true
+    };
+    PRINTER_KEYS.forEach((k) => { printer[k] = base[k]; });
+    return printer;
+  }
+
+  // ohne eingetragene Drucker: der Drucker aus den normalen Einstellungen
+  function configuredPrinters() {
+    const printers = load().printers;
+    return printers.length ? printers : [{ id: 'main', name: 'Printer', enabled: true, implicit: true }];
+  }
+
+  function settingsFor(printer) {
+    const settings = global.printerSettings.load();
+    if (printer.implicit) return settings;
+    PRINTER_KEYS.forEach((k) => {
+      if (printer[k] !== undefined) settings[k] = printer[k];
+    });
+    return settings;
+  }
+
+  /* Laufzeit */
+
+  let printers = [];
+  let cursor = -1;
+  let started = false;
+  let closing = Promise.resolve(); // alte Verbindungen, die noch geschlossen werden
+
+  function emit(type, detail) {
+    document.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  function reportsError(status) {
+    return !!status && status.reachable === true && status.ok === false;
+  }
+
+  function createPrinter(config) {
+    const settings = settingsFor(config);
+    const connection = escpos.createPrinterConnection({
+      transport: settings.transport,
+      serialOptions: { baudRate: settings.baudRate },
+      flowControl: settings.flowControl,
+      findSerialPort: () => global.printerSettings.findSerialPort(settings),
+      findUsbDevice: () => global.printerSettings.findUsbDevice(settings),
+      wsUrl: settings.wsUrl,
+      widthDots: settings.widthDots
+    });
+    const printer = {
+      id: config.id,
+      name: config.name || config.id,
+      enabled: config.enabled !== false,
+      implicit: !!config.implicit,
+      settings,
+      connection,
+      monitor: null,
+      status: null,
+      busy: 0,
+      printed: 0,
+      lastUsed: 0,
+      failedAt: 0,
+      lastError: null,
+      // Status sofort abfragen (null ohne Statuskanal, z.B. virtuell)
+      getStatus: () => (printer.monitor ? printer.monitor.getStatus() : Promise.resolve(null)),
+      // Drucken und Statusabfragen nacheinander
+      exclusive: (fn) => (printer.monitor ? printer.monitor.exclusive(fn) : connection.exclusive(fn))
+    };
+    const tag = { printerId: printer.id, printer: printer.name };
+
+    connection.addEventListener('statechange', (e) => emit('printer:connection', Object.assign({}, e.detail, tag)));
+    // nach dem Wiedereinschalten sofort den Status holen statt auf das nächste Polling zu warten
+    connection.addEventListener('connect', () => { if (printer.monitor) printer.monitor.getStatus(); });
+
+    const channel = connection.statusChannel();
+    if (channel) {
+      printer.monitor = escpos.createStatusMonitor(channel, settings.transport === 'websocket'
+        ? { intervalMs: 10000, timeoutMs: 8000 }
+        : { asb: !!settings.statusAsb });
+      printer.monitor.addEventListener('statuschange', (e) => {
+        printer.status = e.detail;
+        // wieder ok: Fehlerpause vorbei
+        if (e.detail && e.detail.ok) printer.failedAt = 0;
+        emit('printer:statuschange', Object.assign({}, e.detail, tag));
+      });
+    }
+    return printer;
+  }
+
+  // Drucker anlegen, falls noch nicht geschehen (auch lazy aus primary()/dispatch())
+  function open() {
+    if (started) return;
+    started = true;
+    const fresh = configuredPrinters().map(createPrinter);
+    printers = fresh;
+    // Statusabfragen erst, wenn die alten Verbindungen zu sind: sonst greift ein neuer
+    // Drucker auf denselben SerialPort zu, den close() gleich wieder schließt
+    closing.then(() => {
+      if (printers === fresh) fresh.forEach((p) => { if (p.enabled && p.monitor) p.monitor.start(); });
+    });
+    emit('printerpool:state', { printers });
+  }
+
+  async function start() {
+    await stop();
+    open();
+  }
+
+  async function stop() {
+    started = false;
+    const old = printers;
+    printers = [];
+    closing = Promise.all([closing, Promise.allSettled(old.map(async (p) => {
+      if (p.monitor) p.monitor.stop();
+      await p.connection.close();
+    }))]);
+    await closing;
+  }
+
+  async function restart() {
+    if (started) await start();
+  }
+
+  // alle Verbindungen schließen und neu öffnen (Admin-Konsole)
+  async function reconnect() {
+    await start();
+    await Promise.all(printers.filter((p) => p.enabled).map((p) => p.connection.open().catch((err) => {
+      p.lastError = err.message;
+    })));
+    return primary().getStatus();
+  }
+
+  function list() {
+    return printers.slice();
+  }
+
+  function get(id) {
+    return printers.find((p) => p.id === id) || null;
+  }
+
+  // für Team-Aufträge und die Breite neuer Jobs: der erste eingeschaltete Drucker
+  function primary() {
+    if (!started) open();
+    return printers.find((p) => p.enabled) || printers[0];
+  }
+
+  function isReady(p) {
+    if (!p.enabled || reportsError(p.status)) return false;
+    if (p.connection.state === 'disconnected') return false;
+    return Date.now() - p.failedAt >= FAILURE_COOLDOWN_MS;
+  }
+
+  function readyCount() {
+    return printers.filter(isReady).length;
+  }
+
+  function setEnabled(id, enabled) {
+    const printer = get(id);
+    if (!printer) throw new Error('Unknown printer: ' + id);
+    if (printer.implicit) throw new Error('Add printers to the pool to switch them on and off.');
+    const config = load();
+    config.printers = config.printers.map((p) => (p.id === id ? Object.assign({}, p, { enabled }) : p));
+    write(config);
+    printer.enabled = enabled;
+    if (printer.monitor) {
+      if (enabled) printer.monitor.start(); else printer.monitor.stop();
+    }
+    if (enabled) printer.failedAt = 0;
+    emit('printerpool:state', { printers });
+  }
+
+  // nächster Drucker nach Verteilungsmodus; freie Drucker vor beschäftigten
+  function pick(exclude = []) {
+    const ready = printers.filter((p) => isReady(p) && !exclude.includes(p.id));
+    if (!ready.length) return null;
+    const idle = ready.filter((p) => p.busy === 0);
+    const candidates = idle.length ? idle : ready;
+    if (load().mode === 'least-busy') {
+      return candidates.reduce((a, b) => (b.busy < a.busy || (b.busy === a.busy && b.lastUsed < a.lastUsed) ? b : a));
+    }
+    for (let i = 1; i <= printers.length; i++) {
+      const p = printers[(cursor + i) % printers.length];
+      if (candidates.includes(p)) {
+        cursor = printers.indexOf(p);
+        return p;
+      }
+    }
+    return candidates[0];
+  }
+
+  // run(printer, onWritten) druckt auf dem gewählten Drucker und meldet über onWritten(bytes),
+  // wie viele Bytes schon beim Drucker sind. Wirft er, bevor ein Byte ankam, kommt der nächste
+  // bereite Drucker dran. Wirft er danach oder meldet success: false, ist der Job (teilweise)
+  // auf Papier: Drucker pausieren, success: false zurück, das Team druckt von Hand nach.
+  // Ohne bereiten Drucker: Fehler mit printerNotReady, damit print-queue.js wartet,
+  // ohne einen Versuch zu zählen.
+  async function dispatch(run) {
+    if (!started) open();
+    await closing;
+    const tried = [];
+    let lastError = null;
+    for (;;) {
+      const printer = pick(tried);
+      if (!printer) break;
+      tried.push(printer.id);
+      printer.busy += 1;
+      printer.lastUsed = Date.now();
+      emit('printerpool:state', { printers });
+      let written = 0;
+      try {
+        const result = await run(printer, (bytes) => { written = Math.max(written, bytes); });
+        Object.assign(result, { printerId: printer.id, printer: printer.name });
+        if (result.success === false) {
+          // nach dem Senden ein Problem gemeldet: pausieren, aber nicht woanders nochmal drucken
+          printer.failedAt = Date.now();
+          printer.lastError = result.error || null;
+          return result;
+        }
+        printer.failedAt = 0;
+        printer.lastError = null;
+        printer.printed += 1;
+        return result;
+      } catch (err) {
+        if (err && err.name === 'AbortError') throw err;
+        // "nicht bereit" hält schon der Status fest, alles andere pausiert den Drucker
+        if (!err.printerNotReady) printer.failedAt = Date.now();
+        printer.lastError = err && err.message ? err.message : String(err);
+        if (written > 0) {
+          return { success: false, printerId: printer.id, printer: printer.name, bytesWritten: written,
+            error: `${printer.name} failed while printing: ${printer.lastError}` };
+        }
+        lastError = err;
+        emit('printer:failover', { printerId: printer.id, printer: printer.name, message: printer.lastError });
+      } finally {
+        printer.busy -= 1;
+        emit('printerpool:state', { printers });
+      }
+    }
+    if (lastError && !lastError.printerNotReady) throw lastError;
+    const err = new Error(lastError ? lastError.message : 'No printer is ready.');
+    err.printerNotReady = true;
+    throw err;
+  }
+
+  function describeState(p) {
+    if (!p.enabled) return 'off';
+    if (reportsError(p.status)) return p.status.paperOut ? 'paper out' : (p.status.coverOpen ? 'cover open' : 'error');
+    if (Date.now() - p.failedAt < FAILURE_COOLDOWN_MS) return 'paused after error';
+    if (p.busy) return 'printing';
+    return p.connection.state;
+  }
+
+  // eine Zeile für die Admin-Statistik
+  function describe() {
+    if (printers.length === 1) return describeState(printers[0]);
+    return `${readyCount()}/${printers.length} ready (${load().mode})`;
+  }
+
+  document.addEventListener('printersettings:change', async () => {
+    try {
+      await restart();
+    } catch (err) {
+      console.error('Printer pool restart failed:', err);
+    }
+  });
+
+  /* Einstellungs-Panel: Drucker eintragen */
+
+  const WIDTH_LABELS = { 384: '384 dots (58 mm)', 576: '576 dots (80 mm)' };
+
+  function initSettings() {
+    const section = document.querySelector('.printer-pool-settings');
+    if (!section) return;
+    const rows = section.querySelector('.printer-pool-list');
+    const status = section.querySelector('.printer-pool-status');
+    const mode = section.querySelector('[data-pool="mode"]');
+    let draft = [];
+
+    function setStatus(msg) {
+      status.textContent = msg || '';
+    }
+
+    function input(printer, key, type = 'text') {
+      const el = document.createElement('input');
+      el.type = type;
+      el.dataset.field = key;
+      if (type === 'checkbox') el.checked = !!printer[key];
+      else el.value = printer[key] === null || printer[key] === undefined ? '' : printer[key];
+      return el;
+    }
+
+    function select(printer, key, options) {
+      const el = document.createElement('select');
+      el.dataset.field = key;
+      options.forEach(([value, text]) => el.add(new Option(text, value)));
+      el.value = String(printer[key]);
+      return el;
+    }
+
+    function labelled(text, el) {
+      const label = document.createElement('label');
+      label.append(text, el);
+      return label;
+    }
+
+    function readRow(row, printer) {
+      const v = (key) => row.querySelector(`[data-field="${key}"]`);
+      const widthDots = parseInt(v('widthDots').value, 10);
+      return Object.assign({}, printer, {
+        name: v('name').value.trim() || printer.id,
+        enabled: v('enabled').checked,
+        transport: v('transport').value,
+        widthDots: widthDots > 0 ? widthDots : printer.widthDots,
+        wsUrl: v('wsUrl').value.trim() || printer.wsUrl
+      });
+    }
+
+    function readAll() {
+      return draft.map((printer, i) => readRow(rows.children[i], printer));
+    }
+
+    function render() {
+      rows.innerHTML = '';
+      if (!draft.length) {
+        rows.textContent = 'No pool: the printer above prints everything.';
+        return;
+      }
+      draft.forEach((printer, i) => {
+        const row = document.createElement('div');
+        row.className = 'pool-printer';
+        const widths = Object.keys(WIDTH_LABELS).map(Number);
+        if (!widths.includes(printer.widthDots)) widths.push(printer.widthDots);
+        const device = printer.usbVendorId !== null && printer.usbVendorId !== undefined
+          ? `USB ${printer.usbVendorId.toString(16)}:${(printer.usbProductId || 0).toString(16)} #${(printer.deviceIndex || 0) + 1}`
+          : 'not paired';
+        const info = document.createElement('div');
+        info.className = 'pool-printer-device';
+        info.textContent = device;
+        const enabled = document.createElement('label');
+        enabled.className = 'settings-check';
+        enabled.append(input(printer, 'enabled', 'checkbox'), ' enabled');
+        const actions = document.createElement('div');
+        actions.className = 'settings-actions';
+        const pair = document.createElement('button');
+        pair.type = 'button';
+        pair.textContent = 'Pair';
+        // Koppeln braucht eine Nutzer-Geste: hier macht sie das Team
+        pair.addEventListener('click', async () => {
+          draft = readAll();
+          try {
+            const paired = await global.printerSettings.pairDevice(Object.assign(global.printerSettings.load(), draft[i]));
+            PRINTER_KEYS.forEach((k) => { draft[i][k] = paired[k]; });
+            render();
+            setStatus(`${draft[i].name} paired. Save the pool to use it.`);
+          } catch (err) {
+            setStatus('Pairing failed: ' + (err && err.message ? err.message : String(err)));
+          }
+        });
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.textContent = 'Remove';
+        remove.addEventListener('click', () => {
+          draft = readAll();
+          draft.splice(i, 1);
+          render();
+        });
+        actions.append(pair, remove);
+        row.append(
+          labelled('Name', input(printer, 'name')),
+          labelled('Transport', select(printer, 'transport', [
+            ['serial', 'Web Serial'], ['usb', 'WebUSB'], ['websocket', 'WebSocket proxy'], ['virtual', 'Virtual printer']
+          ])),
+          labelled('Paper width', select(printer, 'widthDots', widths.map((w) => [w, WIDTH_LABELS[w] || `${w} dots`]))),
+          labelled('WebSocket URL', input(printer, 'wsUrl')),
+          enabled,
+          info,
+          actions
+        );
+        rows.appendChild(row);
+      });
+    }
+
+    function fill() {
+      const config = load();
+      mode.value = config.mode;
+      draft = config.printers.map((p) => Object.assign({}, p));
+      render();
+    }
+
+    section.querySelector('[data-action="add-printer"]').addEventListener('click', () => {
+      draft = readAll();
+      const printer = newPrinter();
+      printer.name = 'Printer ' + (draft.length + 1);
+      draft.push(printer);
+      render();
+    });
+
+    section.querySelector('[data-action="save-pool"]').addEventListener('click', async () => {
+      try {
+        await save({ mode: mode.value, printers: readAll() });
+        fill();
+        setStatus('Printer pool saved.');
+      } catch (err) {
+        setStatus(err.message);
+      }
+    });
+
+    fill();
+  }
+
+  /* Admin-Konsole: Drucker an/aus, Zustand */
+
+  function initAdmin() {
+    const list_ = document.querySelector('.printer-pool');
+    if (!list_) return;
+    let rendering = null;
+
+    function render() {
+      list_.innerHTML = '';
+      printers.forEach((p) => {
+        const row = document.createElement('label');
+        row.className = 'settings-check pool-state is-' + describeState(p).replace(/\s+/g, '-');
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = p.enabled;
+        toggle.disabled = p.implicit;
+        toggle.addEventListener('change', () => setEnabled(p.id, toggle.checked));
+        const parts = [p.settings.transport, `${p.settings.widthDots} dots`, describeState(p), `${p.printed} printed`];
+        if (p.lastError && describeState(p) !== p.connection.state) parts.push(p.lastError);
+        row.append(toggle, ` ${p.name} · ${parts.join(' · ')}`);
+        list_.appendChild(row);
+      });
+    }
+
+    function scheduleRender() {
+      if (rendering) return;
+      rendering = setTimeout(() => {
+        rendering = null;
+        render();
+      }, 100);
+    }
+
+    ['printerpool:state', 'printer:statuschange', 'printer:connection'].forEach((type) => {
+      document.addEventListener(type, scheduleRender);
+    });
+    scheduleRender();
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    initSettings();
+    initAdmin();
+  });
+
+  // expose
+  global.printerPool = {
+    MODES,
+    DEFAULTS,
+    load,
+    save,
+    newPrinter,
+    start,
+    stop,
+    reconnect,
+    list,
+    get,
+    primary,
+    readyCount,
+    isReady,
+    setEnabled,
+    dispatch,
+    describe
+  };
+
+})(window);
@@ -0,0 +1,389 @@
+// printer-settings.js
+// Drucker-Einstellungen für den Betrieb (nur für das Team, nicht für Besucher):
+// - Transport (serial/usb/websocket/virtual), Breite in Dots, Baudrate, USB-Filter,
+//   WebSocket-URL, Vorschub und Schnitt
+// - Übertragung: Bandhöhe, Chunk-Größe, Pausen, Flusskontrolle
+// - Raster: Dither-Verfahren, Serpentine, Schwelle, Gamma, Kontrast, Helligkeit,
+//   mit Vorschau des aktuellen Posters (pro Drucker einstellbar)
+// - 1-bit Live-Vorschau neben dem Poster an/aus
+// - Relay-URL für die Projektionswand auf einem anderen Rechner (wall.js)
+// - Poster-Export (SVG/PNG/PDF, aktuell oder ganzes Archiv) über poster-export.js
+// - gespeichert in localStorage und beim Drucken ohne Rückfrage benutzt
+// - bereits freigegebene Geräte werden über navigator.serial.getPorts() /
+//   navigator.usb.getDevices() wiedergefunden, Besucher sehen nie einen Dialog
+//
+// Panel öffnen: in der entsperrten Admin-Konsole (admin.js, PIN) oder Strg+Alt+P,
+// das ohne entsperrte Konsole erst nach der PIN fragt; im Kiosk-Modus ist Strg+Alt+P gesperrt
+//
+// Usage: window.printerSettings.load() / .save(settings)
+//        window.printerSettings.findSerialPort(settings)
+//        window.printerSettings.pairDevice(settings) (Operator-Geste) -> settings mit Geräte-IDs
+//        window.printerSettings.open()  (nur bei entsperrter Admin-Konsole, sonst PIN-Abfrage)
+
+(function (global) {
+  'use strict';
+
+  const STORAGE_KEY = 'pferd.printerSettings';
+
+  const WIDTH_PRESETS = [384, 576];
+
+  const DEFAULTS = {
+    transport: ('serial' in navigator) ? 'serial' : (navigator.usb ? 'usb' : 'websocket'),
+    widthDots: 384,
+    baudRate: 19200,
+    usbVendorId: null,
+    usbProductId: null,
+    deviceIndex: 0, // n-ter passender Port/Gerät (mehrere gleiche Drucker)
+    wsUrl: 'ws://localhost:9000',
+    feedLines: 3,
+    cutMode: 'none', // 'none' | 'partial' | 'full'
+    dither: 'floyd-steinberg',
+    serpentine: false,
+    threshold: 128,
+    gamma: 1,
+    contrast: 1,
+    brightness: 0,
+    bandHeight: 256,
+    chunkSize: 1024,
+    chunkDelayMs: 10,
+    bandDelayMs: 50,
+    flowControl: 'none', // 'none' | 'xonxoff' | 'hardware' | 'status'
+    statusAsb: false,
+    livePreview: false,
+    wallRelayUrl: '' // leer: Wand nur über BroadcastChannel (gleicher Rechner)
+  };
+
+  const DITHER_KEYS = ['dither', 'serpentine', 'threshold', 'gamma', 'contrast', 'brightness'];
+
+  function load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      return Object.assign({}, DEFAULTS, stored);
+    } catch (e) {
+      return Object.assign({}, DEFAULTS);
+    }
+  }
+
+  function save(settings) {
+    const merged = Object.assign({}, DEFAULTS, settings);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(merged));
+    document.dispatchEvent(new CustomEvent('printersettings:change', { detail: merged }));
+    return merged;
+  }
+
+  // nur die Raster-Optionen (für printPaperToThermal / Vorschau)
+  function ditherOptions(settings) {
+    const opts = {};
+    DITHER_KEYS.forEach((k) => { opts[k] = settings[k]; });
+    return opts;
+  }
+
+  function parseNumber(value, fallback) {
+    const n = parseFloat(value);
+    return Number.isFinite(n) ? n : fallback;
+  }
+
+  function parseHexId(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const n = parseInt(String(value).trim().replace(/^0x/i, ''), 16);
+    return Number.isFinite(n) && n >= 0 && n <= 0xFFFF ? n : null;
+  }
+
+  function formatHexId(n) {
+    return typeof n === 'number' ? '0x' + n.toString(16).toUpperCase().padStart(4, '0') : '';
+  }
+
+  function usbFilters(settings) {
+    if (settings.usbVendorId === null) return [];
+    const f = { vendorId: settings.usbVendorId };
+    if (settings.usbProductId !== null) f.productId = settings.usbProductId;
+    return [f];
+  }
+
+  function matchesFilters(info, filters) {
+    if (!filters.length) return true;
+    return filters.some((f) =>
+      info.usbVendorId === f.vendorId &&
+      (f.productId === undefined || info.usbProductId === f.productId));
+  }
+
+  /* Devices */
+
+  // Nur bereits freigegebene Ports; mit request=true darf (Operator-Geste!) gefragt werden.
+  // Mehrere gleiche Drucker (printer-pool.js): settings.deviceIndex wählt den n-ten passenden.
+  async function findSerialPort(settings, { request = false } = {}) {
+    if (!('serial' in navigator)) throw new Error('Web Serial API not available in this browser.');
+    const filters = usbFilters(settings);
+    const ports = (await navigator.serial.getPorts()).filter((p) => matchesFilters(p.getInfo(), filters));
+    const port = ports[settings.deviceIndex || 0];
+    if (port) return port;
+    if (!request) throw new Error('No paired serial printer. Pair one in Admin → Printer settings.');
+    const portFilters = filters.map((f) => stripUndefined({ usbVendorId: f.vendorId, usbProductId: f.productId }));
+    return navigator.serial.requestPort({ filters: portFilters });
+  }
+
+  async function findUsbDevice(settings, { request = false } = {}) {
+    if (!navigator.usb) throw new Error('WebUSB not available in this browser.');
+    const filters = usbFilters(settings);
+    const devices = (await navigator.usb.getDevices())
+      .filter((d) => matchesFilters({ usbVendorId: d.vendorId, usbProductId: d.productId }, filters));
+    const device = devices[settings.deviceIndex || 0];
+    if (device) return device;
+    if (!request) throw new Error('No paired USB printer. Pair one in Admin → Printer settings.');
+    return navigator.usb.requestDevice({ filters });
+  }
+
+  // Koppeln (nur mit Nutzer-Geste): fragt immer nach dem Gerät (auch bei schon gekoppelten,
+  // damit ein zweiter gleicher Drucker wählbar ist) und gibt die Einstellungen zurück,
+  // mit denen es ohne Dialog wiedergefunden wird (IDs, ggf. deviceIndex)
+  async function pairDevice(settings) {
+    const paired = Object.assign({}, settings);
+    const filters = usbFilters(settings);
+    if (settings.transport === 'serial') {
+      if (!('serial' in navigator)) throw new Error('Web Serial API not available in this browser.');
+      const port = await navigator.serial.requestPort({
+        filters: filters.map((f) => stripUndefined({ usbVendorId: f.vendorId, usbProductId: f.productId }))
+      });
+      const info = port.getInfo();
+      if (settings.usbVendorId === null && info.usbVendorId !== undefined) {
+        paired.usbVendorId = info.usbVendorId;
+        paired.usbProductId = info.usbProductId === undefined ? null : info.usbProductId;
+      }
+      const ports = (await navigator.serial.getPorts()).filter((p) => matchesFilters(p.getInfo(), usbFilters(paired)));
+      paired.deviceIndex = Math.max(0, ports.indexOf(port));
+    } else if (settings.transport === 'usb') {
+      if (!navigator.usb) throw new Error('WebUSB not available in this browser.');
+      const device = await navigator.usb.requestDevice({ filters });
+      if (settings.usbVendorId === null) {
+        paired.usbVendorId = device.vendorId;
+        paired.usbProductId = device.productId;
+      }
+      const devices = (await navigator.usb.getDevices())
+        .filter((d) => matchesFilters({ usbVendorId: d.vendorId, usbProductId: d.productId }, usbFilters(paired)));
+      paired.deviceIndex = Math.max(0, devices.indexOf(device));
+    } else {
+      throw new Error(settings.transport === 'virtual' ? 'The virtual printer needs no pairing.' : 'WebSocket needs no pairing.');
+    }
+    return paired;
+  }
+
+  function stripUndefined(obj) {
+    Object.keys(obj).forEach((k) => obj[k] === undefined && delete obj[k]);
+    return obj;
+  }
+
+  /* Panel */
+
+  let openPanel = () => {};
+
+  function initPanel() {
+    const panel = document.getElementById('printerSettings');
+    if (!panel) return;
+    const form = panel.querySelector('form');
+    const status = panel.querySelector('.settings-status');
+    const f = (name) => form.elements[name];
+
+    function setStatus(msg) {
+      status.textContent = msg || '';
+    }
+
+    function fill(settings) {
+      f('transport').value = settings.transport;
+      const preset = WIDTH_PRESETS.includes(settings.widthDots) ? String(settings.widthDots) : 'custom';
+      f('widthPreset').value = preset;
+      f('widthDots').value = settings.widthDots;
+      f('widthDots').disabled = preset !== 'custom';
+      f('baudRate').value = settings.baudRate;
+      f('usbVendorId').value = formatHexId(settings.usbVendorId);
+      f('usbProductId').value = formatHexId(settings.usbProductId);
+      f('wsUrl').value = settings.wsUrl;
+      f('feedLines').value = settings.feedLines;
+      f('cutMode').value = settings.cutMode;
+      f('bandHeight').value = settings.bandHeight;
+      f('chunkSize').value = settings.chunkSize;
+      f('chunkDelayMs').value = settings.chunkDelayMs;
+      f('bandDelayMs').value = settings.bandDelayMs;
+      f('flowControl').value = settings.flowControl;
+      f('statusAsb').checked = !!settings.statusAsb;
+      f('dither').value = settings.dither;
+      f('serpentine').checked = !!settings.serpentine;
+      f('threshold').value = settings.threshold;
+      f('gamma').value = settings.gamma;
+      f('contrast').value = settings.contrast;
+      f('brightness').value = settings.brightness;
+      f('livePreview').checked = !!settings.livePreview;
+      f('wallRelayUrl').value = settings.wallRelayUrl || '';
+    }
+
+    function read() {
+      const preset = f('widthPreset').value;
+      const widthDots = preset === 'custom' ? parseInt(f('widthDots').value, 10) : parseInt(preset, 10);
+      return {
+        transport: f('transport').value,
+        widthDots: widthDots > 0 ? widthDots : DEFAULTS.widthDots,
+        baudRate: parseInt(f('baudRate').value, 10) || DEFAULTS.baudRate,
+        usbVendorId: parseHexId(f('usbVendorId').value),
+        usbProductId: parseHexId(f('usbProductId').value),
+        deviceIndex: load().deviceIndex,
+        wsUrl: f('wsUrl').value.trim() || DEFAULTS.wsUrl,
+        feedLines: Math.max(0, parseInt(f('feedLines').value, 10) || 0),
+        cutMode: f('cutMode').value,
+        bandHeight: Math.max(1, parseInt(f('bandHeight').value, 10) || DEFAULTS.bandHeight),
+        chunkSize: Math.max(1, parseInt(f('chunkSize').value, 10) || DEFAULTS.chunkSize),
+        chunkDelayMs: Math.max(0, parseInt(f('chunkDelayMs').value, 10) || 0),
+        bandDelayMs: Math.max(0, parseInt(f('bandDelayMs').value, 10) || 0),
+        flowControl: f('flowControl').value,
+        statusAsb: f('statusAsb').checked,
+        dither: f('dither').value,
+        serpentine: f('serpentine').checked,
+        threshold: Math.max(0, Math.min(255, parseNumber(f('threshold').value, DEFAULTS.threshold))),
+        gamma: Math.max(0.1, parseNumber(f('gamma').value, DEFAULTS.gamma)),
+        contrast: Math.max(0, parseNumber(f('contrast').value, DEFAULTS.contrast)),
+        brightness: Math.max(-255, Math.min(255, parseNumber(f('brightness').value, DEFAULTS.brightness))),
+        livePreview: f('livePreview').checked,
+        wallRelayUrl: f('wallRelayUrl').value.trim()
+      };
+    }
+
+    const preview = panel.querySelector('.settings-preview');
+    let previewTimer = null;
+
+    async function renderPreview() {
+      if (!global.thermalPrinter || !preview) return;
+      const settings = read();
+      try {
+        const canvas = await global.thermalPrinter.preview(
+          Object.assign(ditherOptions(settings), { widthDots: settings.widthDots })
+        );
+        preview.innerHTML = '';
+        preview.appendChild(canvas);
+      } catch (err) {
+        console.error(err);
+        setStatus('Preview failed: ' + (err && err.message ? err.message : String(err)));
+      }
+    }
+
+    panel.querySelectorAll('.settings-dither input, .settings-dither select').forEach((el) => {
+      el.addEventListener('input', () => {
+        clearTimeout(previewTimer);
+        previewTimer = setTimeout(renderPreview, 250);
+      });
+    });
+    panel.querySelector('[data-action="preview"]').addEventListener('click', renderPreview);
+
+    // Transport, Pool, Export und Wand-Relay nur für das Team: ohne entsperrte Konsole erst die PIN
+    function open() {
+      if (!global.posterAdmin || !global.posterAdmin.isUnlocked()) {
+        if (global.posterAdmin) global.posterAdmin.open();
+        return;
+      }
+      fill(load());
+      setStatus('');
+      panel.hidden = false;
+    }
+
+    // Schließen sperrt auch die Konsole, das nächste Öffnen fragt wieder nach der PIN
+    function close() {
+      panel.hidden = true;
+      if (global.posterAdmin) global.posterAdmin.close();
+    }
+    openPanel = open;
+
+    document.addEventListener('admin:locked', () => { panel.hidden = true; });
+
+    f('widthPreset').addEventListener('change', () => {
+      const custom = f('widthPreset').value === 'custom';
+      f('widthDots').disabled = !custom;
+      if (!custom) f('widthDots').value = f('widthPreset').value;
+    });
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      save(read());
+      setStatus('Saved.');
+    });
+
+    panel.querySelector('[data-action="close"]').addEventListener('click', close);
+
+    // Koppeln braucht eine Nutzer-Geste: hier macht sie das Team, nicht der Besucher
+    panel.querySelector('[data-action="pair"]').addEventListener('click', async () => {
+      const settings = read();
+      if (settings.transport === 'virtual' || settings.transport === 'websocket') {
+        setStatus(settings.transport === 'virtual' ? 'The virtual printer needs no pairing.' : 'WebSocket needs no pairing.');
+        return;
+      }
+      try {
+        fill(save(await pairDevice(settings)));
+        setStatus('Printer paired and saved.');
+      } catch (err) {
+        console.error(err);
+        setStatus('Pairing failed: ' + (err && err.message ? err.message : String(err)));
+      }
+    });
+
+    panel.querySelectorAll('[data-export]').forEach((btn) => {
+      btn.addEventListener('click', async () => {
+        if (!global.posterArchive) return;
+        try {
+          await global.posterArchive.exportArchive(btn.dataset.export);
+        } catch (err) {
+          console.error(err);
+          setStatus('Export failed: ' + (err && err.message ? err.message : String(err)));
+        }
+      });
+    });
+
+    // Poster als SVG/PNG/PDF: das aktuelle oder alle aus dem Archiv
+    const exportOpts = () => ({ dpi: parseInt(f('exportDpi').value, 10) });
+    panel.querySelectorAll('[data-poster-export]').forEach((btn) => {
+      btn.addEventListener('click', async () => {
+        if (!global.posterExport) return;
+        try {
+          await global.posterExport.exportPoster(btn.dataset.posterExport, exportOpts());
+        } catch (err) {
+          console.error(err);
+          setStatus('Export failed: ' + (err && err.message ? err.message : String(err)));
+        }
+      });
+    });
+    panel.querySelectorAll('[data-batch-export]').forEach((btn) => {
+      btn.addEventListener('click', async () => {
+        if (!global.posterExport) return;
+        try {
+          await global.posterExport.exportArchive(btn.dataset.batchExport, Object.assign(exportOpts(), {
+            onProgress: (done, total) => setStatus(`Exporting… ${done}/${total}`)
+          }));
+          setStatus('Export finished.');
+        } catch (err) {
+          console.error(err);
+          setStatus('Export failed: ' + (err && err.message ? err.message : String(err)));
+        }
+      });
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.ctrlKey && e.altKey && e.key.toLowerCase() === 'p') {
+        e.preventDefault();
+        if (panel.hidden) open(); else close();
+      } else if (e.key === 'Escape' && !panel.hidden) {
+        close();
+      }
+    });
+  }
+
+  document.addEventListener('DOMContentLoaded', initPanel);
+
+  // expose
+  global.printerSettings = {
+    DEFAULTS,
+    load,
+    save,
+    ditherOptions,
+    usbFilters,
+    findSerialPort,
+    findUsbDevice,
+    pairDevice,
+    open: () => openPanel()
+  };
+
+})(window);
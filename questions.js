@@ -0,0 +1,250 @@
+// questions.js
+// Fragen für die Besucher aus questions.json:
+// - Fragen mit Übersetzungen (de/en/tr), in Sets gruppiert
+// - Sprachumschalter für Besucher: Frage, Platzhalter und "Contribute"-Knopf
+// - Wechsel (rotation.mode): 'random' | 'sequential' | 'timeOfDay' | 'exhibitionDay'
+//   - random:        zufällig aus rotation.set, nicht zweimal dieselbe hintereinander
+//   - sequential:    der Reihe nach durch rotation.set (Position in localStorage)
+//   - timeOfDay:     Set nach Uhrzeit (rotation.timeOfDay: [{ from: 'HH:MM', set }])
+//   - exhibitionDay: Set nach Ausstellungstag (rotation.exhibitionDays: { start, sets })
+// - ohne questions.json (z.B. file://) nur die englischen Fragen, zufällig
+//
+// Usage: window.posterQuestions.next()      -> { id, set, language, text }
+//        window.posterQuestions.current()
+//        window.posterQuestions.select('time')
+//        window.posterQuestions.setLanguage('tr')
+//        window.posterQuestions.label('contribute')
+
+(function (global) {
+  'use strict';
+
+  const CONFIG_URL = 'questions.json';
+  const SEQUENCE_KEY = 'pferd.questionIndex';
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const FALLBACK = {
+    defaultLanguage: 'en',
+    languages: ['en'],
+    labels: {
+      en: {
+        language: 'English',
+        question: 'Question',
+        placeholder: 'type something…',
+        contribute: 'Contribute',
+        moderationBlocked: 'Let’s keep this place kind for everyone. Could you put it another way?',
+        moderationPersonal: 'Please leave out phone numbers, emails and links – your poster will hang in public.',
+        moderationHold: 'Thank you! Your poster is waiting for a quick look from our team and will be printed shortly.',
+        queuePrinting: 'Thank you! Your poster is printing now.',
+        queuePosition: 'Thank you! Your poster is number {n} in line.'
+      }
+    },
+    rotation: { mode: 'random', set: 'all' },
+    sets: {},
+    questions: [
+      'What did you find here without looking for it?',
+      'What will you remember from today?',
+      'What are you thinking about right now?',
+      'What thought passed through you and disappeared?',
+      'What did you notice only after staying a while?',
+      'What is present here, but easy to miss?',
+      'What are you aware of now that you weren’t before?',
+      'What part of this experience feels personal?',
+      'What did this space allow you to think about?',
+      'Has time slowed down or sped up for you in this exhibition?'
+    ].map((en, i) => ({ id: 'q' + (i + 1), text: { en } }))
+  };
+
+  let config = normalize(FALLBACK);
+  let language = config.defaultLanguage;
+  let current = null; // { id, set }
+
+  function normalize(raw) {
+    const questions = (raw.questions || []).filter((q) => q && q.id && q.text);
+    if (!questions.length) throw new Error('questions.json contains no questions.');
+    const sets = Object.assign({}, raw.sets);
+    if (!sets.all) sets.all = questions.map((q) => q.id);
+    const languages = raw.languages && raw.languages.length ? raw.languages : [raw.defaultLanguage || 'en'];
+    return {
+      defaultLanguage: raw.defaultLanguage || languages[0],
+      languages,
+      labels: raw.labels || {},
+      rotation: Object.assign({ mode: 'random', set: 'all' }, raw.rotation),
+      sets,
+      questions
+    };
+  }
+
+  async function load(url = CONFIG_URL) {
+    try {
+      const res = await fetch(url, { cache: 'no-cache' });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      config = normalize(await res.json());
+    } catch (err) {
+      console.warn('Could not load ' + url + ', using the built-in English questions:', err);
+      config = normalize(FALLBACK);
+    }
+    language = config.defaultLanguage;
+    return config;
+  }
+
+  function findQuestion(id) {
+    return config.questions.find((q) => q.id === id) || null;
+  }
+
+  function questionText(q, lang = language) {
+    return q.text[lang] || q.text[config.defaultLanguage] || Object.values(q.text)[0] || '';
+  }
+
+  function label(key, lang = language) {
+    const own = config.labels[lang] || {};
+    const fallback = config.labels[config.defaultLanguage] || {};
+    return own[key] || fallback[key] || FALLBACK.labels.en[key] || '';
+  }
+
+  /* Rotation */
+
+  function minutesOf(hhmm) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(String(hhmm).trim());
+    return m ? parseInt(m[1], 10) * 60 + parseInt(m[2], 10) : 0;
+  }
+
+  function localMidnight(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+  }
+
+  // welches Set gerade dran ist
+  function activeSetName(now = new Date()) {
+    const r = config.rotation;
+    if (r.mode === 'timeOfDay' && Array.isArray(r.timeOfDay) && r.timeOfDay.length) {
+      const slots = r.timeOfDay.slice().sort((a, b) => minutesOf(a.from) - minutesOf(b.from));
+      const minutes = now.getHours() * 60 + now.getMinutes();
+      const slot = slots.filter((s) => minutesOf(s.from) <= minutes).pop() || slots[slots.length - 1];
+      return slot.set;
+    }
+    if (r.mode === 'exhibitionDay' && r.exhibitionDays && Array.isArray(r.exhibitionDays.sets) && r.exhibitionDays.sets.length) {
+      const [y, m, d] = String(r.exhibitionDays.start || '').split('-').map(Number);
+      const start = y ? new Date(y, m - 1, d).getTime() : localMidnight(now);
+      const day = Math.max(0, Math.round((localMidnight(now) - start) / DAY_MS));
+      return r.exhibitionDays.sets[day % r.exhibitionDays.sets.length];
+    }
+    return r.set;
+  }
+
+  function setIds(name) {
+    const ids = (config.sets[name] || config.sets.all).filter((id) => findQuestion(id));
+    return ids.length ? ids : config.sets.all;
+  }
+
+  function nextSequential(ids) {
+    let index = 0;
+    try {
+      index = (parseInt(localStorage.getItem(SEQUENCE_KEY), 10) + 1) || 0;
+      localStorage.setItem(SEQUENCE_KEY, String(index % ids.length));
+    } catch (e) {
+      // ohne localStorage: ab der aktuellen Frage weiter
+      index = current ? ids.indexOf(current.id) + 1 : 0;
+    }
+    return ids[index % ids.length];
+  }
+
+  function nextRandom(ids) {
+    const options = current && ids.length > 1 ? ids.filter((id) => id !== current.id) : ids;
+    return options[Math.floor(Math.random() * options.length)];
+  }
+
+  // neue Frage nach rotation.mode
+  function next(now = new Date()) {
+    const set = activeSetName(now);
+    const ids = setIds(set);
+    const id = config.rotation.mode === 'sequential' ? nextSequential(ids) : nextRandom(ids);
+    current = { id, set };
+    render();
+    return currentQuestion();
+  }
+
+  // von Hand (Admin-Konsole): bestimmte Frage zeigen, der Wechsel geht danach normal weiter
+  function select(id) {
+    if (!findQuestion(id)) return null;
+    current = { id, set: 'manual' };
+    render();
+    return currentQuestion();
+  }
+
+  function list() {
+    return config.questions.map((q) => ({ id: q.id, text: questionText(q) }));
+  }
+
+  function currentQuestion() {
+    if (!current) return null;
+    const q = findQuestion(current.id);
+    return { id: current.id, set: current.set, language, text: q ? questionText(q) : '' };
+  }
+
+  /* Sprache */
+
+  function setLanguage(lang) {
+    if (!config.languages.includes(lang)) return false;
+    language = lang;
+    render();
+    document.dispatchEvent(new CustomEvent('language:change', { detail: { language } }));
+    return true;
+  }
+
+  function render() {
+    document.documentElement.lang = language;
+    const title = document.querySelector('.q-title');
+    const text = document.querySelector('.q-text');
+    const input = document.getElementById('replyInput');
+    const button = document.getElementById('printBtn');
+    if (title) title.textContent = label('question');
+    if (text && current) text.textContent = currentQuestion().text;
+    if (input) input.placeholder = label('placeholder');
+    if (button) button.textContent = label('contribute');
+    document.querySelectorAll('.lang-switch [data-lang]').forEach((b) => {
+      b.setAttribute('aria-pressed', String(b.dataset.lang === language));
+    });
+  }
+
+  function renderSwitch() {
+    const container = document.querySelector('.lang-switch');
+    if (!container) return;
+    container.innerHTML = '';
+    container.hidden = config.languages.length < 2;
+    config.languages.forEach((lang) => {
+      const b = document.createElement('button');
+      b.type = 'button';
+      b.dataset.lang = lang;
+      b.textContent = lang.toUpperCase();
+      b.title = label('language', lang);
+      b.setAttribute('lang', lang);
+      b.addEventListener('click', () => setLanguage(lang));
+      container.appendChild(b);
+    });
+  }
+
+  const ready = new Promise((resolve) => {
+    document.addEventListener('DOMContentLoaded', async () => {
+      await load();
+      renderSwitch();
+      next();
+      resolve(config);
+    });
+  });
+
+  // expose
+  global.posterQuestions = {
+    ready,
+    load,
+    next,
+    select,
+    list,
+    current: currentQuestion,
+    setLanguage,
+    getLanguage: () => language,
+    getDefaultLanguage: () => config.defaultLanguage,
+    getLanguages: () => config.languages.slice(),
+    label,
+    activeSetName
+  };
+
+})(window);
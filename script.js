@@ -1,10 +1,14 @@
 // script.js (updated — adds robustness for printing pipeline and loads html2canvas if missing)
 document.addEventListener("DOMContentLoaded", () => {
 
+  // Projektionswand (?view=wall): kein Poster, kein Druck, nur wall.js
+  if(window.posterWall && window.posterWall.isWallView) return;
+
   const input = document.getElementById("replyInput");
   const paper = document.getElementById("paper");
   const printBtn = document.getElementById("printBtn");
   const charCount = document.getElementById("charCount");
+  const printStatus = document.getElementById("printStatus");
   const SHAPES_DEFS = document.getElementById("shapes-defs");
 
   if(!input || !paper || !printBtn || !charCount || !SHAPES_DEFS){
@@ -22,16 +26,50 @@ document.addEventListener("DOMContentLoaded", () => {
   const PADDING = 16;
   const THROTTLE_MS = 80;
 
-  function rnd(){const a=new Uint32Array(1);crypto.getRandomValues(a);return a[0]/4294967295;}
+  // Zufall läuft über einen seedbaren PRNG (mulberry32), damit jedes Poster
+  // aus (Text, Seed, Papiergröße) exakt wieder erzeugt werden kann.
+  function newSeed(){const a=new Uint32Array(1);crypto.getRandomValues(a);return a[0];}
+  let rngState=newSeed();
+  function seedRandom(seed){rngState=seed>>>0;}
+  function rnd(){
+    rngState=(rngState+0x6D2B79F5)>>>0;
+    let t=rngState;
+    t=Math.imul(t^(t>>>15),t|1);
+    t^=t+Math.imul(t^(t>>>7),t|61);
+    return ((t^(t>>>14))>>>0)/4294967296;
+  }
   function rndInt(a,b){return Math.floor(rnd()*(b-a+1))+a;}
   function rndRange(a,b){return rnd()*(b-a)+a;}
   function pick(a){return a[Math.floor(rnd()*a.length)];}
 
+  // Poster-ID = Seed in Base36, z.B. "0K3Z9QX"
+  function seedToId(seed){return (seed>>>0).toString(36).toUpperCase().padStart(7,"0");}
+  function idToSeed(id){
+    if(typeof id==="number") return id>>>0;
+    const s=String(id).trim().replace(/^#/,"").toLowerCase();
+    const n=parseInt(s,36);
+    if(!/^[0-9a-z]{1,7}$/.test(s)||!Number.isFinite(n)||n>0xFFFFFFFF){
+      throw new Error("Invalid poster ID: "+id);
+    }
+    return n>>>0;
+  }
+
+  let posterSeed=newSeed();
+  let lastLayout=null;
+  let posterHost=paper; // wohin drawPoster zeichnet: #paper oder renderDetached()
+
   function getShapes(){
     return Array.from(SHAPES_DEFS.children).map(n=>n.cloneNode(true));
   }
 
+  // Papiermaße in mm (für Export: PDF/PNG in Originalgröße)
+  let paperMm={width:0,height:0};
+  function paperWidthMm(){
+    return parseFloat(getComputedStyle(document.documentElement).getPropertyValue("--paper-width-mm"))||62;
+  }
+
   function setPaperHeight(mm){
+    paperMm={width:paperWidthMm(),height:mm};
     paper.style.height = mm+"mm";
     return new Promise(res=>requestAnimationFrame(()=>{
       const r = paper.getBoundingClientRect();
@@ -57,7 +95,8 @@ document.addEventListener("DOMContentLoaded", () => {
 
   function safeBBox(el){try{return el.getBBox();}catch(e){return null;}}
 
-  function addText(svg,x,y,txt,size){
+  // rotate=false für Layouts, die die Lage selbst bestimmen
+  function addText(svg,x,y,txt,size,rotate=true){
     const ns="http://www.w3.org/2000/svg";
     const t=document.createElementNS(ns,"text");
     t.setAttribute("x",x);
@@ -69,7 +108,7 @@ document.addEventListener("DOMContentLoaded", () => {
     t.textContent=txt;
     svg.appendChild(t);
 
-    if(rnd()<0.4){
+    if(rotate&&rnd()<0.4){
       const b=safeBBox(t);
       if(b){
         const cx=b.x+b.width/2;
@@ -83,12 +122,21 @@ document.addEventListener("DOMContentLoaded", () => {
     return t;
   }
 
+  // stauchen bis FIT_MIN_SQUISH, was darüber hinausgeht über die Schriftgröße
+  const FIT_MIN_SQUISH=0.6;
   function fitTextToWidth(el,maxWidth){
-    const box=safeBBox(el);
+    let box=safeBBox(el);
     if(!box||box.width<=maxWidth) return;
+    if(maxWidth/box.width<FIT_MIN_SQUISH){
+      const size=parseFloat(el.getAttribute("font-size"))||0;
+      el.setAttribute("font-size",Math.round(size*maxWidth/box.width/FIT_MIN_SQUISH*10)/10);
+      box=safeBBox(el);
+      if(!box||box.width<=maxWidth) return;
+    }
     const sx=maxWidth/box.width;
+    // um die linke Kante stauchen, sonst rutscht der Text über PADDING hinaus
     el.setAttribute("transform",
-      (el.getAttribute("transform")||"")+` scale(${sx} 1)`
+      (el.getAttribute("transform")||"")+` translate(${box.x} 0) scale(${sx} 1) translate(${-box.x} 0)`
     );
   }
 
@@ -96,6 +144,7 @@ document.addEventListener("DOMContentLoaded", () => {
     const b=safeBBox(base); if(!b) return;
     for(let i=1;i<=copies;i++){
       const c=base.cloneNode(true);
+      c.setAttribute("data-role","echo");
       c.setAttribute("fill",i%2?"#fff":"#000");
       c.setAttribute(
         "transform",
@@ -110,6 +159,7 @@ document.addEventListener("DOMContentLoaded", () => {
     if(!shapes.length) return;
     const s=pick(shapes);
     const g=s.cloneNode(true);
+    g.setAttribute("data-role","shape");
     // build transform string in one template to avoid accidental syntax issues
     const tx = `translate(${rndRange(w*0.2,w*0.8)} ${rndRange(h*0.3,h*0.95)})`;
     const rt = `rotate(${pick([0,90,180,-90])})`;
@@ -147,30 +197,501 @@ document.addEventListener("DOMContentLoaded", () => {
     const size=rndRange(h*0.08,h*0.16);
     for(let r=0;r<rows;r++){
       for(let c=0;c<cols;c++){
-        const t=addText(svg,PADDING+c*(w/cols),PADDING+r*size*1.3,word,size);
+        const t=addText(svg,PADDING+c*(w/cols),PADDING+size+r*size*1.3,word,size);
         if(rnd()<0.4) duplicateAlt(svg,t,2,4);
       }
     }
   }
 
-  function composePoster(lines,w,h){
-    paper.innerHTML="";
+  // Text entlang einer Spirale (oder eines Kreises), bei kurzem Text wiederholt
+  function posterSpiral(svg,lines,w,h){
+    const ns="http://www.w3.org/2000/svg";
+    const txt=lines.join(" ");
+    const cx=w/2, cy=h*rndRange(0.4,0.6);
+    const rMax=Math.min(w,h)/2-PADDING;
+    const circle=rnd()<0.35;
+    const turns=circle?1:rndRange(2.5,4);
+    const rMin=circle?rMax:rMax*0.15;
+    const dir=pick([1,-1]);
+    const start=rndRange(0,Math.PI*2);
+    const steps=Math.ceil(turns*72);
+    let d="", len=0, px=0, py=0;
+    for(let i=0;i<=steps;i++){
+      const t=i/steps;
+      const a=start+dir*t*turns*Math.PI*2;
+      const r=rMax-(rMax-rMin)*t;
+      const x=cx+Math.cos(a)*r, y=cy+Math.sin(a)*r;
+      d+=(i?" L":"M")+x.toFixed(1)+" "+y.toFixed(1);
+      if(i) len+=Math.hypot(x-px,y-py);
+      px=x; py=y;
+    }
+
+    const path=document.createElementNS(ns,"path");
+    const id="layout-path-"+rndInt(0,0xFFFFFF).toString(36);
+    path.setAttribute("id",id);
+    path.setAttribute("d",d);
+    path.setAttribute("fill","none");
+    const defs=document.createElementNS(ns,"defs");
+    defs.appendChild(path);
+    svg.appendChild(defs);
+
+    // Schriftgröße so, dass der Text einmal den Pfad füllt (ca. 0.6 em pro Zeichen)
+    const size=Math.max(h*0.025,Math.min(rMax*0.3,len/(txt.length*0.6)));
+    const repeats=Math.max(1,Math.floor(len/(size*0.6*(txt.length+3))));
+    const t=addText(svg,0,0,"",Math.round(size),false);
+    const tp=document.createElementNS(ns,"textPath");
+    tp.setAttribute("href","#"+id);
+    tp.textContent=Array(repeats).fill(txt).join(" · ");
+    t.appendChild(tp);
+    return t;
+  }
+
+  // ein Wort pro Stufe, diagonal von oben links nach unten rechts
+  function posterStaircase(svg,lines,w,h){
+    const words=lines.join(" ").split(/\s+/).filter(Boolean);
+    const n=words.length;
+    const top=h*0.08, stepY=(h*0.84)/n;
+    const size=Math.min(h*0.2,Math.max(h*0.05,stepY*1.1));
+    const span=(w-PADDING*2)*rndRange(0.35,0.6);
+    const flip=rnd()<0.3;
+    words.forEach((word,i)=>{
+      const f=n>1?i/(n-1):0;
+      const x=PADDING+span*(flip?1-f:f);
+      const t=addText(svg,x,top+stepY*(i+0.8),word,Math.round(size),false);
+      fitTextToWidth(t,w-PADDING-x);
+      if(rnd()<0.25) duplicateAlt(svg,t,1,4);
+    });
+  }
+
+  // ein riesiger Anfangsbuchstabe, der Rest des Textes in Weiß darin
+  function posterGiantLetter(svg,lines,w,h){
+    const ns="http://www.w3.org/2000/svg";
+    const txt=lines.join(" ");
+    const letter=txt.charAt(0).toUpperCase();
+    const rest=txt.slice(1).trim()||txt;
+    const size=Math.round(Math.min(w*1.2,h*0.75));
+    const font=pick(POSTER_FONTS)+", sans-serif";
+    const y=h*0.5+size*0.35;
+
+    const makeLetter=()=>{
+      const t=document.createElementNS(ns,"text");
+      t.setAttribute("x",w/2);
+      t.setAttribute("y",y);
+      t.setAttribute("text-anchor","middle");
+      t.setAttribute("font-family",font);
+      t.setAttribute("font-size",size);
+      t.setAttribute("font-weight",900);
+      t.textContent=letter;
+      return t;
+    };
+    const big=makeLetter();
+    big.setAttribute("fill","#000");
+    svg.appendChild(big);
+    fitTextToWidth(big,w-PADDING*2);
+
+    const id="layout-clip-"+rndInt(0,0xFFFFFF).toString(36);
+    const clip=document.createElementNS(ns,"clipPath");
+    clip.setAttribute("id",id);
+    const shape=makeLetter();
+    shape.setAttribute("font-size",big.getAttribute("font-size"));
+    if(big.getAttribute("transform")) shape.setAttribute("transform",big.getAttribute("transform"));
+    clip.appendChild(shape);
+    const defs=document.createElementNS(ns,"defs");
+    defs.appendChild(clip);
+    svg.appendChild(defs);
+
+    // Zeilen mit dem restlichen Text über die ganze Buchstabenfläche, auf den Buchstaben beschnitten
+    const g=document.createElementNS(ns,"g");
+    g.setAttribute("data-role","deco");
+    g.setAttribute("clip-path",`url(#${id})`);
+    svg.appendChild(g);
+    const b=safeBBox(big)||{x:0,y:y-size,width:w,height:size};
+    const small=Math.max(14,Math.round(h*0.035));
+    const row=rest+" ";
+    const copies=Math.ceil(b.width/(small*0.5*row.length))+1;
+    for(let yy=b.y+small;yy<b.y+b.height+small;yy+=small*1.05){
+      const t=addText(g,b.x-rndRange(0,small*4),yy,row.repeat(copies),small,false);
+      t.setAttribute("fill","#fff");
+    }
+
+    // die Antwort selbst noch einmal lesbar darunter
+    const cap=addText(svg,PADDING,h*0.93,txt,Math.round(Math.max(h*0.04,w*0.08)),false);
+    fitTextToWidth(cap,w-PADDING*2);
+  }
+
+  // jedes Wort ein eigener Block: schwarz mit weißer Schrift oder umrandet
+  function posterCollage(svg,lines,w,h){
+    const ns="http://www.w3.org/2000/svg";
+    const words=lines.join(" ").split(/\s+/).filter(Boolean);
+    const rows=[];
+    for(let i=0;i<words.length;){
+      const k=Math.min(words.length-i,rndInt(1,3));
+      rows.push(words.slice(i,i+k));
+      i+=k;
+    }
+    const top=h*0.06, rowH=(h*0.86)/rows.length;
+    const innerW=w-PADDING*2;
+    rows.forEach((row,r)=>{
+      const weights=row.map(wd=>wd.length+2);
+      const total=weights.reduce((a,b)=>a+b,0);
+      let x=PADDING;
+      row.forEach((word,i)=>{
+        const cw=innerW*weights[i]/total;
+        const y=top+r*rowH;
+        const dark=rnd()<0.5;
+        const g=document.createElementNS(ns,"g");
+        const cx=x+cw/2, cy=y+rowH/2;
+        g.setAttribute("transform",`rotate(${rndRange(-4,4).toFixed(1)} ${cx} ${cy})`);
+        svg.appendChild(g);
+
+        const rect=document.createElementNS(ns,"rect");
+        rect.setAttribute("x",x+3);
+        rect.setAttribute("y",y+3);
+        rect.setAttribute("width",Math.max(1,cw-6));
+        rect.setAttribute("height",Math.max(1,rowH-6));
+        rect.setAttribute("fill",dark?"#000":"#fff");
+        rect.setAttribute("stroke","#000");
+        rect.setAttribute("stroke-width",3);
+        g.appendChild(rect);
+
+        const t=addText(g,cx,cy,word,Math.round(Math.min(rowH*0.6,h*0.2)),false);
+        t.setAttribute("text-anchor","middle");
+        t.setAttribute("dominant-baseline","central");
+        t.setAttribute("fill",dark?"#fff":"#000");
+        fitTextToWidth(t,cw-16);
+        x+=cw;
+      });
+    });
+  }
+
+  // jede Zeile mit gestapelten Echos darunter: abwechselnd Kontur und Fläche
+  function posterEchoes(svg,lines,w,h){
+    const ns="http://www.w3.org/2000/svg";
+    const size=Math.min(h*0.2,(h*0.8)/lines.length/1.4);
+    const echoes=rndInt(2,5);
+    let y=h*0.1+size;
+    lines.forEach(txt=>{
+      const t=addText(svg,PADDING,y,txt,Math.round(size),false);
+      fitTextToWidth(t,w-PADDING*2);
+      const step=size*rndRange(0.12,0.25);
+      for(let i=echoes;i>=1;i--){
+        const c=t.cloneNode(true);
+        c.setAttribute("data-role","echo");
+        c.setAttribute("y",y+step*i);
+        const outline=i%2===1;
+        c.setAttribute("fill",outline?"#fff":"#000");
+        if(outline){
+          c.setAttribute("stroke","#000");
+          c.setAttribute("stroke-width",Math.max(1.5,size*0.03).toFixed(1));
+        }
+        svg.insertBefore(c,t);
+      }
+      y+=size*1.25+step*echoes;
+    });
+  }
+
+  // kompakt für gekappte Länge (paper-roll.js): ein Textblock in einer Schrift,
+  // so groß, wie er in Breite und Höhe passt
+  function posterCompact(svg,lines,w,h){
+    const ns="http://www.w3.org/2000/svg";
+    const words=lines.join(" ").split(/\s+/).filter(Boolean);
+    const font=pick(POSTER_FONTS)+", sans-serif";
+    const maxW=w-PADDING*2, maxH=h-PADDING*4;
+    const probe=document.createElementNS(ns,"text");
+    probe.setAttribute("font-family",font);
+    probe.setAttribute("font-weight",900);
+    svg.appendChild(probe);
+    const width=(txt,size)=>{
+      probe.setAttribute("font-size",size);
+      probe.textContent=txt;
+      const b=safeBBox(probe);
+      return b&&b.width?b.width:txt.length*size*0.6;
+    };
+    const wrap=size=>{
+      const rows=[];
+      let row="";
+      words.forEach(wd=>{
+        if(row&&width(row+" "+wd,size)>maxW){rows.push(row);row=wd;}
+        else row=row?row+" "+wd:wd;
+      });
+      if(row) rows.push(row);
+      return rows;
+    };
+    let size=Math.min(h*0.2,maxW*0.4),rows=wrap(size);
+    while(rows.length*size*1.1>maxH&&size>8){
+      // Zeilen immer in der Größe umbrechen, in der sie gesetzt werden (auch bei der Untergrenze 8)
+      size=Math.max(8,size*0.92);
+      rows=wrap(size);
+    }
+    probe.remove();
+    let y=PADDING+size;
+    rows.forEach(txt=>{
+      const t=document.createElementNS(ns,"text");
+      t.setAttribute("x",PADDING);
+      t.setAttribute("y",y);
+      t.setAttribute("font-family",font);
+      t.setAttribute("font-size",Math.round(size*10)/10);
+      t.setAttribute("font-weight",900);
+      t.setAttribute("fill","#000");
+      t.textContent=txt;
+      svg.appendChild(t);
+      fitTextToWidth(t,maxW);
+      y+=size*1.1;
+    });
+  }
+
+  // Layout-Registry: Layouts melden sich mit Gewicht und Grenzen an, composePoster
+  // wählt gewichtet unter denen, die zu Länge und Wortzahl der Antwort passen.
+  // opts: { weight, minWords, maxWords, maxChars }
+  const LAYOUTS=[];
+  function registerLayout(name,fn,opts={}){
+    if(typeof fn!=="function") throw new Error("Layout "+name+" is not a function");
+    const entry=Object.assign({weight:1,minWords:1,maxWords:Infinity,maxChars:Infinity},opts,{name,fn});
+    const i=LAYOUTS.findIndex(l=>l.name===name);
+    if(i>=0) LAYOUTS[i]=entry; else LAYOUTS.push(entry);
+    return entry;
+  }
+
+  function layoutsFor(lines){
+    const txt=lines.join(" ");
+    const words=txt.split(/\s+/).filter(Boolean).length;
+    return LAYOUTS.filter(l=>l.weight>0&&words>=l.minWords&&words<=l.maxWords&&txt.length<=l.maxChars);
+  }
+
+  // vom Team festgelegtes Layout (Admin-Konsole) statt der gewichteten Wahl
+  let forcedLayout=null;
+  let compactPoster=false;
+  function pickLayout(lines){
+    const name=forcedLayout||(compactPoster?"posterCompact":null);
+    const forced=name&&LAYOUTS.find(l=>l.name===name);
+    if(forced) return forced;
+    const options=layoutsFor(lines);
+    if(!options.length) return LAYOUTS[0];
+    let r=rnd()*options.reduce((n,l)=>n+l.weight,0);
+    return options.find(l=>(r-=l.weight)<0)||options[options.length-1];
+  }
+
+  registerLayout("posterVertical",posterVertical,{weight:3});
+  registerLayout("posterPattern",posterPattern,{weight:2,maxWords:12});
+  registerLayout("posterSpiral",posterSpiral,{weight:1,minWords:2,maxChars:160});
+  registerLayout("posterStaircase",posterStaircase,{weight:1,minWords:3,maxWords:12});
+  registerLayout("posterGiantLetter",posterGiantLetter,{weight:1,minWords:2,maxChars:60});
+  registerLayout("posterCollage",posterCollage,{weight:1,minWords:2,maxWords:18});
+  registerLayout("posterEchoes",posterEchoes,{weight:1,maxChars:80});
+  registerLayout("posterCompact",posterCompact,{weight:0}); // nur bei gekappter Länge
+
+  // kleine ID unten rechts, damit sich jeder Ausdruck wieder erzeugen lässt
+  function addPosterId(svg,w,h,id){
+    const ns="http://www.w3.org/2000/svg";
+    const size=8;
+    const t=document.createElementNS(ns,"text");
+    t.setAttribute("x",w-PADDING/2);
+    t.setAttribute("y",h-PADDING/2);
+    t.setAttribute("text-anchor","end");
+    t.setAttribute("font-family","TASA Orbiter, monospace");
+    t.setAttribute("font-size",size);
+    t.setAttribute("fill","#000");
+    t.setAttribute("data-role","id");
+    t.textContent="#"+id;
+    svg.appendChild(t);
+
+    const b=safeBBox(t);
+    if(b){
+      const bg=document.createElementNS(ns,"rect");
+      bg.setAttribute("x",b.x-2);
+      bg.setAttribute("y",b.y-1);
+      bg.setAttribute("width",b.width+4);
+      bg.setAttribute("height",b.height+2);
+      bg.setAttribute("fill","#fff");
+      svg.insertBefore(bg,t);
+    }
+    return t;
+  }
+
+  // -------------------------------
+  // Lesbarkeit: jedes Wort der Antwort muss mindestens einmal lesbar vorkommen
+  // (Mindestgröße, nicht auf dem Kopf, nicht zu stark gestaucht, innerhalb von
+  // PADDING, nicht von Formen oder Echo-Kopien verdeckt). Sonst neu würfeln
+  // (abgeleitete Seeds, reproduzierbar aus der Poster-ID), zuletzt ein Textband.
+  // Textelemente mit data-role ("echo", "deco") zählen nicht als Antwort,
+  // data-role="shape"/"echo" verdecken, was vor ihnen gezeichnet wurde.
+  // -------------------------------
+
+  const LEGIBILITY_ATTEMPTS = 5;
+  const MIN_FONT_RATIO = 0.05;   // Mindest-Schriftgröße relativ zur Papierbreite (~3 mm bei 58 mm)
+  const MIN_SQUISH = 0.45;       // fitTextToWidth darf höchstens so stark stauchen
+  const MAX_COVERED = 0.4;       // Anteil der Textfläche, der verdeckt sein darf
+
+  let lastLegibility=null;
+
+  function derivedSeed(seed,attempt){return (seed+Math.imul(attempt,0x9E3779B9))>>>0;}
+
+  function normalizeWords(txt){
+    return String(txt).toLowerCase().normalize("NFKC")
+      .split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  }
+
+  // Box in Poster-Koordinaten (inkl. transform), dazu Drehung und Skalierung
+  function placement(svg,el){
+    const b=safeBBox(el); if(!b) return null;
+    let m=null;
+    try{
+      const s=svg.getScreenCTM(), e=el.getScreenCTM();
+      if(s&&e) m=s.inverse().multiply(e);
+    }catch(err){m=null;}
+    if(!m){
+      // ohne Layout (z.B. verstecktes Papier): nur das eigene transform-Attribut
+      const tr=el.getAttribute("transform")||"";
+      const rot=tr.match(/rotate\(\s*(-?[\d.]+)/);
+      const sc=tr.match(/scale\(\s*([\d.]+)/);
+      const sx=sc?+sc[1]:1;
+      return {box:{x:b.x,y:b.y,width:b.width*sx,height:b.height},angle:rot?+rot[1]:0,scaleX:sx,scaleY:1};
+    }
+    const pts=[[b.x,b.y],[b.x+b.width,b.y],[b.x,b.y+b.height],[b.x+b.width,b.y+b.height]]
+      .map(([x,y])=>[m.a*x+m.c*y+m.e,m.b*x+m.d*y+m.f]);
+    const xs=pts.map(p=>p[0]), ys=pts.map(p=>p[1]);
+    const x=Math.min(...xs), y=Math.min(...ys);
+    return {
+      box:{x,y,width:Math.max(...xs)-x,height:Math.max(...ys)-y},
+      angle:Math.atan2(m.b,m.a)*180/Math.PI,
+      scaleX:Math.hypot(m.a,m.b),
+      scaleY:Math.hypot(m.c,m.d)
+    };
+  }
+
+  function overlapArea(a,b){
+    const w=Math.min(a.x+a.width,b.x+b.width)-Math.max(a.x,b.x);
+    const h=Math.min(a.y+a.height,b.y+b.height)-Math.max(a.y,b.y);
+    return w>0&&h>0?w*h:0;
+  }
+
+  // -> { score 0..1, ok, missing: [Wörter], issues: [..] }
+  function scoreLegibility(svg,lines,w,h){
+    const words=[...new Set(normalizeWords(lines.join(" ")))];
+    const all=Array.from(svg.querySelectorAll("*"));
+    const occluders=all
+      .filter(el=>{const r=el.getAttribute("data-role");return r==="shape"||r==="echo";})
+      .map(el=>({el,p:placement(svg,el)}))
+      .filter(o=>o.p);
+    const minSize=w*MIN_FONT_RATIO;
+    const best=new Map();
+    const issues=[];
+
+    all.filter(el=>el.tagName.toLowerCase()==="text"&&!el.getAttribute("data-role")&&!el.closest("[data-role]")&&!el.closest("clipPath"))
+      .forEach(el=>{
+        const p=placement(svg,el);
+        if(!p||!p.box.width) return;
+        const size=(parseFloat(el.getAttribute("font-size"))||0)*p.scaleY;
+        const squish=p.scaleY?p.scaleX/p.scaleY:1;
+        const angle=((Math.round(p.angle)%360)+360)%360;
+        const label=(el.textContent||"").slice(0,24);
+        const tol=size*0.25;
+        if(size<minSize){issues.push(`too small: "${label}"`);return;}
+        if(squish<MIN_SQUISH){issues.push(`squeezed: "${label}"`);return;}
+        if(angle>135&&angle<225){issues.push(`upside down: "${label}"`);return;}
+        if(p.box.x<PADDING-tol||p.box.y<PADDING-tol||
+           p.box.x+p.box.width>w-PADDING+tol||p.box.y+p.box.height>h-PADDING+tol){
+          issues.push(`outside padding: "${label}"`);return;
+        }
+        const area=p.box.width*p.box.height;
+        const covered=occluders
+          .filter(o=>el.compareDocumentPosition(o.el)&Node.DOCUMENT_POSITION_FOLLOWING)
+          .reduce((n,o)=>n+overlapArea(p.box,o.p.box),0)/area;
+        if(covered>MAX_COVERED){issues.push(`covered: "${label}"`);return;}
+
+        // Güte: Größe bis 2x Minimum, quer gestellt etwas schlechter, Verdeckung abziehen
+        const quality=Math.min(1,size/(minSize*2))*(angle%180===0?1:0.7)*(1-covered);
+        normalizeWords(el.textContent).forEach(wd=>{
+          if(best.has(wd)) best.set(wd,Math.max(best.get(wd),quality));
+          else best.set(wd,quality);
+        });
+      });
+
+    const missing=words.filter(wd=>!best.has(wd));
+    const found=words.length-missing.length;
+    const coverage=words.length?found/words.length:1;
+    const quality=found?words.reduce((n,wd)=>n+(best.get(wd)||0),0)/found:0;
+    return {
+      score:Math.round((0.7*coverage+0.3*quality)*100)/100,
+      ok:missing.length===0,
+      missing,
+      issues
+    };
+  }
+
+  // letzte Rettung: die ganze Antwort schlicht auf weißem Band über allem
+  function addReplyBand(svg,lines,w,h){
+    const ns="http://www.w3.org/2000/svg";
+    const size=Math.round(w*MIN_FONT_RATIO*1.6);
+    const lead=size*1.2;
+    const bandH=lines.length*lead+size*0.6;
+    const top=h-PADDING*2-bandH;
+    const bg=document.createElementNS(ns,"rect");
+    bg.setAttribute("x",PADDING/2);
+    bg.setAttribute("y",top);
+    bg.setAttribute("width",w-PADDING);
+    bg.setAttribute("height",bandH);
+    bg.setAttribute("fill","#fff");
+    bg.setAttribute("stroke","#000");
+    bg.setAttribute("stroke-width",2);
+    svg.appendChild(bg);
+    lines.forEach((txt,i)=>{
+      const t=addText(svg,PADDING,top+size*0.3+lead*(i+0.8),txt,size,false);
+      t.setAttribute("font-family","TASA Orbiter, sans-serif");
+      fitTextToWidth(t,w-PADDING*2);
+    });
+  }
+
+  // ein Versuch: Layout + Formen + ID, gewürfelt mit layoutSeed
+  function drawPoster(lines,w,h,seed,layoutSeed){
+    seedRandom(layoutSeed);
+    posterHost.innerHTML="";
     const svg=createSvg(w,h);
-    paper.appendChild(svg);
+    posterHost.appendChild(svg);
 
     const shapes=getShapes();
-    pick([posterVertical,posterPattern])(svg,lines,w,h);
+    const layout=pickLayout(lines);
+    lastLayout=layout.name;
+    layout.fn(svg,lines,w,h);
     if(rnd()<0.8) placeBigShape(svg,shapes,w,h);
     if(rnd()<0.5) placeBigShape(svg,shapes,w,h);
+    return svg;
   }
 
-  let timer=null;
+  function composePoster(lines,w,h,seed=posterSeed){
+    let best=null;
+    for(let attempt=0;attempt<LEGIBILITY_ATTEMPTS;attempt++){
+      const svg=drawPoster(lines,w,h,seed,derivedSeed(seed,attempt));
+      const legibility=Object.assign(scoreLegibility(svg,lines,w,h),{attempt,layout:lastLayout});
+      if(legibility.ok){
+        lastLegibility=legibility;
+        finishPoster(svg,w,h,seed);
+        return legibility;
+      }
+      if(!best||legibility.score>best.score) best=legibility;
+    }
+    // kein Versuch lesbar: den besten nehmen und die Antwort als Band darüberlegen
+    const svg=drawPoster(lines,w,h,seed,derivedSeed(seed,best.attempt));
+    addReplyBand(svg,lines,w,h);
+    lastLegibility=Object.assign(scoreLegibility(svg,lines,w,h),{attempt:best.attempt,layout:lastLayout,reflowed:true});
+    finishPoster(svg,w,h,seed);
+    return lastLegibility;
+  }
 
-  function generate(){
-    const txt=input.value.trim();
-    charCount.textContent=`${txt.length}/250`;
-    if(!txt){paper.innerHTML="";return;}
+  // ID aufdrucken, Maße und ID fürs Archiv/Export am SVG festhalten
+  function finishPoster(svg,w,h,seed){
+    addPosterId(svg,w,h,seedToId(seed));
+    svg.setAttribute("data-poster-id",seedToId(seed));
+    if(paperMm.height){
+      svg.setAttribute("data-paper-width-mm",paperMm.width);
+      svg.setAttribute("data-paper-height-mm",Math.round(paperMm.height*10)/10);
+    }
+  }
 
+  let timer=null;
+
+  // Zeilen für das Poster (nutzt rnd, also vorher seeden)
+  function buildLines(txt){
     let words=txt.split(/\s+/);
     if(rnd()<0.35 && words.length>3){
       words=words.map(w=>rnd()<0.3?w.toUpperCase():w);
@@ -182,339 +703,670 @@ document.addEventListener("DOMContentLoaded", () => {
       else{lines.push(line.trim()); line=w;}
     });
     if(line) lines.push(line.trim());
+    return lines;
+  }
+
+  function paperHeightMm(txt){
+    return 180 + txt.length*2.2 + Math.pow(txt.length,1.15);
+  }
+
+  // Höchstlänge in gedruckten mm (paper-roll.js) auf Poster-mm umrechnen:
+  // gedruckt wird die Papierbreite auf widthDots / 8 mm
+  function posterSize(txt){
+    const mm=paperHeightMm(txt);
+    const maxPrinted=window.paperRoll?window.paperRoll.maxPosterMm():0;
+    if(!maxPrinted) return {mm,compact:false};
+    const printedWidthMm=window.printerSettings.load().widthDots/escposCore.DOTS_PER_MM;
+    const maxMm=maxPrinted*paperWidthMm()/printedWidthMm;
+    return mm>maxMm?{mm:maxMm,compact:true}:{mm,compact:false};
+  }
+
+  function composeSized(lines,dim,seed,compact){
+    compactPoster=compact;
+    try{return composePoster(lines,dim.w,dim.h,seed);}
+    finally{compactPoster=false;}
+  }
 
-    const mm_height=180 + txt.length*2.2 + Math.pow(txt.length,1.15);
+  function generate(){
+    const txt=input.value.trim();
+    charCount.textContent=`${txt.length}/250`;
+    if(!txt){paper.innerHTML="";return Promise.resolve();}
 
-    setPaperHeight(mm_height).then(dim=>{
+    const seed=posterSeed;
+    seedRandom(seed);
+    const lines=buildLines(txt);
+
+    const size=posterSize(txt);
+    return setPaperHeight(size.mm).then(dim=>new Promise(res=>{
       clearTimeout(timer);
-      timer=setTimeout(()=>composePoster(lines,dim.w,dim.h),THROTTLE_MS);
-    });
+      timer=setTimeout(()=>{composeSized(lines,dim,seed,size.compact);res();},THROTTLE_MS);
+    }));
   }
 
-  const QUESTIONS = [
-  "What did you find here without looking for it?",
-  "What will you remember from today?",
-  "What are you thinking about right now?",
-  "What thought passed through you and disappeared?",
-  "What did you notice only after staying a while?",
-  "What is present here, but easy to miss?",
-  "What are you aware of now that you weren’t before?",
-  "What part of this experience feels personal?",
-  "What did this space allow you to think about?",
-  "Has time slowed down or sped up for you in this exhibition?"
-];
+  // Poster aus einer ID (und optional dem damaligen Text) exakt neu erzeugen
+  function regenerate(seed,text){
+    posterSeed=idToSeed(seed);
+    if(typeof text==="string") input.value=text;
+    return generate();
+  }
 
-  // setze beim Laden der Seite zufällig eine Frage
-  document.querySelector(".q-text").textContent = pick(QUESTIONS);
+  // Poster für beliebigen Text, ohne das Eingabefeld anzufassen (z.B. Kiosk-Demo)
+  function renderPoster(txt,seed=newSeed()){
+    clearTimeout(timer);
+    seedRandom(seed);
+    const lines=buildLines(txt);
+    const size=posterSize(txt);
+    return setPaperHeight(size.mm).then(dim=>composeSized(lines,dim,seed,size.compact));
+  }
+
+  // Poster für beliebigen Text, ohne #paper anzufassen (Freigaben aus der Moderation):
+  // gezeichnet in einem unsichtbaren Behälter (Textmaße gibt es nur im Dokument),
+  // zurück kommt das abgelöste SVG. -> {svg,layout,legibility}
+  function renderDetached(txt,seed){
+    const saved={mm:paperMm,layout:lastLayout,legibility:lastLegibility};
+    const host=document.createElement("div");
+    const w=paper.getBoundingClientRect().width;
+    host.style.cssText=`position:fixed;left:-10000px;top:0;width:${w}px;visibility:hidden;pointer-events:none`;
+    document.body.appendChild(host);
+    try{
+      posterHost=host;
+      seedRandom(seed);
+      const lines=buildLines(txt);
+      const size=posterSize(txt);
+      paperMm={width:paperWidthMm(),height:size.mm};
+      const legibility=composeSized(lines,{w,h:w*size.mm/paperMm.width},seed,size.compact);
+      const svg=host.querySelector("svg");
+      host.removeChild(svg);
+      return {svg,layout:lastLayout,legibility};
+    }finally{
+      host.remove();
+      posterHost=paper;
+      ({mm:paperMm,layout:lastLayout,legibility:lastLegibility}=saved);
+    }
+  }
+
+  // Fragen, Übersetzungen und Wechsel: questions.js / questions.json
+  const questions = window.posterQuestions;
+
+  // neue Frage nach dem eingestellten Wechsel (zufällig, der Reihe nach, Tageszeit, Ausstellungstag)
+  function nextQuestion(){
+    return questions.next();
+  }
+
+  // alles zurück auf Anfang für den nächsten Besucher (auch die Sprache)
+  function reset(){
+    input.value="";
+    posterSeed=newSeed();
+    setPrintStatus("");
+    questions.setLanguage(questions.getDefaultLanguage());
+    nextQuestion();
+    return generate();
+  }
+
+  // name: registriertes Layout, null: wieder zufällig
+  function setLayout(name){
+    if(name&&!LAYOUTS.some(l=>l.name===name)) throw new Error("Unknown layout: "+name);
+    forcedLayout=name||null;
+    return generate();
+  }
 
   input.addEventListener("input",generate);
 
+  window.posterGenerator = {
+    generate,
+    regenerate,
+    renderPoster,
+    renderDetached,
+    composePoster,
+    registerLayout,
+    getLayouts: ()=>LAYOUTS.map(l=>l.name),
+    setLayout,
+    getForcedLayout: ()=>forcedLayout,
+    getFonts: ()=>POSTER_FONTS.slice(),
+    nextQuestion,
+    reset,
+    getLayout: ()=>lastLayout,
+    getLegibility: ()=>lastLegibility,
+    getPosterId: ()=>seedToId(posterSeed),
+    getSeed: ()=>posterSeed,
+    getPaperSize: ()=>({widthMm:paperMm.width,heightMm:paperMm.height})
+  };
+
   // -------------------------------
   // Printing pipeline (ESC/POS to Citizen thermal printer)
-  // - captures #paper with html2canvas
-  // - grayscale -> Floyd–Steinberg dither -> 1-bit bitmap
-  // - resizes to printer width (dots) e.g. 384 or 576
-  // - encodes GS v 0 raster and sends raw bytes via Web Serial / WebUSB / WebSocket proxy
+  // - renders the poster SVG natively (fonts embedded), html2canvas only as fallback
+  // - grayscale -> tone -> dither -> 1-bit bitmap at printer width (dots) e.g. 384 or 576
+  // - encodes GS v 0 raster in bands and sends raw bytes paced via Web Serial / WebUSB / WebSocket proxy
+  // - encoding in escpos-core.js, canvas + transports in escpos-printer.js
   // -------------------------------
 
-  // load script helper (if html2canvas missing)
-  function loadScript(src){
-    return new Promise((resolve,reject)=>{
-      const s=document.createElement('script');
-      s.src=src;
-      s.onload=()=>resolve();
-      s.onerror=(e)=>reject(new Error('Failed to load '+src));
-      document.head.appendChild(s);
-    });
+  const escpos = window.escposPrinter;
+  const escposCore = window.escposCore;
+
+  // #paper -> 1-bit Bitmap in Druckerbreite (Druck und Vorschau);
+  // Poster-SVG nativ mit eingebetteten Schriften, html2canvas nur als Fallback
+  function rasterizePaper(options = {}) {
+    return escpos.rasterizeElement(paper, Object.assign({}, options, { fontFamilies: POSTER_FONTS }));
   }
 
-  // helper: capture
-  async function captureElementToCanvas(element, scale = 1) {
-    if (typeof html2canvas === 'undefined') {
-      // attempt to load html2canvas dynamically
-      try {
-        await loadScript('https://cdn.jsdelivr.net/npm/html2canvas@1.4.1/dist/html2canvas.min.js');
-      } catch (e) {
-        throw new Error('html2canvas is required but could not be loaded. Ensure network access or include the library in index.html.');
-      }
-      if (typeof html2canvas === 'undefined') {
-        throw new Error('html2canvas still not available after loading.');
-      }
-    }
-    const canvas = await html2canvas(element, {
-      backgroundColor: '#ffffff',
-      scale,
-      useCORS: true,
-      allowTaint: true
-    });
-    if (!canvas || !canvas.width || !canvas.height) {
-      throw new Error('Captured canvas has zero width/height. Ensure the #paper element is visible with layout before printing.');
-    }
-    return canvas;
-  }
-
-  function resizeCanvasNearest(srcCanvas, targetWidth, targetHeight) {
-    const dest = document.createElement('canvas');
-    dest.width = targetWidth;
-    dest.height = targetHeight;
-    const ctx = dest.getContext('2d');
-    ctx.imageSmoothingEnabled = false;
-    ctx.drawImage(srcCanvas, 0, 0, srcCanvas.width, srcCanvas.height, 0, 0, targetWidth, targetHeight);
-    return dest;
-  }
-
-  function grayscaleImageData(imgData) {
-    const data = imgData.data;
-    const width = imgData.width;
-    const height = imgData.height;
-    const gray = new Float32Array(width * height);
-    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
-      const r = data[i], g = data[i + 1], b = data[i + 2], a = data[i + 3];
-      const alpha = a / 255;
-      const rr = r * alpha + 255 * (1 - alpha);
-      const gg = g * alpha + 255 * (1 - alpha);
-      const bb = b * alpha + 255 * (1 - alpha);
-      gray[p] = 0.299 * rr + 0.587 * gg + 0.114 * bb;
-    }
-    return { gray, width, height };
-  }
-
-  function floydSteinbergDither(grayArray, width, height) {
-    const bw = new Uint8Array(width * height); // 1=black
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const idx = y * width + x;
-        const oldVal = grayArray[idx];
-        const newVal = oldVal < 128 ? 0 : 255;
-        const err = oldVal - newVal;
-        bw[idx] = newVal === 0 ? 1 : 0;
-        if (x + 1 < width) grayArray[idx + 1] += (err * 7) / 16;
-        if (x - 1 >= 0 && y + 1 < height) grayArray[idx + width - 1] += (err * 3) / 16;
-        if (y + 1 < height) grayArray[idx + width] += (err * 5) / 16;
-        if (x + 1 < width && y + 1 < height) grayArray[idx + width + 1] += (err * 1) / 16;
-      }
-    }
-    return bw;
-  }
-
-  function packBitsMonochrome(bitArray, width, height) {
-    const bytesPerRow = Math.ceil(width / 8);
-    const out = new Uint8Array(bytesPerRow * height);
-    for (let y = 0; y < height; y++) {
-      for (let bx = 0; bx < bytesPerRow; bx++) {
-        let byte = 0x00;
-        for (let bit = 0; bit < 8; bit++) {
-          const x = bx * 8 + bit;
-          if (x >= width) continue;
-          const pix = bitArray[y * width + x]; // 1 = black
-          if (pix) byte |= (0x80 >> bit); // MSB = leftmost pixel
-        }
-        out[y * bytesPerRow + bx] = byte;
-      }
-    }
-    return { data: out, bytesPerRow };
-  }
-
-  function buildGsV0Raster(bytesPerRow, height, bitmapData, mode = 0) {
-    // GS v 0: 1D 76 30 m xL xH yL yH [data]
-    const xL = bytesPerRow & 0xFF;
-    const xH = (bytesPerRow >> 8) & 0xFF;
-    const yL = height & 0xFF;
-    const yH = (height >> 8) & 0xFF;
-    const header = new Uint8Array([0x1D, 0x76, 0x30, mode, xL, xH, yL, yH]);
-    const out = new Uint8Array(header.length + bitmapData.length);
-    out.set(header, 0);
-    out.set(bitmapData, header.length);
-    return out;
-  }
-
-  // Web Serial send
-  async function sendToSerial(port, data) {
-    const openOptions = { baudRate: 19200 };
-    if (!port.readable || !port.writable) {
-      await port.open(openOptions);
+  // Vorschau für das Team: gleiche Optionen wie beim Druck
+  async function previewPaperThermal(options = {}) {
+    const { bitArray, width, height } = await rasterizePaper(options);
+    return escpos.bitmapToCanvas(bitArray, width, height);
+  }
+
+  // Live-Vorschau neben dem Poster: dieselbe Pipeline wie beim Druck
+  // (resizeCanvasNearest -> grayscaleImageData -> dither) in widthDots,
+  // angezeigt in physischer Größe (8 Dots/mm), dazu Papierlänge und Druckdauer
+  const thermalPreview = document.getElementById('thermalPreview');
+  const LIVE_PREVIEW_DELAY_MS = 400;
+  let livePreviewTimer = null;
+  let livePreviewRun = 0;
+
+  async function renderLivePreview() {
+    const s = window.printerSettings.load();
+    if (!thermalPreview) return;
+    thermalPreview.hidden = !s.livePreview;
+    if (!s.livePreview) return;
+
+    const target = thermalPreview.querySelector('.thermal-preview-canvas');
+    const info = thermalPreview.querySelector('.thermal-preview-info');
+    if (!paper.querySelector('svg')) {
+      target.innerHTML = '';
+      info.textContent = '';
+      return;
     }
-    const writer = port.writable.getWriter();
+
+    const run = ++livePreviewRun;
     try {
-      await writer.write(data);
-    } finally {
-      writer.releaseLock();
+      const bitmap = await rasterizePaper(Object.assign(window.printerSettings.ditherOptions(s), { widthDots: s.widthDots }));
+      if (run !== livePreviewRun) return; // inzwischen weitergetippt
+      const canvas = escpos.bitmapToCanvas(bitmap.bitArray, bitmap.width, bitmap.height);
+      canvas.style.width = `${bitmap.width / escposCore.DOTS_PER_MM}mm`;
+      target.innerHTML = '';
+      target.appendChild(canvas);
+      const est = escposCore.estimateJob(bitmap, s);
+      info.textContent = `${Math.round(est.paperMm)} mm paper · ~${Math.ceil(est.seconds)} s`;
+    } catch (err) {
+      console.error('Live preview failed:', err);
+      if (run === livePreviewRun) info.textContent = 'Preview failed';
     }
   }
 
-  // WebUSB helpers
-  async function openUsbDevice(opts = {}) {
-    if (!navigator.usb) throw new Error('WebUSB not available in this browser');
-    let device;
-    if (opts.filters && opts.filters.length) {
-      device = await navigator.usb.requestDevice({ filters: opts.filters });
-    } else {
-      const devices = await navigator.usb.getDevices();
-      if (devices.length === 0) {
-        device = await navigator.usb.requestDevice({ filters: [] }).catch(() => {
-          throw new Error('No USB device selected (WebUSB request cancelled).');
-        });
-      } else {
-        device = devices[0];
-      }
-    }
-    await device.open();
-    if (device.configuration === null) {
-      await device.selectConfiguration(1);
-    }
+  function scheduleLivePreview() {
+    clearTimeout(livePreviewTimer);
+    livePreviewTimer = setTimeout(renderLivePreview, LIVE_PREVIEW_DELAY_MS);
+  }
 
-    let ifaceNumber = null;
-    let endpointNumber = null;
-    for (const cfg of device.configuration.interfaces) {
-      for (const alt of cfg.alternates) {
-        if (!alt.endpoints) continue;
-        for (const ep of alt.endpoints) {
-          if (ep.direction === 'out') {
-            ifaceNumber = cfg.interfaceNumber;
-            endpointNumber = ep.endpointNumber;
-            break;
-          }
-        }
-        if (endpointNumber !== null) break;
+  // jedes neue Poster (Tippen, Kiosk-Demo, regenerate) landet als neues SVG in #paper
+  new MutationObserver(() => {
+    if (window.printerSettings.load().livePreview) scheduleLivePreview();
+  }).observe(paper, { childList: true });
+  document.addEventListener('printersettings:change', scheduleLivePreview);
+
+  // Main print flow: Raster in Bändern + Vorschub/Schnitt (Worker, escpos-core.js),
+  // gesendet über den gewählten Transport (escpos-printer.js).
+  // Gibt den Job zurück: progress-Events, cancel(), result
+  function startPrintJob(options = {}, element = paper) {
+    const job = escpos.createPrintJob(element, Object.assign({}, options, { fontFamilies: POSTER_FONTS }));
+    job.result = job.result.then((result) => {
+      if (result.receipt) {
+        showVirtualReceipt(result.receipt);
+        result.paperDots = result.receipt.height;
+        delete result.receipt;
       }
-      if (endpointNumber !== null) break;
-    }
-    if (ifaceNumber === null) throw new Error('Could not find OUT endpoint on USB device');
-    await device.claimInterface(ifaceNumber);
-    return { device, ifaceNumber, endpointNumber };
+      return result;
+    });
+    return job;
+  }
+
+  function printPaperToThermal(options = {}) {
+    return startPrintJob(options).result;
   }
 
-  async function sendToUsb(deviceHandle, data) {
-    const { device, endpointNumber } = deviceHandle;
-    await device.transferOut(endpointNumber, data);
+  // Virtueller Drucker: Bon + Kommando-Log statt Papier (zum Testen ohne Hardware)
+  function showVirtualReceipt(receipt) {
+    const panel = document.getElementById('virtualPrinter');
+    if (!panel) return;
+    const target = panel.querySelector('.virtual-printer-receipt');
+    target.innerHTML = '';
+    target.appendChild(window.escposEmulator.toCanvas(receipt));
+    panel.querySelector('.virtual-printer-log').textContent = window.escposEmulator.formatLog(receipt.log);
+    panel.querySelector('.virtual-printer-info').textContent =
+      `${receipt.width}×${receipt.height} dots, ${(receipt.height / 8).toFixed(0)} mm, ${receipt.log.length} commands`;
+    panel.querySelector('[data-action="close"]').onclick = () => { panel.hidden = true; };
+    panel.hidden = false;
   }
 
-  // WebSocket proxy send
-  async function sendViaWebSocket(wsUrl, data) {
-    return new Promise((resolve, reject) => {
-      const ws = new WebSocket(wsUrl);
-      ws.binaryType = 'arraybuffer';
-      ws.addEventListener('open', () => {
-        ws.send(data);
+  // Archiv: jeden gedruckten Beitrag lokal festhalten (poster-archive.js)
+  // meta: Job-Metadaten aus der Druckwarteschlange (Poster-SVG, Layout, Lesbarkeit vom Zeitpunkt des Einreihens)
+  async function archiveContribution(result, meta) {
+    if (!window.posterArchive) return;
+    const contribution = meta.contribution;
+    const question = contribution.question || {};
+    try {
+      await window.posterArchive.addContribution({
+        reply: contribution.reply,
+        question: question.text,
+        questionId: question.id,
+        questionSet: question.set,
+        language: question.language,
+        layout: meta.layout,
+        legibility: meta.legibility,
+        posterId: meta.posterId,
+        seed: contribution.seed,
+        svg: meta.svg,
+        result
       });
-      ws.addEventListener('close', () => resolve());
-      ws.addEventListener('error', (e) => reject(e));
-      // resolve after short timeout if still open
-      setTimeout(() => {
-        if (ws.readyState === WebSocket.OPEN) {
-          ws.close();
-          resolve();
-        }
-      }, 1500);
+    } catch (err) {
+      // Archivfehler dürfen den Druck nicht als fehlgeschlagen melden
+      console.error('Could not archive contribution:', err);
+    }
+  }
+
+  function setPrintStatus(msg, isError = false) {
+    if (!printStatus) return;
+    printStatus.textContent = msg || '';
+    printStatus.classList.toggle('is-error', isError);
+  }
+
+  // Papierverbrauch pro Job (paper-roll.js, Admin-Zähler); der virtuelle Drucker verbraucht keins
+  function reportPaperUsed(result, source) {
+    if (!result || result.transport === 'virtual' || !(result.paperMm > 0)) return;
+    document.dispatchEvent(new CustomEvent('printer:paperused', { detail: { paperMm: result.paperMm, source } }));
+  }
+
+  // für die Admin-Konsole: Fehler nicht nur in der Devtools-Konsole
+  function reportPrintError(err, source = 'visitor') {
+    console.error(err);
+    const message = err && err.message ? err.message : String(err);
+    document.dispatchEvent(new CustomEvent('print:failed', { detail: { message, source, at: Date.now() } }));
+  }
+
+  // Fortschritt statt Knopf, solange das Poster vorbereitet wird (Bild, Dithering,
+  // Packen); gedruckt wird danach aus der Warteschlange
+  const printProgress = document.getElementById('printProgress');
+  const STAGE_PERCENT = { captured: 20, dithered: 80, packed: 100 };
+
+  function showPrintProgress(visible) {
+    if (!printProgress) return;
+    printProgress.hidden = !visible;
+    printBtn.hidden = visible;
+    if (visible) updatePrintProgress({ stage: 'start' });
+  }
+
+  function updatePrintProgress({ stage }) {
+    if (!printProgress) return;
+    if (!(stage in STAGE_PERCENT) && stage !== 'start') return;
+    printProgress.querySelector('progress').value = STAGE_PERCENT[stage] || 0;
+    printProgress.querySelector('.print-progress-label').textContent = 'Preparing your poster…';
+  }
+
+  // Druckoptionen für einen Drucker des Pools (printer-pool.js): seine Breite und sein
+  // Transport, alles andere aus den gespeicherten Einstellungen (printer-settings.js).
+  // Geräte nur aus bereits erteilten Freigaben: kein Dialog für Besucher.
+  async function printOptionsFromSettings(printer = pool.primary()) {
+    const s = printer.settings;
+    const opts = Object.assign(window.printerSettings.ditherOptions(s), {
+      transport: s.transport,
+      widthDots: s.widthDots,
+      feedLines: s.feedLines,
+      cutMode: s.cutMode,
+      bandHeight: s.bandHeight,
+      pacing: {
+        chunkSize: s.chunkSize,
+        chunkDelayMs: s.chunkDelayMs,
+        bandDelayMs: s.bandDelayMs,
+        flowControl: s.flowControl
+      }
     });
+    // Port/Gerät/Proxy-URL stecken in der Verbindung des Druckers
+    opts.connection = printer.connection;
+    return opts;
   }
 
-  // Main print flow
-  async function printPaperToThermal(options = {}) {
-    const widthDots = options.widthDots || 384;
-    const transport = options.transport || 'serial';
-    const mode = (typeof options.mode === 'number') ? options.mode : 0;
+  // Drucker (printer-pool.js): jeder mit eigener Verbindung (einmal öffnen, bei Aus/Ein
+  // neu verbinden, Jobs nacheinander) und Statusabfrage; Serial/USB werden regelmäßig
+  // abgefragt, bei WebSocket fragt print-proxy.js den Drucker
+  const pool = window.printerPool;
+  let printerError = null;
+
+  function friendlyStatusMessage(status) {
+    if (status.paperOut) return 'The printer has run out of paper. Our team will refill it shortly.';
+    if (status.coverOpen) return 'The printer cover is open. Please ask the team to close it.';
+    return 'The printer needs a moment. Please ask the team for help.';
+  }
 
-    // Capture
-    const baseCanvas = await captureElementToCanvas(paper, 1);
+  function printerReportsError(status) {
+    return !!status && status.reachable === true && status.ok === false;
+  }
 
-    // Validate baseCanvas size
-    if (!baseCanvas || !baseCanvas.width || !baseCanvas.height) {
-      throw new Error('Captured canvas invalid (zero width/height). Cannot print.');
+  // Hinweis für Besucher nur, wenn kein Drucker des Pools mehr drucken kann
+  function onStatusChange(e) {
+    const status = e.detail;
+    if (pool.readyCount()) printerError = null;
+    else if (printerReportsError(status)) printerError = status;
+    if (printerError) {
+      setPrintStatus(friendlyStatusMessage(printerError), true);
+    } else if (printStatus && printStatus.classList.contains('is-error')) {
+      setPrintStatus('');
     }
+  }
 
-    // Resize so canvas width equals printer dots
-    const targetWidth = widthDots;
-    const scale = targetWidth / baseCanvas.width;
-    const targetHeight = Math.max(1, Math.round(baseCanvas.height * scale));
-    const canvas = resizeCanvasNearest(baseCanvas, targetWidth, targetHeight);
-
-    // Grayscale
-    const ctx = canvas.getContext('2d');
-    const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const { gray, width, height } = grayscaleImageData(imgData);
-
-    // Dither to 1-bit
-    const bitArray = floydSteinbergDither(gray, width, height);
-
-    // Pack into bytes
-    const { data: packed, bytesPerRow } = packBitsMonochrome(bitArray, width, height);
-
-    // Build GS v 0 raster
-    const escposData = buildGsV0Raster(bytesPerRow, height, packed, mode);
-
-    // Append some feeds (some printers need extra feed)
-    const feed = new Uint8Array([0x0A, 0x0A, 0x0A]);
-    const finalData = new Uint8Array(escposData.length + feed.length);
-    finalData.set(escposData, 0);
-    finalData.set(feed, escposData.length);
-
-    // Send
-    if (transport === 'serial') {
-      if (!('serial' in navigator)) throw new Error('Web Serial API not available in this browser.');
-      const port = options.serialPort || await navigator.serial.requestPort();
-      await sendToSerial(port, finalData);
-      return;
+  document.addEventListener('printer:statuschange', onStatusChange);
+
+  function getPrinterStatus() {
+    return pool.primary().getStatus();
+  }
+
+  // Druckwarteschlange (print-queue.js): Poster werden beim Klick fertig gerastert und
+  // eingereiht, gedruckt wird im Hintergrund nacheinander, mit Wiederholung nach Fehlern
+  const queue = window.printQueue;
+
+  // Abbrechen wirkt nur während der Vorbereitung; Eingereihtes bricht das Team ab
+  let prepareController = null;
+  let preparing = false;
+
+  function printerNotReady(status) {
+    const err = new Error(friendlyStatusMessage(status));
+    err.printerNotReady = true;
+    return err;
+  }
+
+  // Poster jetzt festhalten: während der awaits kann #paper schon das nächste zeigen
+  // -> { svg, layout, legibility } wie renderDetached()
+  function capturePoster() {
+    return { svg: paper.querySelector('svg'), layout: lastLayout, legibility: lastLegibility };
+  }
+
+  // rastert ein Poster (Standard: das, was gerade in #paper steht) und stellt es in die Warteschlange
+  // contribution: { reply, seed, question: { id, set, language, text } }
+  async function enqueueContribution(contribution, source = 'visitor', onStage = () => {}, signal = null, poster = capturePoster()) {
+    const markup = poster.svg ? new XMLSerializer().serializeToString(poster.svg) : null;
+    const layout = poster.layout;
+    const legibility = poster.legibility ? poster.legibility.score : null;
+    const question = Object.assign({}, contribution.question);
+    if (!question.text) question.text = document.querySelector('.q-text').textContent;
+    if (!markup) throw new Error('No poster to print.');
+
+    const opts = await printOptionsFromSettings();
+    const encoded = await escpos.encodeElement(svgFromMarkup(markup), Object.assign({}, opts, { fontFamilies: POSTER_FONTS }), onStage, signal);
+    return queue.enqueue({
+      blocks: encoded.blocks,
+      bytes: encoded.bytes,
+      rows: encoded.rows,
+      paperMm: encoded.paperMm,
+      widthDots: opts.widthDots,
+      meta: {
+        contribution: Object.assign({}, contribution, { question }),
+        source,
+        posterId: seedToId(contribution.seed),
+        layout,
+        legibility,
+        svg: markup
+      }
+    });
+  }
+
+  function svgFromMarkup(markup) {
+    return document.importNode(new DOMParser().parseFromString(markup, 'image/svg+xml').documentElement, true);
+  }
+
+  // Rasterbytes für die Breite dieses Druckers: die gespeicherten, wenn sie passen,
+  // sonst das Poster-SVG des Jobs in der anderen Papierbreite neu gerastert
+  const reencoded = new Map(); // "jobId:widthDots" -> encodeElement()-Ergebnis
+
+  async function encodedFor(job, printer, opts, signal) {
+    if (job.widthDots === printer.settings.widthDots) return job;
+    const key = `${job.id}:${printer.settings.widthDots}`;
+    if (reencoded.has(key)) return reencoded.get(key);
+    if (!job.meta.svg) throw new Error(`Poster ${job.meta.posterId} has no SVG to print at ${printer.settings.widthDots} dots.`);
+    const encoded = await escpos.encodeElement(svgFromMarkup(job.meta.svg), Object.assign({}, opts, { fontFamilies: POSTER_FONTS }), () => {}, signal);
+    if (reencoded.size >= 20) reencoded.clear();
+    reencoded.set(key, encoded);
+    return encoded;
+  }
+
+  // auf einem Drucker des Pools: Status prüfen, Bytes senden, Status nachprüfen
+  // onWritten(bytes): was schon beim Drucker ist (printer-pool.js wechselt danach nicht mehr);
+  // über den Proxy zählt erst, was er an den Drucker weitergibt ('printing'), nicht der Upload
+  async function sendToPrinter(job, printer, { signal, onProgress, onWritten }) {
+    // kein Papier / Deckel offen: nächster Drucker, sonst warten, ohne einen Versuch zu verbrauchen
+    const before = await printer.getStatus();
+    if (printerReportsError(before)) throw printerNotReady(before);
+
+    const opts = await printOptionsFromSettings(printer);
+    const encoded = await encodedFor(job, printer, opts, signal);
+    const send = () => escpos.sendBlocks(encoded.blocks, Object.assign({}, opts, {
+      signal,
+      onSent: (sent, total) => {
+        if (opts.transport !== 'websocket') onWritten(sent);
+        onProgress({ stage: 'sending', sent, total, printer: printer.name });
+      },
+      onProgress: (p) => {
+        onWritten(p.sent);
+        onProgress(Object.assign({ stage: 'printing', printer: printer.name }, p));
+      }
+    }));
+    const result = await printer.exclusive(send);
+    if (result.receipt) {
+      showVirtualReceipt(result.receipt);
+      result.paperDots = result.receipt.height;
+      delete result.receipt;
     }
-    if (transport === 'usb') {
-      if (!navigator.usb) throw new Error('WebUSB not available in this browser.');
-      const handle = await openUsbDevice(options.usbOptions || {});
-      await sendToUsb(handle, finalData.buffer);
-      return;
+    Object.assign(result, { bytes: encoded.bytes, rows: encoded.rows, paperMm: encoded.paperMm });
+    reportPaperUsed(result, job.meta.source);
+
+    const after = await printer.getStatus();
+    if (after) result.printerStatus = after;
+    if (printerReportsError(after) && result.success !== false) {
+      result.success = false;
+      result.error = `${printer.name} reported a problem after printing: ` + friendlyStatusMessage(after);
     }
-    if (transport === 'websocket') {
-      if (!options.wsUrl) throw new Error('wsUrl required for websocket transport');
-      await sendViaWebSocket(options.wsUrl, finalData.buffer);
-      return;
+    return result;
+  }
+
+  // sender für die Warteschlange: an einen Drucker des Pools (mit Failover), dann archivieren
+  async function sendQueuedJob(job, progress) {
+    const { contribution, source } = job.meta;
+    const result = await pool.dispatch((printer, onWritten) => sendToPrinter(job, printer, Object.assign({ onWritten }, progress)));
+    await archiveContribution(result, job.meta);
+    // schon (teilweise) gedruckt, aber mit Problem: kein automatischer zweiter Druck
+    if (result.success === false) {
+      reportPrintError(new Error(result.error || 'Printer reported a problem after printing.'), source);
+      return result;
     }
-    throw new Error('Unknown transport: ' + transport);
+
+    const svg = job.meta.svg ? svgFromMarkup(job.meta.svg) : null;
+    document.dispatchEvent(new CustomEvent('poster:printed', {
+      detail: {
+        posterId: job.meta.posterId,
+        result,
+        reply: contribution.reply,
+        question: contribution.question.text,
+        language: contribution.question.language,
+        svg,
+        source
+      }
+    }));
+    return result;
+  }
+
+  // fürs Fehlerprotokoll; "nicht bereit" meldet schon der Statusmonitor
+  function reportQueueError(e) {
+    const { job, error } = e.detail;
+    if (error && !error.printerNotReady) reportPrintError(error, job.meta.source);
+  }
+  document.addEventListener('queue:retry', reportQueueError);
+  document.addEventListener('queue:failed', reportQueueError);
+
+  // Papier nachgelegt, Deckel zu: wartende Jobs sofort statt nach dem Backoff
+  document.addEventListener('printer:statuschange', (e) => {
+    if (e.detail && e.detail.ok) queue.retryNow();
+  });
+
+  function queueMessage(position) {
+    if (position <= 1) return questions.label('queuePrinting');
+    return questions.label('queuePosition').replace('{n}', position);
   }
 
-  // UI: when user clicks Print, ask which transport to use and run pipeline.
+  // Besucherhinweis nachführen, solange der letzte eigene Job wartet
+  let visitorJobId = null;
+
+  document.addEventListener('queue:change', async () => {
+    const id = visitorJobId;
+    if (!id || preparing || printerError) return;
+    const position = await queue.positionOf(id);
+    if (id !== visitorJobId) return;
+    if (position) setPrintStatus(queueMessage(position));
+    else visitorJobId = null;
+  });
+
+  // Moderation (moderation.js): Sperrliste und persönliche Daten, freundlicher Hinweis statt Druck
+  function moderationMessage(verdict) {
+    if (verdict.action === 'hold') return questions.label('moderationHold');
+    const personal = verdict.flags.every((f) => f.type !== 'blocklist');
+    return questions.label(personal ? 'moderationPersonal' : 'moderationBlocked');
+  }
+
+  // UI: when user clicks Print, rasterize with the saved printer settings and queue the poster.
   printBtn.addEventListener("click", async () => {
-    try {
-      const defaultTransport = (('serial' in navigator) ? 'serial' : (navigator.usb ? 'usb' : 'websocket'));
-      const t = prompt(`Print to thermal printer via (type one):\n- serial\n- usb\n- websocket\n\nDefault: ${defaultTransport}`, defaultTransport);
-      if (!t) return;
-      const transport = t.trim().toLowerCase();
-      const widthInput = prompt('Printer width in dots (384 for 58mm / 576 for 80mm)', '384');
-      const widthDots = parseInt(widthInput || '384', 10) || 384;
-
-      const opts = { transport, widthDots };
-
-      if (transport === 'serial') {
-        if (!('serial' in navigator)) {
-          alert('Web Serial is not available in this browser. Try WebUSB or WebSocket proxy.');
-          return;
-        }
-        const port = await navigator.serial.requestPort();
-        opts.serialPort = port;
-        opts.serialOptions = { baudRate: 19200 };
-      } else if (transport === 'usb') {
-        // optional: set opts.usbOptions = { filters: [...] } if you know vendor/product
-      } else if (transport === 'websocket') {
-        const wsUrl = prompt('WebSocket proxy URL (e.g. ws://localhost:9000)', 'ws://localhost:9000');
-        if (!wsUrl) return;
-        opts.wsUrl = wsUrl;
-      } else {
-        alert('Unknown transport selected.');
-        return;
+    const reply = input.value.trim();
+    if (!reply || preparing) return;
+    const contribution = { reply, seed: posterSeed, question: questions.current() || {} };
+
+    const verdict = window.posterModeration ? window.posterModeration.check(reply) : { action: 'allow', flags: [] };
+    if (verdict.action !== 'allow') {
+      if (verdict.action === 'hold') {
+        window.posterModeration.hold(Object.assign(contribution, { flags: verdict.flags }));
+        // gehört jetzt der Warteschlange: Eingabe frei für den nächsten Besucher
+        input.value = '';
+        posterSeed = newSeed();
+        generate();
       }
+      setPrintStatus(moderationMessage(verdict));
+      return;
+    }
 
+    preparing = true;
+    prepareController = new AbortController();
+    try {
       printBtn.disabled = true;
-      printBtn.textContent = 'Contribute';
-      await printPaperToThermal(opts);
-      alert('Print job sent to printer.');
+      setPrintStatus('');
+      showPrintProgress(true);
+      const { id, position } = await enqueueContribution(contribution, 'visitor',
+        (stage, detail) => updatePrintProgress(Object.assign({ stage }, detail)), prepareController.signal);
+      visitorJobId = id;
+      // nächster Besucher bekommt ein neues Poster
+      posterSeed = newSeed();
+      setPrintStatus(queueMessage(position));
     } catch (err) {
-      console.error(err);
-      alert('Print failed: ' + (err && err.message ? err.message : String(err)));
+      if (err && err.name === 'AbortError') {
+        setPrintStatus('Printing cancelled.');
+        return;
+      }
+      reportPrintError(err);
+      setPrintStatus('Sorry, printing did not work. Please ask the team.', true);
     } finally {
+      prepareController = null;
+      preparing = false;
+      showPrintProgress(false);
       printBtn.disabled = false;
-      printBtn.textContent = 'Contribute';
+      printBtn.textContent = questions.label('contribute');
     }
   });
 
+  // freigegebene Beiträge aus der Moderation: nacheinander abseits von #paper rendern
+  // und einreihen, das Poster des Besuchers bleibt stehen
+  const approved = [];
+  let approving = false;
+
+  async function queueApproved() {
+    if (approving || !approved.length) return;
+    approving = true;
+    try {
+      while (approved.length) {
+        const item = approved.shift();
+        try {
+          await enqueueContribution(item, 'review', undefined, null, renderDetached(item.reply, item.seed));
+        } catch (err) {
+          reportPrintError(err, 'review');
+        }
+      }
+    } finally {
+      approving = false;
+    }
+  }
+
+  document.addEventListener('moderation:approved', (e) => {
+    approved.push(e.detail);
+    queueApproved();
+  });
+
+  // Team-Aufträge (admin.js): Testdruck, Vorschub/Schnitt; auf dem ersten eingeschalteten
+  // Drucker oder dem mit printerId, nie während er ein Poster aus der Warteschlange druckt
+  async function runOperatorJob(run, printerId) {
+    const printer = (printerId && pool.get(printerId)) || pool.primary();
+    if (printer.busy) throw new Error(`${printer.name} is busy with a queued poster.`);
+    try {
+      const opts = await printOptionsFromSettings(printer);
+      return await printer.exclusive(() => run(opts));
+    } catch (err) {
+      reportPrintError(err, 'operator');
+      throw err;
+    }
+  }
+
+  function printElement(element, printerId) {
+    return runOperatorJob(async (opts) => {
+      const result = await startPrintJob(opts, element).result;
+      reportPaperUsed(result, 'operator');
+      return result;
+    }, printerId);
+  }
+
+  function feedAndCut(printerId) {
+    return runOperatorJob(async (opts) => {
+      const feedLines = opts.feedLines || 3;
+      const tail = escposCore.builder().feed(feedLines).cut(opts.cutMode === 'full' ? 'full' : 'partial');
+      const result = await escpos.sendBlocks([tail.build()], opts);
+      result.paperMm = escposCore.estimateJob({ width: 0, height: 0 }, { feedLines }).paperMm;
+      reportPaperUsed(result, 'operator');
+      return result;
+    }, printerId);
+  }
+
+  // Verbindungen neu aufbauen: schließen, wieder öffnen, Statusabfrage neu starten
+  async function reconnectPrinter() {
+    const busy = pool.list().find((p) => p.busy);
+    if (busy) throw new Error(`${busy.name} is busy with a queued poster.`);
+    return pool.reconnect();
+  }
+
+  if (printProgress) {
+    printProgress.querySelector('.print-progress-cancel').addEventListener('click', () => {
+      if (prepareController) prepareController.abort();
+    });
+  }
+
+  window.thermalPrinter = {
+    print: printPaperToThermal,
+    createJob: startPrintJob,
+    printElement,
+    feedAndCut,
+    reconnect: reconnectPrinter,
+    getConnectionState: () => pool.describe(),
+    preview: previewPaperThermal,
+    getStatus: getPrinterStatus,
+    DITHER_ALGORITHMS: escposCore.DITHER_ALGORITHMS
+  };
+
+  // so viele Poster gleichzeitig, wie Drucker bereit sind
+  pool.start()
+    .then(() => queue.start(sendQueuedJob, { concurrency: () => pool.readyCount() }))
+    .catch((err) => reportPrintError(err, 'queue'));
   generate();
+  renderLivePreview();
 });
 
 /* =========================
@@ -0,0 +1,244 @@
+// wall.js
+// Projektionswand für einen Beamer: index.html?view=wall zeigt eingehende
+// Antworten mit Poster-Miniaturen, die wie die Scribbles (initScribbles) über
+// die Wand schweben. Die letzten N Beiträge bleiben stehen (rollierend, nach
+// einem Reload aus localStorage wieder da).
+//
+// Kiosk -> Wand, nach jedem gedruckten Beitrag ('poster:printed'):
+// - gleicher Rechner:  BroadcastChannel 'pferd-wall'
+// - anderer Rechner:   WebSocket-Relay in print-proxy.js (--host 0.0.0.0 --token <geheim>)
+//   Kiosk: "Wall relay URL" in den Druckereinstellungen, mit Token: ws://wall-pc:9000/?token=<geheim>
+//          (ohne Token nimmt das Relay Beiträge nur vom eigenen Rechner an)
+//   Wand:  index.html?view=wall&relay=ws://wall-pc:9000 (abonnieren geht ohne Token)
+//   Seiten, die nicht von localhost kommen, braucht das Relay in --origin
+//
+// Usage: index.html?view=wall[&relay=ws://host:9000][&history=24]
+//        window.posterWall.publish(contribution)
+
+(function (global) {
+  'use strict';
+
+  const CHANNEL_NAME = 'pferd-wall';
+  const HISTORY_KEY = 'pferd.wallHistory';
+  const DEFAULT_HISTORY = 24;
+  const THUMB_WIDTH = 240;
+  const RECONNECT_MS = 5000;
+  const MAX_REPLY_CHARS = 500;
+
+  const params = new URLSearchParams(global.location.search);
+  const isWallView = params.get('view') === 'wall';
+  if (isWallView) document.documentElement.classList.add('wall-view');
+
+  // nur bekannte Felder, Miniatur nur als PNG-Data-URL (landet in <img>)
+  function sanitize(c) {
+    if (!c || typeof c.reply !== 'string' || !c.reply.trim()) return null;
+    const thumb = typeof c.thumbnail === 'string' && c.thumbnail.startsWith('data:image/png;base64,') ? c.thumbnail : null;
+    return {
+      reply: c.reply.trim().slice(0, MAX_REPLY_CHARS),
+      question: typeof c.question === 'string' ? c.question : '',
+      language: typeof c.language === 'string' ? c.language : '',
+      posterId: typeof c.posterId === 'string' ? c.posterId : '',
+      createdAt: typeof c.createdAt === 'string' ? c.createdAt : new Date().toISOString(),
+      thumbnail: thumb
+    };
+  }
+
+  function keyOf(c) {
+    return c.posterId + '|' + c.createdAt;
+  }
+
+  /* Kiosk: senden */
+
+  let channel = null;
+  function getChannel() {
+    if (!channel && typeof BroadcastChannel === 'function') channel = new BroadcastChannel(CHANNEL_NAME);
+    return channel;
+  }
+
+  function relayUrlFromSettings() {
+    return global.printerSettings ? global.printerSettings.load().wallRelayUrl : '';
+  }
+
+  // kurze Verbindung pro Beitrag: Kiosks senden selten, das Relay kann neu starten
+  function sendToRelay(url, contribution) {
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(url);
+      ws.onopen = () => {
+        ws.send(JSON.stringify({ type: 'wall:contribution', contribution }));
+        const wait = setInterval(() => {
+          if (ws.bufferedAmount > 0) return;
+          clearInterval(wait);
+          ws.close();
+          resolve();
+        }, 50);
+      };
+      ws.onerror = () => reject(new Error('Wall relay not reachable at ' + url));
+    });
+  }
+
+  async function publish(contribution, relayUrl = relayUrlFromSettings()) {
+    const c = sanitize(contribution);
+    if (!c) throw new Error('A contribution needs a reply.');
+    const bc = getChannel();
+    if (bc) bc.postMessage({ type: 'wall:contribution', contribution: c });
+    if (relayUrl) await sendToRelay(relayUrl, c);
+    return c;
+  }
+
+  async function thumbnailOf(svg) {
+    if (!svg || !global.escposPrinter) return null;
+    const families = global.posterExport ? global.posterExport.usedFontFamilies(svg) : [];
+    const canvas = await global.escposPrinter.renderSvgToCanvas(svg, THUMB_WIDTH, families);
+    return canvas.toDataURL('image/png');
+  }
+
+  function initKiosk() {
+    document.addEventListener('poster:printed', async (e) => {
+      const d = e.detail || {};
+      // sofort kopieren: nach dem Countdown liegt schon das nächste Poster in #paper
+      const svg = d.svg ? d.svg.cloneNode(true) : null;
+      try {
+        await publish({
+          reply: d.reply,
+          question: d.question,
+          language: d.language,
+          posterId: d.posterId,
+          createdAt: new Date().toISOString(),
+          thumbnail: await thumbnailOf(svg)
+        });
+      } catch (err) {
+        // die Wand ist Beiwerk: der Druck gilt trotzdem als erfolgreich
+        console.warn('Could not send contribution to the wall:', err);
+      }
+    });
+  }
+
+  /* Wand: anzeigen */
+
+  function rnd(min, max) {
+    return Math.random() * (max - min) + min;
+  }
+
+  function loadHistory() {
+    try {
+      const items = JSON.parse(localStorage.getItem(HISTORY_KEY) || '[]');
+      return Array.isArray(items) ? items.map(sanitize).filter(Boolean) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function saveHistory(items) {
+    try {
+      localStorage.setItem(HISTORY_KEY, JSON.stringify(items));
+    } catch (e) {
+      // voll: ohne Miniaturen speichern
+      try {
+        localStorage.setItem(HISTORY_KEY, JSON.stringify(items.map((c) => Object.assign({}, c, { thumbnail: null }))));
+      } catch (e2) { /* ignore */ }
+    }
+  }
+
+  function createCard(c, fresh) {
+    const card = document.createElement('figure');
+    card.className = 'wall-card' + (fresh ? ' is-new' : '');
+    if (c.language) card.lang = c.language;
+
+    if (c.thumbnail) {
+      const img = document.createElement('img');
+      img.src = c.thumbnail;
+      img.alt = '';
+      card.appendChild(img);
+    }
+    const reply = document.createElement('figcaption');
+    reply.className = 'wall-reply';
+    reply.textContent = c.reply;
+    card.appendChild(reply);
+    if (c.question) {
+      const q = document.createElement('div');
+      q.className = 'wall-question';
+      q.textContent = c.question;
+      card.appendChild(q);
+    }
+
+    // wie die Scribbles: zufällige Lage, leicht gedreht, schwebend
+    card.style.left = rnd(2, 78) + 'vw';
+    card.style.top = rnd(4, 70) + 'vh';
+    card.style.setProperty('--wall-rot', rnd(-8, 8).toFixed(1) + 'deg');
+    card.style.animationDuration = `${rnd(6, 14).toFixed(1)}s, ${rnd(8, 18).toFixed(1)}s`;
+    return card;
+  }
+
+  function initWall() {
+    const wall = document.getElementById('bg-questions');
+    if (!wall) return;
+    wall.classList.add('wall');
+    const limit = Math.max(1, parseInt(params.get('history'), 10) || DEFAULT_HISTORY);
+    let items = loadHistory().slice(-limit);
+    const cards = new Map();
+
+    function show(c, fresh) {
+      const card = createCard(c, fresh);
+      cards.set(keyOf(c), card);
+      wall.appendChild(card);
+    }
+
+    function add(contribution) {
+      const c = sanitize(contribution);
+      // über BroadcastChannel und Relay kann derselbe Beitrag zweimal kommen
+      if (!c || cards.has(keyOf(c))) return;
+      items.push(c);
+      show(c, true);
+      while (items.length > limit) {
+        const old = items.shift();
+        const card = cards.get(keyOf(old));
+        cards.delete(keyOf(old));
+        if (card) {
+          card.classList.add('is-leaving');
+          setTimeout(() => card.remove(), 1200);
+        }
+      }
+      saveHistory(items);
+    }
+
+    items.forEach((c) => show(c, false));
+
+    const bc = getChannel();
+    if (bc) {
+      bc.addEventListener('message', (e) => {
+        if (e.data && e.data.type === 'wall:contribution') add(e.data.contribution);
+      });
+    }
+
+    const relayUrl = params.get('relay');
+    if (relayUrl) {
+      const connect = () => {
+        const ws = new WebSocket(relayUrl);
+        ws.onopen = () => ws.send(JSON.stringify({ type: 'wall:subscribe' }));
+        ws.onmessage = (e) => {
+          if (typeof e.data !== 'string') return;
+          let msg;
+          try {
+            msg = JSON.parse(e.data);
+          } catch (err) {
+            return;
+          }
+          if (msg.type === 'wall:history' && Array.isArray(msg.items)) msg.items.forEach(add);
+          else if (msg.type === 'wall:contribution') add(msg.contribution);
+        };
+        ws.onclose = () => setTimeout(connect, RECONNECT_MS);
+      };
+      connect();
+    }
+  }
+
+  document.addEventListener('DOMContentLoaded', isWallView ? initWall : initKiosk);
+
+  // expose
+  global.posterWall = {
+    isWallView,
+    publish,
+    sanitize
+  };
+
+})(window);